@@ -5,6 +5,11 @@
 
 console.log('[BG] Tab Suspender Pro: Background starting...');
 
+// Shared whitelist pattern engine (exposes globalThis.UrlPatterns)
+importScripts('src/utils/url-patterns.js');
+// Suspended page URL builder/parser (exposes globalThis.SuspendedPage)
+importScripts('src/utils/suspended-page.js');
+
 // ============================================================================
 // SERVICE WORKER CONTEXT VALIDATION
 // ============================================================================
@@ -61,23 +66,198 @@ const DEFAULT_CONFIG = {
     suspendPinnedTabs: false,
     whitelistedDomains: [],  // FIXED: Empty by default, user adds their own
     neverSuspendAudio: true,
+    neverSuspendCalls: true,  // Camera/microphone/screen capture or a WebRTC call in progress
+    neverSuspendFullscreen: true,
+    neverSuspendPlayingMedia: false,  // Video or audio playing, even muted
+    neverSuspendBusyTabs: true,  // Uploads in flight
     neverSuspendActiveTab: true,
     neverSuspendUnsavedForms: true,
-    memoryThreshold: 80
+    neverSuspendUnsavedWork: false,  // Probe the page's beforeunload handlers (editors the form check can't see)
+    memoryThreshold: 80,
+    siteTimeouts: [],  // [{ pattern, minutes }] - first matching pattern wins
+    suspensionMethod: 'page',  // 'page' (suspended.html), 'discard' (chrome.tabs.discard) or 'hybrid'
+    hybridPageDelay: 60,  // Hybrid: minutes a tab stays discarded before moving to suspended.html
+    siteSuspensionMethods: [],  // [{ pattern, method }] - first matching pattern wins
+    preserveFormDrafts: false,  // Suspend tabs with unsaved forms and refill them on restore
+    draftExcludedDomains: [],  // Patterns where dirty tabs are never suspended even with drafts on
+    draftExpiryHours: 24,  // Drafts older than this are dropped
+    schedules: [],  // [{ id, label, days, start, end, action, minutes, enabled }] - weekly time windows
+    suspendCollapsedGroups: false,  // Suspend a tab group when it is collapsed, restore it when expanded
+    maxLoadedTabs: 0,  // Keep at most this many live tabs, suspending the least recently used (0 = off)
+    maxLoadedTabsScope: 'global',  // 'global' (all windows together) or 'window' (each window)
+    restoreConcurrency: 3,  // Restore All loads this many tabs at a time
+    suspendWarnings: false,  // Notify shortly before auto-suspending a tab that matches a warning rule
+    warnOnUnsavedForms: true,  // Warning rule: tabs with unsaved form data
+    warnDomains: [],  // Warning rule: patterns to warn about ("warn me" list)
+    warningLeadMinutes: 2,  // How long before the timer runs out the warning is shown
+    maxWarningsPerHour: 6,  // Due tabs over this limit are suspended without a warning
+    countdownOverlay: false,  // Show an in-page countdown in the last seconds before auto-suspension
+    countdownOverlaySeconds: 30,  // How long the in-page countdown runs
+    overlayExcludedDomains: [],  // Patterns where the in-page countdown is never shown
+    freezeTimersWhenIdle: false,  // Countdowns stand still while the system is idle or locked
+    suspendOnLock: false,  // Suspend everything eligible when the screen locks
+    lockSuspendDelayMinutes: 5,  // How long the screen stays locked before that (0 = right away)
+    adaptiveTimeouts: false,  // Learn per-domain timeouts from how soon suspended tabs are restored
+    adaptiveMinMinutes: 10,  // Learned timeouts never go below this
+    adaptiveMaxMinutes: 240  // ...or above this
 };
 
 let config = { ...DEFAULT_CONFIG };
+let settingsLoaded = false;  // config was read from storage in this service worker instance
+
+// Settings that change when or how tab timers fire - timers restart when these change
+const TIMER_SETTING_KEYS = ['suspensionTimeout', 'siteTimeouts', 'suspensionMethod', 'hybridPageDelay', 'siteSuspensionMethods', 'schedules'];
 
 // ============================================================================
 // STATE
 // ============================================================================
 
-// Note: Using chrome.alarms API instead of setTimeout for MV3 service worker persistence
-// Tab activity times are stored in chrome.storage.session for persistence across SW restarts
-const ALARM_PREFIX = 'suspend-tab-';
-
-// Track tabs with unsaved form data (persisted in storage for SW restarts)
-// Key: tabId, Value: boolean
+// Suspension timers: tabTimers (tabId -> when the timer started) is kept with the
+// other per-tab caches below, and one periodic alarm sweeps it. Deadlines are
+// derived from the current settings whenever they are needed, never stored.
+const SWEEP_ALARM_NAME = 'suspend-sweep';
+const SWEEP_INTERVAL_MINUTES = 1;
+// One alarm per tab, used before the sweeper - migrated by migrateTabAlarms()
+const LEGACY_ALARM_PREFIX = 'suspend-tab-';
+let sweepInProgress = false;
+
+// Per-tab snooze ("keep awake"): tabSnoozes (tabId -> when the snooze ends, null =
+// until the tab is closed) is kept with the other per-tab caches. A snoozed tab
+// has no timer and is never suspended; the sweeper ends expired snoozes.
+const SNOOZE_DURATIONS = ['30m', '2h', 'tomorrow', 'closed'];
+const SNOOZE_TOMORROW_HOUR = 8;             // "Until tomorrow" ends at 08:00 local time
+const SNOOZE_MENU_PREFIX = 'snoozeTab-';    // Context menu ids: snoozeTab-30m, snoozeTab-2h, ...
+const SNOOZE_COMMAND_DURATION = '2h';
+
+// Pre-suspension warnings (config.suspendWarnings). tabWarnings (tabId -> start of
+// the timer warned about) is kept with the other per-tab caches; warningLog
+// (session storage) holds recent send times for config.maxWarningsPerHour.
+const WARNING_NOTIFICATION_PREFIX = 'suspend-warning-';
+const WARNING_SNOOZE_DURATION = '1h';       // "Keep awake 1h" button
+const WARNING_LOG_KEY = 'warningLog';
+
+// In-page countdown overlay (config.countdownOverlay), drawn by contentScript.js.
+// tabOverlays (tabId -> start of the timer counted down) is kept with the other
+// per-tab caches. The page reports back when its countdown ends, so the tab is
+// suspended on time instead of at the next sweep.
+const OVERLAY_KEEP_AWAKE_DURATION = '1h';   // "Keep awake" button
+const OVERLAY_MESSAGE_TIMEOUT_MS = 1000;    // Wait this long for the content script to answer
+
+// Unsaved work probe (config.neverSuspendUnsavedWork). unloadProbe.js is registered
+// into the page's world only while the option is on; tabUnloadPrompts (tabId -> true
+// while the page's beforeunload handler would ask) is kept with the other per-tab caches.
+const UNLOAD_PROBE_SCRIPT_ID = 'unload-probe';
+
+// Page hooks (config.neverSuspendCalls, config.neverSuspendBusyTabs). pageHooks.js wraps
+// page APIs, so it is registered into the page's world only while one of them is on.
+const PAGE_HOOKS_SCRIPT_ID = 'page-hooks';
+
+// Memory pressure monitor (driven by config.memoryThreshold, 0 = off)
+const MEMORY_ALARM_NAME = 'memory-pressure-check';
+const MEMORY_CHECK_INTERVAL_MINUTES = 1;
+const MEMORY_HYSTERESIS_PERCENT = 10;       // Keep suspending until usage < threshold - 10
+const MEMORY_MAX_SUSPENSIONS_PER_CHECK = 5;
+const MEMORY_SETTLE_DELAY_MS = 1500;        // Give the browser time to free a suspended tab
+const MAX_PRESSURE_EVENTS = 50;
+let memoryCheckInProgress = false;
+
+// Time-of-day schedules (config.schedules). One alarm fires at the next window
+// start/end or Suspend All time and re-arms itself.
+const SCHEDULE_ALARM_NAME = 'schedule-boundary';
+const SCHEDULE_ACTIONS = ['timeout', 'pause', 'suspendAll'];
+const SCHEDULE_LATE_LIMIT_MS = 15 * 60 * 1000;  // Skip a Suspend All that fires this late (device was asleep)
+
+// System idle and screen lock (config.freezeTimersWhenIdle, config.suspendOnLock).
+// While timers are frozen the sweep suspends nothing; idleFrozenSince (session
+// storage) outlives the service worker, and thawTabTimers() moves every timer on
+// by the time away. A locked screen arms one alarm that suspends everything
+// eligible config.lockSuspendDelayMinutes later.
+const IDLE_DETECTION_SECONDS = 5 * 60;      // No input for this long = idle
+const IDLE_FROZEN_KEY = 'idleFrozenSince';
+const SCREEN_LOCKED_KEY = 'screenLockedSince';
+const LOCK_SUSPEND_ALARM_NAME = 'lock-suspend';
+
+// Adaptive timeouts (config.adaptiveTimeouts). Suspensions come from
+// memoryStats.history, restores from restoreHistory (local storage, written
+// whether or not the mode is on). The sweep re-learns learnedTimeouts every
+// ADAPTIVE_RELEARN_INTERVAL_MS; the domains are kept in memory as well because
+// getEffectiveTimeout() can't wait for storage.
+const RESTORE_HISTORY_KEY = 'restoreHistory';
+const MAX_RESTORE_HISTORY = 500;            // Same as memoryStats.history
+const LEARNED_TIMEOUTS_KEY = 'learnedTimeouts';
+const ADAPTIVE_RELEARN_INTERVAL_MS = 15 * 60 * 1000;
+const ADAPTIVE_HISTORY_MS = 30 * 24 * 60 * 60 * 1000;   // Learn from the last 30 days
+const ADAPTIVE_REVISIT_MS = 4 * 60 * 60 * 1000;         // Restored within this = revisited
+const ADAPTIVE_MIN_SUSPENSIONS = 3;         // Fewer suspensions of a domain teach nothing
+const ADAPTIVE_REVISIT_RATE = 0.5;          // Revisited at least this often: lengthen
+const ADAPTIVE_ABANDON_RATE = 0.1;          // Revisited at most this often: shorten
+const ADAPTIVE_HEADROOM = 1.5;              // Lengthened timeouts outlast the usual revisit by half again
+let learnedTimeouts = {};                   // domain -> learned entry, see learnDomainTimeouts()
+let restoreHistoryQueue = Promise.resolve();   // Serializes restoreHistory read-modify-write
+
+// Bulk suspension (Suspend All, window and group commands) works through tabs
+// this many at a time, with one metadata write per batch
+const SUSPEND_BATCH_SIZE = 25;
+
+// Loaded tab cap (config.maxLoadedTabs); checks are queued so bursts of tab events don't overlap
+let tabCapQueue = Promise.resolve();
+
+// Restore queue (config.restoreConcurrency). Bulk restores load a few tabs at a
+// time; the queue lives in chrome.storage.session so it survives SW restarts.
+const RESTORE_QUEUE_KEY = 'restoreQueue';
+const RESTORE_QUEUE_ALARM_NAME = 'restore-queue-watchdog';
+const RESTORE_QUEUE_CHECK_INTERVAL_MINUTES = 0.5;
+const RESTORE_LOAD_TIMEOUT_MS = 30 * 1000;  // Stop waiting for a tab that hasn't finished loading
+let restoreQueueLock = Promise.resolve();   // Serializes queue read-modify-write
+
+// Page state captured at suspension (scroll position), keyed by suspension id
+// chrome.storage.local so it survives browser restarts along with suspended tabs
+const TAB_STATE_KEY = 'suspendedTabState';
+const MAX_STORED_TAB_STATES = 200;
+const TAB_STATE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;  // 30 days
+const TAB_STATE_TIMEOUT_MS = 1000;                      // Wait this long for GET_TAB_STATE
+const PENDING_RESTORE_MAX_AGE_MS = 2 * 60 * 1000;       // Page must load within 2 minutes
+const RESTORE_STATE_RETRY_DELAYS_MS = [0, 500, 1000, 2000, 4000];  // For late-rendering SPAs
+
+// Unsaved form drafts, keyed by the same suspension id. Session storage only:
+// drafts may contain personal data and should never be written to disk.
+const FORM_DRAFTS_KEY = 'formDrafts';
+const MAX_FORM_DRAFTS = 50;
+const MAX_FORM_DRAFT_CHARS = 512 * 1024;                // Per draft, serialized
+
+// Suspended page metadata (SuspendedPage.META_KEY) for tokens no open tab uses
+// is kept this long so "reopen closed tab" and session restore still resolve
+const SUSPENDED_META_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Durable registry of suspended tabs, used to repair or recover them after the
+// extension is reloaded, updated, disabled or reinstalled under a new ID
+const REGISTRY_KEY = 'suspendedTabRegistry';
+const LOST_TABS_KEY = 'lostSuspendedTabs';
+const MAX_LOST_TABS = 500;
+// Reconcile runs once per browser session (session flag). Entries without an open
+// tab are marked missingSince and only reported lost LOST_TABS_GRACE_MINUTES later:
+// at browser start, session restore may not have recreated the tabs yet.
+const RECONCILED_KEY = 'suspendedTabsReconciled';
+const LOST_TABS_ALARM_NAME = 'lost-tabs-check';
+const LOST_TABS_GRACE_MINUTES = 1;
+let reconcileStarted = false;
+let registryQueue = Promise.resolve();      // Serializes registry read-modify-write
+
+// The Great Suspender and its forks (Marvellous Suspender, ...) park tabs on
+// chrome-extension://<id>/suspended.html#ttl=<title>&pos=<scrollY>&uri=<url>
+const FOREIGN_SUSPENDED_PAGE = /^chrome-extension:\/\/[a-p]{32}\/suspended\.html#(.+)$/;
+// Our own suspended page under another extension ID (a previous install)
+const PREVIOUS_INSTALL_SUSPENDED_PAGE = /^chrome-extension:\/\/[a-p]{32}\/suspended\.html\?/;
+
+// Per-tab activity times, timer start times, snoozes, warnings, overlays, unsaved-form
+// flags, unload prompts, media and busy status (storage keys tabLastActivity, tabTimers, tabSnoozes,
+// tabWarnings, tabOverlays, tabFormStatus, tabUnloadPrompts, tabMediaStatus and tabBusyStatus, keyed by tabId). The service worker works on an in-memory copy
+// and flushes changes TAB_CACHE_FLUSH_DELAY_MS later, one write per key,
+// serialized on tabCacheWriteQueue - tab events no longer race on the same map.
+const TAB_CACHE_FLUSH_DELAY_MS = 1000;
+const tabCaches = {};                       // key -> { data, loading, dirty }
+let tabCacheFlushTimer = null;
+let tabCacheWriteQueue = Promise.resolve();
 
 // ============================================================================
 // INITIALIZATION
@@ -112,7 +292,23 @@ chrome.runtime.onInstalled.addListener(async (details) => {
             }
         }
 
+        await startSweeper();
         await startMonitoring();
+        await startMemoryMonitor();
+        await startScheduleMonitor();
+        await startIdleMonitor();
+
+        // Suspended pages from before the reload/update may be showing an error
+        // page, or belong to a previous install with a different extension ID
+        // After an install/update/reload every tab is already open; a Chrome update
+        // fires at browser start, while session restore may still be reopening tabs
+        const { lost } = await reconcileSuspendedTabs({
+            reloadOwnTabs: details.reason === 'update',
+            reportLost: details.reason !== 'chrome_update'
+        });
+        if (lost > 0 && isExtensionContextValid()) {
+            chrome.tabs.create({ url: chrome.runtime.getURL('recovery.html') });
+        }
     } catch (error) {
         // Check for context invalidation errors
         if (error.message && (error.message.includes('Extension context invalidated') ||
@@ -136,8 +332,12 @@ chrome.runtime.onStartup.addListener(async () => {
     try {
         await loadSettings();
         await cleanupOrphanedStorageData(); // Clean up stale data from closed tabs
-        await recreateAlarmsAfterWake(); // Ensure alarms are properly recreated after SW wake
+        await startSweeper();
         await startMonitoring();
+        await startMemoryMonitor();
+        await startScheduleMonitor();
+        await startIdleMonitor();
+        await reconcileOncePerSession();
         await updateBadge();
     } catch (error) {
         // Check for context invalidation errors
@@ -150,58 +350,6 @@ chrome.runtime.onStartup.addListener(async () => {
     }
 });
 
-/**
- * Recreate alarms after service worker wakes up.
- * Service workers can be terminated and restarted, so we need to ensure
- * all tabs that should have timers get their alarms recreated.
- */
-async function recreateAlarmsAfterWake() {
-    if (!isExtensionContextValid()) {
-        console.warn('[BG][ALARMS] Extension context invalid, skipping alarm recreation');
-        return;
-    }
-
-    try {
-        console.log('[BG][ALARMS] Checking and recreating alarms after service worker wake...');
-
-        const existingAlarms = await chrome.alarms.getAll();
-        const existingAlarmTabIds = new Set(
-            existingAlarms
-                .filter(a => a.name.startsWith(ALARM_PREFIX))
-                .map(a => parseInt(a.name.replace(ALARM_PREFIX, ''), 10))
-        );
-
-        const tabs = await chrome.tabs.query({});
-        let recreatedCount = 0;
-
-        for (const tab of tabs) {
-            if (!isExtensionContextValid()) {
-                console.warn('[BG][ALARMS] Context invalidated during alarm recreation');
-                return;
-            }
-
-            // Skip tabs that already have alarms, internal pages, or suspended pages
-            if (existingAlarmTabIds.has(tab.id)) continue;
-            if (isInternalPage(tab.url)) continue;
-            if (isSuspendedPage(tab.url)) continue;
-            if (tab.active) continue; // Active tabs don't need alarms
-
-            // Recreate alarm for this tab
-            await startTabTimer(tab.id);
-            recreatedCount++;
-        }
-
-        console.log(`[BG][ALARMS] Recreated ${recreatedCount} alarms after service worker wake`);
-    } catch (error) {
-        if (error.message && (error.message.includes('Extension context invalidated') ||
-            error.message.includes('No SW'))) {
-            console.warn('[BG][ALARMS] Context invalidated during alarm recreation');
-            return;
-        }
-        console.error('[BG][ALARMS] Error recreating alarms:', error);
-    }
-}
-
 // Clean up orphaned storage data from tabs that no longer exist
 async function cleanupOrphanedStorageData() {
     if (!isExtensionContextValid()) {
@@ -212,47 +360,29 @@ async function cleanupOrphanedStorageData() {
         const existingTabs = await chrome.tabs.query({});
         const existingTabIds = new Set(existingTabs.map(t => t.id));
 
-        // Clean up tabLastActivity
-        const activityResult = await chrome.storage.session.get('tabLastActivity').catch(() =>
-            chrome.storage.local.get('tabLastActivity')
-        );
-        const tabLastActivity = activityResult?.tabLastActivity || {};
-        const cleanedActivity = {};
-        for (const [tabId, timestamp] of Object.entries(tabLastActivity)) {
-            if (existingTabIds.has(parseInt(tabId))) {
-                cleanedActivity[tabId] = timestamp;
-            }
+        // Clean up the per-tab caches
+        for (const key of ['tabLastActivity', 'tabTimers', 'tabSnoozes', 'tabWarnings', 'tabOverlays', 'tabFormStatus', 'tabUnloadPrompts', 'tabMediaStatus', 'tabBusyStatus']) {
+            await updateTabCache(key, data => {
+                const orphaned = Object.keys(data).filter(tabId => !existingTabIds.has(parseInt(tabId)));
+                if (orphaned.length === 0) return false;
+                orphaned.forEach(tabId => delete data[tabId]);
+            });
         }
-        await chrome.storage.session.set({ tabLastActivity: cleanedActivity }).catch(() =>
-            chrome.storage.local.set({ tabLastActivity: cleanedActivity })
-        );
 
-        // Clean up tabFormStatus
-        const formResult = await chrome.storage.session.get('tabFormStatus').catch(() =>
-            chrome.storage.local.get('tabFormStatus')
-        );
-        const tabFormStatus = formResult?.tabFormStatus || {};
-        const cleanedFormStatus = {};
-        for (const [tabId, status] of Object.entries(tabFormStatus)) {
-            if (existingTabIds.has(parseInt(tabId))) {
-                cleanedFormStatus[tabId] = status;
-            }
-        }
-        await chrome.storage.session.set({ tabFormStatus: cleanedFormStatus }).catch(() =>
-            chrome.storage.local.set({ tabFormStatus: cleanedFormStatus })
+        // Clean up suspended page metadata no open tab refers to
+        const metaResult = await chrome.storage.local.get(SuspendedPage.META_KEY);
+        const suspendedMeta = metaResult[SuspendedPage.META_KEY] || {};
+        const openTokens = new Set(
+            existingTabs.map(t => SuspendedPage.parseUrl(t.url)?.token).filter(Boolean)
         );
-
-        // Clean up orphaned alarms
-        const alarms = await chrome.alarms.getAll();
-        for (const alarm of alarms) {
-            if (alarm.name.startsWith(ALARM_PREFIX)) {
-                const tabId = parseInt(alarm.name.replace(ALARM_PREFIX, ''), 10);
-                if (!existingTabIds.has(tabId)) {
-                    await chrome.alarms.clear(alarm.name);
-                    console.log(`[BG][CLEANUP] Cleared orphaned alarm for tab ${tabId}`);
-                }
+        const metaCutoff = Date.now() - SUSPENDED_META_MAX_AGE_MS;
+        const cleanedMeta = {};
+        for (const [token, meta] of Object.entries(suspendedMeta)) {
+            if (openTokens.has(token) || meta.suspendedAt > metaCutoff) {
+                cleanedMeta[token] = meta;
             }
         }
+        await chrome.storage.local.set({ [SuspendedPage.META_KEY]: cleanedMeta });
 
         console.log('[BG][CLEANUP] Orphaned storage data cleaned up');
     } catch (error) {
@@ -311,6 +441,8 @@ async function loadSettings() {
         if (result.tabSuspenderSettings) {
             config = { ...DEFAULT_CONFIG, ...result.tabSuspenderSettings };
         }
+        await loadLearnedTimeouts();
+        settingsLoaded = true;
     } catch (error) {
         // Check for context invalidation errors
         if (error.message && (error.message.includes('Extension context invalidated') ||
@@ -322,14 +454,41 @@ async function loadSettings() {
     }
 }
 
+/**
+ * Load settings unless this service worker instance already has them
+ * Event handlers that may have woken the worker use this; re-reading storage
+ * would also drop in-memory changes whose save failed.
+ * @returns {Promise<void>}
+ */
+async function ensureSettingsLoaded() {
+    if (!settingsLoaded) await loadSettings();
+}
+
+/**
+ * Write config to sync storage
+ * @returns {Promise<boolean>} False if storage rejected the write (e.g. over the per-item quota)
+ */
 async function saveSettings() {
     try {
         await chrome.storage.sync.set({ tabSuspenderSettings: config });
+        return true;
     } catch (error) {
         console.error('[BG] Failed to save settings:', error);
+        return false;
     }
 }
 
+/**
+ * Check whether settings would fit in one sync storage item
+ * @param {object} settings
+ * @returns {boolean}
+ */
+function fitsSyncQuota(settings) {
+    // Chrome counts the key plus the JSON of the value
+    const bytes = new TextEncoder().encode('tabSuspenderSettings' + JSON.stringify(settings)).length;
+    return bytes <= chrome.storage.sync.QUOTA_BYTES_PER_ITEM;
+}
+
 // ============================================================================
 // CONTEXT MENUS
 // ============================================================================
@@ -360,6 +519,74 @@ function createContextMenus() {
                 title: 'Restore all tabs',
                 contexts: ['page']
             });
+
+            chrome.contextMenus.create({
+                id: 'suspendWindowOthers',
+                title: 'Suspend other tabs in this window',
+                contexts: ['page']
+            });
+
+            chrome.contextMenus.create({
+                id: 'restoreWindow',
+                title: 'Restore this window',
+                contexts: ['page']
+            });
+
+            chrome.contextMenus.create({
+                id: 'suspendOtherWindows',
+                title: 'Suspend all other windows',
+                contexts: ['page']
+            });
+
+            chrome.contextMenus.create({
+                id: 'snoozeTab',
+                title: 'Keep this tab awake',
+                contexts: ['page']
+            });
+
+            const snoozeTitles = {
+                '30m': 'For 30 minutes',
+                '2h': 'For 2 hours',
+                tomorrow: 'Until tomorrow',
+                closed: 'Until the tab is closed'
+            };
+            for (const duration of SNOOZE_DURATIONS) {
+                chrome.contextMenus.create({
+                    id: `${SNOOZE_MENU_PREFIX}${duration}`,
+                    parentId: 'snoozeTab',
+                    title: snoozeTitles[duration],
+                    contexts: ['page']
+                });
+            }
+
+            chrome.contextMenus.create({
+                id: 'unsnoozeTab',
+                parentId: 'snoozeTab',
+                title: 'End snooze',
+                contexts: ['page']
+            });
+
+            // Group items are only shown while the active tab is in a group (see updateGroupMenus)
+            chrome.contextMenus.create({
+                id: 'suspendGroup',
+                title: 'Suspend this group',
+                contexts: ['page'],
+                visible: false
+            });
+
+            chrome.contextMenus.create({
+                id: 'restoreGroup',
+                title: 'Restore this group',
+                contexts: ['page'],
+                visible: false
+            });
+
+            chrome.contextMenus.create({
+                id: 'suspendOtherGroups',
+                title: 'Suspend all groups except this one',
+                contexts: ['page'],
+                visible: false
+            });
         });
     } catch (error) {
         console.error('[BG] Failed to create context menus:', error);
@@ -381,6 +608,31 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
             case 'restoreAll':
                 await restoreAllTabs();
                 break;
+            case 'suspendWindowOthers':
+                await suspendWindow(tab.windowId, tab.id);
+                break;
+            case 'restoreWindow':
+                await restoreWindow(tab.windowId);
+                break;
+            case 'suspendOtherWindows':
+                await suspendOtherWindows(tab.windowId);
+                break;
+            case 'suspendGroup':
+                if (isGroupedTab(tab)) await suspendGroup(tab.groupId);
+                break;
+            case 'restoreGroup':
+                if (isGroupedTab(tab)) await restoreGroup(tab.groupId);
+                break;
+            case 'suspendOtherGroups':
+                if (isGroupedTab(tab)) await suspendOtherGroups(tab.groupId);
+                break;
+            case 'unsnoozeTab':
+                await unsnoozeTab(tab.id);
+                break;
+            default:
+                if (String(info.menuItemId).startsWith(SNOOZE_MENU_PREFIX)) {
+                    await snoozeTab(tab.id, info.menuItemId.slice(SNOOZE_MENU_PREFIX.length));
+                }
         }
     } catch (error) {
         console.error('[BG] Context menu action failed:', error);
@@ -408,6 +660,32 @@ chrome.commands.onCommand.addListener(async (command) => {
             case 'whitelist_site':
                 if (activeTab) await whitelistCurrentSite(activeTab);
                 break;
+            case 'suspend_window_others':
+                if (activeTab) await suspendWindow(activeTab.windowId, activeTab.id);
+                break;
+            case 'restore_window':
+                if (activeTab) await restoreWindow(activeTab.windowId);
+                break;
+            case 'suspend_other_windows':
+                if (activeTab) await suspendOtherWindows(activeTab.windowId);
+                break;
+            case 'suspend_group':
+                if (isGroupedTab(activeTab)) await suspendGroup(activeTab.groupId);
+                break;
+            case 'restore_group':
+                if (isGroupedTab(activeTab)) await restoreGroup(activeTab.groupId);
+                break;
+            case 'suspend_other_groups':
+                if (isGroupedTab(activeTab)) await suspendOtherGroups(activeTab.groupId);
+                break;
+            case 'toggle_snooze':
+                if (!activeTab) break;
+                if (await getTabSnooze(activeTab.id) !== undefined) {
+                    await unsnoozeTab(activeTab.id);
+                } else {
+                    await snoozeTab(activeTab.id, SNOOZE_COMMAND_DURATION);
+                }
+                break;
         }
     } catch (error) {
         console.error('[BG] Command failed:', error);
@@ -418,24 +696,38 @@ chrome.commands.onCommand.addListener(async (command) => {
 // TAB MONITORING  
 // ============================================================================
 
-async function startMonitoring() {
+/**
+ * Start timers for the tabs that should have one
+ * Runs on every service worker wake, so by default running timers are left alone.
+ * @param {object} [options]
+ * @param {boolean} [options.restart=false] - Restart running timers too (timer settings or schedule window changed)
+ * @returns {Promise<void>}
+ */
+async function startMonitoring({ restart = false } = {}) {
     if (!isExtensionContextValid()) {
         console.warn('[BG][TIMER] Extension context invalid, skipping monitoring start');
         return;
     }
     try {
-        const tabs = await chrome.tabs.query({});
+        const [tabs, timers, snoozes] = await Promise.all([
+            chrome.tabs.query({}),
+            loadTabCache('tabTimers'),
+            getAllTabSnoozes()
+        ]);
+        let started = 0;
         for (const tab of tabs) {
             // Re-check context validity in loop as it can become invalid mid-operation
             if (!isExtensionContextValid()) {
                 console.warn('[BG][TIMER] Context invalidated during tab iteration');
                 return;
             }
-            if (!isInternalPage(tab.url) && !isSuspendedPage(tab.url)) {
+            const snoozed = snoozes[tab.id] !== undefined;
+            if (restart || (timers[tab.id] === undefined && canHaveTimer(tab, { snoozed }))) {
                 await startTabTimer(tab.id);
+                started++;
             }
         }
-        console.log(`[BG][TIMER] Started monitoring ${tabs.length} tabs`);
+        console.log(`[BG][TIMER] Monitoring ${tabs.length} tabs, started ${started} timer(s)`);
     } catch (error) {
         // Check for context invalidation errors
         if (error.message && (error.message.includes('Extension context invalidated') ||
@@ -447,6 +739,34 @@ async function startMonitoring() {
     }
 }
 
+/**
+ * Check whether a tab gets a suspension timer
+ * @param {chrome.tabs.Tab} tab
+ * @param {object} [options]
+ * @param {boolean} [options.snoozed=false] - The tab has a running snooze (the sweeper restarts its timer when it ends)
+ * @returns {boolean}
+ */
+function canHaveTimer(tab, { snoozed = false } = {}) {
+    // Auto-suspend is paused - the schedule alarm restarts timers when the window ends
+    if (getActiveSchedule()?.action === 'pause') return false;
+    if (snoozed) return false;
+    if (isInternalPage(tab.url) || isSuspendedPage(tab.url)) return false;
+
+    // Discarded tabs only need a timer for the second stage of hybrid suspension
+    return !isDiscardedTab(tab) || getSuspensionMethod(tab.url).method === 'hybrid';
+}
+
+/**
+ * When a tab's timer runs out, under the current settings
+ * @param {chrome.tabs.Tab} tab
+ * @param {number} startedAt - The tab's tabTimers entry
+ * @returns {number} Timestamp (ms)
+ */
+function getTimerDeadline(tab, startedAt) {
+    const minutes = isDiscardedTab(tab) ? config.hybridPageDelay : getEffectiveTimeout(tab.url).minutes;
+    return startedAt + minutes * 60 * 1000;
+}
+
 async function startTabTimer(tabId) {
     // Check extension context is valid
     if (!isExtensionContextValid()) {
@@ -454,7 +774,7 @@ async function startTabTimer(tabId) {
         return;
     }
 
-    // Verify tab still exists before creating alarm
+    // Verify tab still exists before starting the timer
     const tab = await chrome.tabs.get(tabId).catch(() => null);
     if (!tab) {
         console.log(`[BG][TIMER] Tab ${tabId} no longer exists, skipping timer start`);
@@ -463,19 +783,25 @@ async function startTabTimer(tabId) {
 
     try {
         await clearTabTimer(tabId);
+        if (!canHaveTimer(tab, { snoozed: await getTabSnooze(tabId) !== undefined })) return;
 
-        const timeoutMinutes = config.suspensionTimeout;
-        const alarmName = `${ALARM_PREFIX}${tabId}`;
+        const discarded = isDiscardedTab(tab);
+        const { minutes: timeoutMinutes, source } = discarded
+            ? { minutes: config.hybridPageDelay, source: 'hybrid' }
+            : getEffectiveTimeout(tab.url);
 
-        // Create alarm using chrome.alarms API (persists across service worker restarts)
-        await chrome.alarms.create(alarmName, {
-            delayInMinutes: timeoutMinutes
+        // The sweeper suspends the tab once timeoutMinutes have passed since now
+        const startedAt = Date.now();
+        await updateTabCache('tabTimers', timers => {
+            timers[tabId] = startedAt;
         });
 
-        // Store last activity time in storage (persists across SW restarts)
-        await updateTabActivity(tabId);
+        // A discarded tab has not been used - keep its original activity time
+        if (!discarded) {
+            await updateTabActivity(tabId);
+        }
 
-        console.log(`[BG][TIMER] Started alarm for tab ${tabId}, will fire in ${timeoutMinutes} minutes`);
+        console.log(`[BG][TIMER] Started timer for tab ${tabId}, runs out in ${timeoutMinutes} minutes (${source})`);
     } catch (error) {
         // Check for context invalidation errors
         if (error.message && (error.message.includes('Extension context invalidated') ||
@@ -487,15 +813,27 @@ async function startTabTimer(tabId) {
     }
 }
 
-async function clearTabTimer(tabId) {
+/**
+ * Stop the timer of one or more tabs
+ * @param {number|number[]} tabIds
+ * @returns {Promise<void>}
+ */
+async function clearTabTimer(tabIds) {
+    const ids = [].concat(tabIds);
     // Gracefully handle errors when clearing timers
     try {
-        const alarmName = `${ALARM_PREFIX}${tabId}`;
-        await chrome.alarms.clear(alarmName);
+        await updateTabCache('tabTimers', timers => {
+            const running = ids.filter(tabId => timers[tabId] !== undefined);
+            if (running.length === 0) return false;
+            running.forEach(tabId => delete timers[tabId]);
+        });
+        // Activity, suspension or a snooze makes a shown warning or countdown moot
+        await withdrawSuspendWarnings(ids);
+        await hideSuspendOverlays(ids);
     } catch (error) {
-        // Ignore errors when clearing - tab may already be gone or context invalid
+        // Ignore errors when clearing - context may be invalid
         if (error.message && !error.message.includes('Extension context invalidated')) {
-            console.warn(`[BG][TIMER] Error clearing timer for tab ${tabId}:`, error.message);
+            console.warn(`[BG][TIMER] Error clearing timer for tab(s) ${ids.join(', ')}:`, error.message);
         }
     }
 }
@@ -511,7 +849,7 @@ async function resetTabTimer(tabId) {
     const tab = await chrome.tabs.get(tabId).catch(() => null);
     if (!tab) {
         console.log(`[BG][TIMER] Tab ${tabId} no longer exists, skipping timer reset`);
-        // Clean up any orphaned alarm
+        // Clean up any orphaned timer
         await clearTabTimer(tabId);
         return;
     }
@@ -520,163 +858,809 @@ async function resetTabTimer(tabId) {
     await startTabTimer(tabId);
 }
 
-async function updateTabActivity(tabId) {
-    try {
-        const result = await chrome.storage.session.get('tabLastActivity');
-        const tabLastActivity = result.tabLastActivity || {};
-        tabLastActivity[tabId] = Date.now();
-        await chrome.storage.session.set({ tabLastActivity });
-    } catch (error) {
-        // Fallback to local storage if session storage not available
-        try {
-            const result = await chrome.storage.local.get('tabLastActivity');
-            const tabLastActivity = result.tabLastActivity || {};
-            tabLastActivity[tabId] = Date.now();
-            await chrome.storage.local.set({ tabLastActivity });
-        } catch (fallbackError) {
-            // If both fail, log but don't crash - activity tracking is non-critical
-            console.warn(`[BG][TIMER] Failed to update activity for tab ${tabId}:`, fallbackError.message);
-        }
+/**
+ * Get the in-memory copy of a cached storage key, loading it on first use
+ * @param {string} key - 'tabLastActivity', 'tabTimers', 'tabSnoozes', 'tabWarnings', 'tabOverlays', 'tabFormStatus',
+ *     'tabUnloadPrompts', 'tabMediaStatus' or 'tabBusyStatus'
+ * @returns {Promise<Object<string, *>>} The live cache object - change it through updateTabCache()
+ */
+async function loadTabCache(key) {
+    const cache = tabCaches[key] || (tabCaches[key] = { data: null, loading: null, dirty: false });
+    if (cache.data) return cache.data;
+
+    if (!cache.loading) {
+        cache.loading = (async () => {
+            let stored;
+            try {
+                stored = (await chrome.storage.session.get(key))[key];
+            } catch {
+                // Fallback to local storage if session storage not available
+                stored = (await chrome.storage.local.get(key).catch(() => ({})))[key];
+            }
+            cache.data = stored || {};
+            cache.loading = null;
+            return cache.data;
+        })();
     }
+    return cache.loading;
 }
 
-async function getTabActivity(tabId) {
-    try {
-        const result = await chrome.storage.session.get('tabLastActivity');
-        const tabLastActivity = result.tabLastActivity || {};
-        return tabLastActivity[tabId] || Date.now();
-    } catch (error) {
-        try {
-            const result = await chrome.storage.local.get('tabLastActivity');
-            const tabLastActivity = result.tabLastActivity || {};
-            return tabLastActivity[tabId] || Date.now();
-        } catch (fallbackError) {
-            // If both fail, return current time as safe default
-            console.warn(`[BG][TIMER] Failed to get activity for tab ${tabId}:`, fallbackError.message);
-            return Date.now();
-        }
+/**
+ * Change a cached key in memory and schedule a flush
+ * @param {string} key - 'tabLastActivity', 'tabTimers', 'tabSnoozes', 'tabWarnings', 'tabOverlays', 'tabFormStatus',
+ *     'tabUnloadPrompts', 'tabMediaStatus' or 'tabBusyStatus'
+ * @param {Function} mutate - (data) => boolean|void, edits data in place; return false if nothing changed
+ * @returns {Promise<void>}
+ */
+async function updateTabCache(key, mutate) {
+    const data = await loadTabCache(key);
+    if (mutate(data) === false) return;
+
+    tabCaches[key].dirty = true;
+    // Changes made before the timer fires share its write
+    if (!tabCacheFlushTimer) {
+        tabCacheFlushTimer = setTimeout(flushTabCaches, TAB_CACHE_FLUSH_DELAY_MS);
     }
 }
 
-// Track form status for tabs (unsaved form data)
-async function updateTabFormStatus(tabId, hasUnsavedForms) {
-    try {
-        const result = await chrome.storage.session.get('tabFormStatus');
-        const tabFormStatus = result.tabFormStatus || {};
+/**
+ * Write changed cache keys to storage
+ * @returns {Promise<void>} Resolves once this flush, and any queued before it, is written
+ */
+function flushTabCaches() {
+    clearTimeout(tabCacheFlushTimer);
+    tabCacheFlushTimer = null;
+
+    tabCacheWriteQueue = tabCacheWriteQueue.then(async () => {
+        for (const [key, cache] of Object.entries(tabCaches)) {
+            if (!cache.dirty) continue;
+
+            // Snapshot at write time, so a queued flush always writes the latest data
+            cache.dirty = false;
+            const value = { [key]: { ...cache.data } };
+            try {
+                await chrome.storage.session.set(value);
+            } catch {
+                await chrome.storage.local.set(value);
+            }
+        }
+    }).catch(error => {
+        // If both fail, log but don't crash - the next change schedules another flush
+        console.warn('[BG][TIMER] Failed to flush tab caches:', error.message);
+    });
+
+    return tabCacheWriteQueue;
+}
+
+async function updateTabActivity(tabId) {
+    await updateTabCache('tabLastActivity', activity => {
+        activity[tabId] = Date.now();
+    });
+}
+
+// Forget a closed tab's activity time
+async function clearTabActivity(tabId) {
+    await updateTabCache('tabLastActivity', activity => {
+        if (activity[tabId] === undefined) return false;
+        delete activity[tabId];
+    });
+}
+
+async function getTabActivity(tabId) {
+    const activity = await loadTabCache('tabLastActivity');
+    return activity[tabId] || Date.now();
+}
+
+// Activity times of every tab, for least-recently-used ordering and the tab list
+async function getAllTabActivity() {
+    return { ...(await loadTabCache('tabLastActivity')) };
+}
+
+/**
+ * Track unsaved work reported by the content script
+ * @param {number} tabId
+ * @param {boolean} hasUnsavedForms - Form fields differ from what the page loaded with
+ * @param {boolean} [unloadPrompt=false] - The page's beforeunload handler would ask before leaving
+ * @returns {Promise<void>}
+ */
+async function updateTabFormStatus(tabId, hasUnsavedForms, unloadPrompt = false) {
+    await updateTabCache('tabFormStatus', tabFormStatus => {
+        if (tabFormStatus[tabId] === hasUnsavedForms) return false;
         tabFormStatus[tabId] = hasUnsavedForms;
-        await chrome.storage.session.set({ tabFormStatus });
         console.log(`[BG][FORMS] Tab ${tabId} form status: ${hasUnsavedForms ? 'has unsaved data' : 'clean'}`);
-    } catch (error) {
-        // Fallback to local storage
-        const result = await chrome.storage.local.get('tabFormStatus');
-        const tabFormStatus = result.tabFormStatus || {};
-        tabFormStatus[tabId] = hasUnsavedForms;
-        await chrome.storage.local.set({ tabFormStatus });
-    }
+    });
+    await updateTabCache('tabUnloadPrompts', tabUnloadPrompts => {
+        // Only tabs that would ask are kept
+        if ((tabUnloadPrompts[tabId] === true) === unloadPrompt) return false;
+        if (unloadPrompt) {
+            tabUnloadPrompts[tabId] = true;
+        } else {
+            delete tabUnloadPrompts[tabId];
+        }
+        console.log(`[BG][FORMS] Tab ${tabId} unload prompt: ${unloadPrompt ? 'would ask before leaving' : 'none'}`);
+    });
 }
 
-async function getTabFormStatus(tabId) {
-    try {
-        const result = await chrome.storage.session.get('tabFormStatus');
-        const tabFormStatus = result.tabFormStatus || {};
-        return tabFormStatus[tabId] || false;
-    } catch (error) {
-        const result = await chrome.storage.local.get('tabFormStatus');
-        const tabFormStatus = result.tabFormStatus || {};
-        return tabFormStatus[tabId] || false;
-    }
+// Form status of every tab, for bulk eligibility checks
+async function getAllTabFormStatus() {
+    return { ...(await loadTabCache('tabFormStatus')) };
+}
+
+// Unload prompts of every tab, for bulk eligibility checks
+async function getAllTabUnloadPrompts() {
+    return { ...(await loadTabCache('tabUnloadPrompts')) };
+}
+
+/**
+ * Forget the unsaved-form flag and unload prompt of one or more tabs
+ * @param {number|number[]} tabIds
+ * @returns {Promise<void>}
+ */
+async function clearTabFormStatus(tabIds) {
+    const ids = [].concat(tabIds);
+    await updateTabCache('tabFormStatus', tabFormStatus => {
+        const present = ids.filter(tabId => tabFormStatus[tabId] !== undefined);
+        if (present.length === 0) return false;
+        present.forEach(tabId => delete tabFormStatus[tabId]);
+    });
+    await updateTabCache('tabUnloadPrompts', tabUnloadPrompts => {
+        const present = ids.filter(tabId => tabUnloadPrompts[tabId] !== undefined);
+        if (present.length === 0) return false;
+        present.forEach(tabId => delete tabUnloadPrompts[tabId]);
+    });
+}
+
+/**
+ * Track calls, screen sharing, fullscreen and playing media reported by the content script
+ * @param {number} tabId
+ * @param {{capturing: boolean, inCall: boolean, fullscreen: boolean, playing: boolean}} status
+ * @returns {Promise<void>}
+ */
+async function updateTabMediaStatus(tabId, status) {
+    const media = {
+        capturing: status.capturing === true,
+        inCall: status.inCall === true,
+        fullscreen: status.fullscreen === true,
+        playing: status.playing === true
+    };
+    const active = Object.values(media).some(Boolean);
+
+    await updateTabCache('tabMediaStatus', tabMediaStatus => {
+        // Only tabs with something going on are kept
+        if (!active) {
+            if (tabMediaStatus[tabId] === undefined) return false;
+            delete tabMediaStatus[tabId];
+        } else {
+            tabMediaStatus[tabId] = media;
+        }
+        console.log(`[BG][MEDIA] Tab ${tabId} media status: ${active ? JSON.stringify(media) : 'none'}`);
+    });
+}
+
+// Media status of every tab, for bulk eligibility checks
+async function getAllTabMediaStatus() {
+    return { ...(await loadTabCache('tabMediaStatus')) };
 }
 
-async function clearTabFormStatus(tabId) {
+/**
+ * Forget the media status of one or more tabs
+ * @param {number|number[]} tabIds
+ * @returns {Promise<void>}
+ */
+async function clearTabMediaStatus(tabIds) {
+    const ids = [].concat(tabIds);
+    await updateTabCache('tabMediaStatus', tabMediaStatus => {
+        const present = ids.filter(tabId => tabMediaStatus[tabId] !== undefined);
+        if (present.length === 0) return false;
+        present.forEach(tabId => delete tabMediaStatus[tabId]);
+    });
+}
+
+/**
+ * Track uploads in flight reported by the content script
+ * @param {number} tabId
+ * @param {{uploads: number}} status
+ * @returns {Promise<void>}
+ */
+async function updateTabBusyStatus(tabId, status) {
+    const busy = {
+        uploads: Math.max(0, parseInt(status.uploads, 10) || 0)
+    };
+    const active = busy.uploads > 0;
+
+    await updateTabCache('tabBusyStatus', tabBusyStatus => {
+        // Only busy tabs are kept
+        if (!active) {
+            if (tabBusyStatus[tabId] === undefined) return false;
+            delete tabBusyStatus[tabId];
+        } else {
+            tabBusyStatus[tabId] = busy;
+        }
+        console.log(`[BG][BUSY] Tab ${tabId} busy status: ${active ? JSON.stringify(busy) : 'idle'}`);
+    });
+}
+
+// Busy status of every tab, for bulk eligibility checks
+async function getAllTabBusyStatus() {
+    return { ...(await loadTabCache('tabBusyStatus')) };
+}
+
+/**
+ * Forget the busy status of one or more tabs
+ * @param {number|number[]} tabIds
+ * @returns {Promise<void>}
+ */
+async function clearTabBusyStatus(tabIds) {
+    const ids = [].concat(tabIds);
+    await updateTabCache('tabBusyStatus', tabBusyStatus => {
+        const present = ids.filter(tabId => tabBusyStatus[tabId] !== undefined);
+        if (present.length === 0) return false;
+        present.forEach(tabId => delete tabBusyStatus[tabId]);
+    });
+}
+
+/**
+ * Arm the sweeper alarm, moving any per-tab alarms left by an older version first
+ * @returns {Promise<void>}
+ */
+async function startSweeper() {
+    if (!isExtensionContextValid()) return;
+
     try {
-        const result = await chrome.storage.session.get('tabFormStatus');
-        const tabFormStatus = result.tabFormStatus || {};
-        delete tabFormStatus[tabId];
-        await chrome.storage.session.set({ tabFormStatus });
-    } catch {
-        const result = await chrome.storage.local.get('tabFormStatus');
-        const tabFormStatus = result.tabFormStatus || {};
-        delete tabFormStatus[tabId];
-        await chrome.storage.local.set({ tabFormStatus });
+        await migrateTabAlarms();
+
+        // Re-creating a running alarm would push the next sweep back
+        if (!await chrome.alarms.get(SWEEP_ALARM_NAME)) {
+            await chrome.alarms.create(SWEEP_ALARM_NAME, { periodInMinutes: SWEEP_INTERVAL_MINUTES });
+            console.log(`[BG][TIMER] Sweeper armed, every ${SWEEP_INTERVAL_MINUTES} minute(s)`);
+        }
+    } catch (error) {
+        console.error('[BG][TIMER] Failed to start sweeper:', error);
     }
 }
 
-// Chrome Alarms listener - fires when a tab should be suspended or license check
-chrome.alarms.onAlarm.addListener(async (alarm) => {
-    // Check extension context is valid before processing alarms
-    if (!isExtensionContextValid()) {
-        console.warn('[BG][TIMER] Extension context invalid, skipping alarm processing');
-        return;
-    }
+/**
+ * Turn `suspend-tab-<id>` alarms into tabTimers entries that run out at the
+ * alarm's scheduled time, then clear the alarms
+ * @returns {Promise<void>}
+ */
+async function migrateTabAlarms() {
+    const alarms = (await chrome.alarms.getAll()).filter(alarm => alarm.name.startsWith(LEGACY_ALARM_PREFIX));
+    if (alarms.length === 0) return;
+
+    const tabs = await chrome.tabs.query({});
+    const tabsById = new Map(tabs.map(tab => [tab.id, tab]));
+    let migrated = 0;
+
+    await updateTabCache('tabTimers', timers => {
+        for (const alarm of alarms) {
+            const tab = tabsById.get(parseInt(alarm.name.slice(LEGACY_ALARM_PREFIX.length), 10));
+            if (!tab || timers[tab.id] !== undefined || !canHaveTimer(tab)) continue;
+
+            // Back-date the start so the deadline matches the alarm
+            timers[tab.id] = alarm.scheduledTime - getTimerDeadline(tab, 0);
+            migrated++;
+        }
+        if (migrated === 0) return false;
+    });
 
-    if (!alarm.name.startsWith(ALARM_PREFIX)) return;
+    await Promise.all(alarms.map(alarm => chrome.alarms.clear(alarm.name)));
+    console.log(`[BG][TIMER] Migrated ${migrated} of ${alarms.length} per-tab alarm(s) to the sweeper`);
+}
 
-    const tabId = parseInt(alarm.name.replace(ALARM_PREFIX, ''), 10);
-    console.log(`[BG][TIMER] Alarm fired for tab ${tabId}`);
+/**
+ * Suspend every tab whose timer has run out
+ *
+ * A timer runs out once: tabs are suspended (discarded tabs with a hybrid
+ * method move on to the suspended page), and tabs that can't be suspended
+ * right now get a fresh timer.
+ * @returns {Promise<void>}
+ */
+async function sweepTabTimers() {
+    if (sweepInProgress) return;
+    sweepInProgress = true;
 
     try {
-        // Validate tab still exists and hasn't been reused (Chrome can reuse tab IDs)
-        const tab = await chrome.tabs.get(tabId).catch(() => null);
-        if (!tab) {
-            console.log(`[BG][TIMER] Tab ${tabId} no longer exists, cleaning up`);
-            // Clean up all orphaned data for this tab
-            await chrome.alarms.clear(alarm.name).catch(() => {});
-            await clearTabFormStatus(tabId);
-            // Clean up activity data
-            try {
-                const result = await chrome.storage.session.get('tabLastActivity').catch(() =>
-                    chrome.storage.local.get('tabLastActivity')
-                );
-                const tabLastActivity = result?.tabLastActivity || {};
-                if (tabLastActivity[tabId]) {
-                    delete tabLastActivity[tabId];
-                    await chrome.storage.session.set({ tabLastActivity }).catch(() =>
-                        chrome.storage.local.set({ tabLastActivity })
-                    );
-                }
-            } catch (cleanupError) {
-                // Non-critical - ignore cleanup errors
+        // The sweep may be what woke the service worker
+        await ensureSettingsLoaded();
+        await endExpiredSnoozes();
+        await refreshLearnedTimeouts();
+
+        // The user is away - thawTabTimers() moves the timers on when they are back
+        if (await getIdleFrozenSince() !== null) return;
+
+        const timers = await loadTabCache('tabTimers');
+        if (Object.keys(timers).length === 0) return;
+
+        const [tabs, context] = await Promise.all([chrome.tabs.query({}), loadSuspendContext()]);
+        const tabsById = new Map(tabs.map(tab => [tab.id, tab]));
+        const now = Date.now();
+        const leadMs = config.suspendWarnings ? config.warningLeadMinutes * 60 * 1000 : 0;
+        const overlayMs = config.countdownOverlay ? config.countdownOverlaySeconds * 1000 : 0;
+        const closed = [];
+        let due = [];
+        const upcoming = [];
+        const counting = [];
+
+        for (const [tabId, startedAt] of Object.entries(timers)) {
+            const tab = tabsById.get(Number(tabId));
+            if (!tab) {
+                closed.push(Number(tabId));
+                continue;
+            }
+            const deadline = getTimerDeadline(tab, startedAt);
+            if (deadline <= now) {
+                due.push(tab);
+            }
+            if (leadMs > 0 && deadline - leadMs <= now) {
+                upcoming.push(tab);
+            }
+            // The countdown has to start before the next sweep comes round
+            if (overlayMs > 0 && deadline - overlayMs <= now + SWEEP_INTERVAL_MINUTES * 60 * 1000) {
+                counting.push(tab);
             }
-            return;
         }
 
-        // Check if the tab URL matches what we expect (prevents reused tab ID issues)
-        const storedActivity = await getTabActivity(tabId);
-        const timeSinceActivity = Date.now() - storedActivity;
-        const expectedTimeout = config.suspensionTimeout * 60 * 1000;
-
-        // If activity is very recent, the tab ID was likely reused - don't suspend
-        if (timeSinceActivity < expectedTimeout * 0.5) {
-            console.log(`[BG][TIMER] Tab ${tabId} has recent activity, likely reused ID - restarting timer`);
-            await startTabTimer(tabId);
-            return;
+        // Closed while the service worker was not running to see onRemoved
+        if (closed.length > 0) {
+            console.log(`[BG][TIMER] Dropping timers of ${closed.length} closed tab(s)`);
+            await clearTabTimer(closed);
+            await clearTabFormStatus(closed);
+            await clearTabMediaStatus(closed);
+            await clearTabBusyStatus(closed);
+            await Promise.all(closed.map(tabId => clearTabActivity(tabId)));
         }
 
-        // shouldSuspendTab returns false on any error, but handle all falsy values explicitly
-        const canSuspend = await shouldSuspendTab(tabId);
-        if (canSuspend === true) {
-            const suspended = await suspendTab(tabId);
-            if (suspended) {
-                console.log(`[BG][TIMER] Auto-suspended tab ${tabId}`);
+        // A due tab warned about (or counted down) just now gets the lead time before it is suspended
+        const warned = await sendSuspendWarnings(upcoming, context);
+        const counted = await showSuspendOverlays(counting, context);
+        due = due.filter(tab => !warned.has(tab.id) && !counted.has(tab.id));
+        if (due.length === 0) return;
+
+        await clearTabTimer(due.map(tab => tab.id));
+
+        const toPage = [];
+        const toSuspend = [];
+        const held = [];
+        for (const tab of due) {
+            const protections = getTabProtections(tab.id, context);
+            if (isDiscardedTab(tab)) {
+                // Hybrid second stage: move a long-discarded tab to the suspended page,
+                // or try again later if it is protected right now
+                if (getSuspensionMethod(tab.url).method === 'hybrid') {
+                    if (canSuspendTab(tab, { ...protections, allowDiscarded: true, automatic: true })) {
+                        toPage.push(tab);
+                    } else {
+                        held.push(tab);
+                    }
+                }
+            } else if (canSuspendTab(tab, { ...protections, automatic: true })) {
+                toSuspend.push(tab);
             } else {
-                console.log(`[BG][TIMER] Tab ${tabId} suspension failed (suspendTab returned false)`);
+                held.push(tab);
             }
-        } else {
-            console.log(`[BG][TIMER] Tab ${tabId} cannot be suspended (active/whitelisted/etc)`);
-            // Restart timer for tabs that can't be suspended now but might later
-            // (e.g., active tab that becomes inactive, audible tab that stops playing)
-            await startTabTimer(tabId);
+        }
+
+        if (toPage.length > 0) {
+            const moved = await suspendTabs(toPage, { method: 'page' });
+            console.log(`[BG][TIMER] Hybrid stage 2: moved ${moved} of ${toPage.length} discarded tab(s) to the suspended page`);
+        }
+        if (toSuspend.length > 0) {
+            const count = await suspendTabs(toSuspend);
+            console.log(`[BG][TIMER] Auto-suspended ${count} of ${toSuspend.length} tab(s)`);
+        }
+
+        // Restart timers for tabs that can't be suspended now but might later
+        // (e.g., active tab that becomes inactive, audible tab that stops playing)
+        for (const tab of held) {
+            await startTabTimer(tab.id);
         }
     } catch (error) {
         // Check for context invalidation errors
         if (error.message && (error.message.includes('Extension context invalidated') ||
             error.message.includes('No SW'))) {
-            console.warn(`[BG][TIMER] Context invalidated during alarm processing for tab ${tabId}`);
+            console.warn('[BG][TIMER] Context invalidated during sweep');
             return;
         }
-        console.error(`[BG][TIMER] Auto-suspend failed for tab ${tabId}:`, error);
+        console.error('[BG][TIMER] Sweep failed:', error);
+    } finally {
+        sweepInProgress = false;
     }
-});
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name !== SWEEP_ALARM_NAME) return;
+
+    // Check extension context is valid before processing alarms
+    if (!isExtensionContextValid()) {
+        console.warn('[BG][TIMER] Extension context invalid, skipping sweep');
+        return;
+    }
+
+    await sweepTabTimers();
+});
+
+// ============================================================================
+// SNOOZE
+// ============================================================================
+
+/**
+ * When a snooze started now ends
+ * @param {string} duration - One of SNOOZE_DURATIONS, or WARNING_SNOOZE_DURATION
+ * @param {Date} [now=new Date()]
+ * @returns {number|null} Timestamp, or null for "until the tab is closed"
+ */
+function getSnoozeExpiry(duration, now = new Date()) {
+    switch (duration) {
+        case '30m':
+            return now.getTime() + 30 * 60 * 1000;
+        case '1h':  // Suspend warning "Keep awake 1h" - not a menu preset
+            return now.getTime() + 60 * 60 * 1000;
+        case '2h':
+            return now.getTime() + 2 * 60 * 60 * 1000;
+        case 'tomorrow': {
+            const tomorrow = new Date(now);
+            tomorrow.setDate(tomorrow.getDate() + 1);
+            tomorrow.setHours(SNOOZE_TOMORROW_HOUR, 0, 0, 0);
+            return tomorrow.getTime();
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Keep a tab awake: its timer stops and nothing suspends it until the snooze ends
+ * @param {number} tabId
+ * @param {string} duration - See getSnoozeExpiry()
+ * @returns {Promise<number|null|undefined>} When the snooze ends (null = when the tab closes), undefined if the tab is gone
+ */
+async function snoozeTab(tabId, duration) {
+    const tab = await chrome.tabs.get(tabId).catch(() => null);
+    if (!tab) return undefined;
+
+    const until = getSnoozeExpiry(duration);
+    await updateTabCache('tabSnoozes', snoozes => {
+        snoozes[tabId] = until;
+    });
+    await clearTabTimer(tabId);
+
+    console.log(`[BG][SNOOZE] Tab ${tabId} snoozed ${until === null ? 'until closed' : `until ${new Date(until).toLocaleString()}`}`);
+    return until;
+}
+
+/**
+ * End a tab's snooze and start its timer from now
+ * @param {number} tabId
+ * @returns {Promise<boolean>} False if the tab was not snoozed
+ */
+async function unsnoozeTab(tabId) {
+    if (!await clearTabSnooze(tabId)) return false;
+
+    await startTabTimer(tabId);
+    console.log(`[BG][SNOOZE] Tab ${tabId} snooze ended`);
+    return true;
+}
+
+// Forget a tab's snooze (closed tab or ended snooze); false if it had none
+async function clearTabSnooze(tabId) {
+    let cleared = false;
+    await updateTabCache('tabSnoozes', snoozes => {
+        if (snoozes[tabId] === undefined) return false;
+        delete snoozes[tabId];
+        cleared = true;
+    });
+    return cleared;
+}
+
+// A snooze counts until its end time - expired entries wait for endExpiredSnoozes()
+function isSnoozeRunning(until, now = Date.now()) {
+    return until === null || until > now;
+}
+
+/**
+ * Get when a tab's snooze ends
+ * @param {number} tabId
+ * @returns {Promise<number|null|undefined>} Timestamp, null = until the tab closes, undefined = not snoozed
+ */
+async function getTabSnooze(tabId) {
+    const until = (await loadTabCache('tabSnoozes'))[tabId];
+    return until !== undefined && isSnoozeRunning(until) ? until : undefined;
+}
+
+// Running snoozes of every tab (tabId -> end time), for bulk eligibility checks
+async function getAllTabSnoozes() {
+    const now = Date.now();
+    return Object.fromEntries(
+        Object.entries(await loadTabCache('tabSnoozes')).filter(([, until]) => isSnoozeRunning(until, now))
+    );
+}
+
+// Run by the sweeper: drop snoozes that ran out and start the tabs' timers again
+async function endExpiredSnoozes() {
+    const now = Date.now();
+    let expired = [];
+    await updateTabCache('tabSnoozes', snoozes => {
+        expired = Object.keys(snoozes).filter(tabId => !isSnoozeRunning(snoozes[tabId], now));
+        if (expired.length === 0) return false;
+        expired.forEach(tabId => delete snoozes[tabId]);
+    });
+
+    for (const tabId of expired) {
+        console.log(`[BG][SNOOZE] Tab ${tabId} snooze expired`);
+        await startTabTimer(Number(tabId));
+    }
+}
+
+// ============================================================================
+// SUSPEND WARNINGS
+// ============================================================================
+
+// Warning rules: unsaved forms (warnOnUnsavedForms) or a warnDomains pattern
+function matchesWarningRule(tab, hasUnsavedForms) {
+    if (config.warnOnUnsavedForms && hasUnsavedForms) return true;
+    return UrlPatterns.isUrlMatched(tab.url, config.warnDomains || []);
+}
+
+/**
+ * Notify about tabs the sweeper will suspend within warningLeadMinutes
+ *
+ * Only tabs that match a warning rule and would really be suspended are
+ * warned about, once per timer and at most maxWarningsPerHour times an hour.
+ * A deadline closer than the lead time (sweeps are a minute apart, and the
+ * service worker may have been asleep) is pushed back to give the full lead time.
+ *
+ * @param {chrome.tabs.Tab[]} tabs - Tabs whose timer runs out within the lead time
+ * @param {object} context - loadSuspendContext() as read by the sweep
+ * @returns {Promise<Set<number>>} Tabs warned about now
+ */
+async function sendSuspendWarnings(tabs, context) {
+    const sent = new Set();
+    if (tabs.length === 0) return sent;
+
+    const [timers, warnings] = await Promise.all([loadTabCache('tabTimers'), loadTabCache('tabWarnings')]);
+    const candidates = tabs.filter(tab => {
+        const protections = getTabProtections(tab.id, context);
+        return warnings[tab.id] !== timers[tab.id] &&
+            !isDiscardedTab(tab) &&
+            matchesWarningRule(tab, protections.hasUnsavedForms) &&
+            canSuspendTab(tab, { ...protections, automatic: true });
+    });
+    if (candidates.length === 0) return sent;
+
+    const allowed = await takeWarningSlots(candidates.length);
+    if (allowed < candidates.length) {
+        console.log(`[BG][WARN] Rate limit reached, ${candidates.length - allowed} tab(s) not warned`);
+    }
+
+    const now = Date.now();
+    const leadMs = config.warningLeadMinutes * 60 * 1000;
+    for (const tab of candidates.slice(0, allowed)) {
+        const deadline = getTimerDeadline(tab, timers[tab.id]);
+        const suspendAt = Math.max(deadline, now + leadMs);
+        const startedAt = timers[tab.id] + (suspendAt - deadline);
+
+        await updateTabCache('tabTimers', data => {
+            data[tab.id] = startedAt;
+        });
+        await updateTabCache('tabWarnings', data => {
+            data[tab.id] = startedAt;
+        });
+        await showSuspendWarning(tab, suspendAt);
+        sent.add(tab.id);
+    }
+
+    return sent;
+}
+
+/**
+ * Reserve notifications under config.maxWarningsPerHour
+ * @param {number} count - Notifications wanted
+ * @returns {Promise<number>} How many may be sent
+ */
+async function takeWarningSlots(count) {
+    const now = Date.now();
+    const { [WARNING_LOG_KEY]: log = [] } = await chrome.storage.session.get(WARNING_LOG_KEY).catch(() => ({}));
+    const recent = log.filter(sentAt => sentAt > now - 60 * 60 * 1000);
+
+    const allowed = Math.max(0, Math.min(count, config.maxWarningsPerHour - recent.length));
+    if (allowed > 0) {
+        recent.push(...new Array(allowed).fill(now));
+        await chrome.storage.session.set({ [WARNING_LOG_KEY]: recent }).catch(() => {});
+    }
+    return allowed;
+}
+
+async function showSuspendWarning(tab, suspendAt) {
+    const minutes = Math.max(1, Math.round((suspendAt - Date.now()) / 60000));
+    let host = '';
+    try {
+        host = new URL(tab.url).hostname;
+    } catch {
+        // Keep the notification without a context line
+    }
+
+    try {
+        await chrome.notifications.create(`${WARNING_NOTIFICATION_PREFIX}${tab.id}`, {
+            type: 'basic',
+            iconUrl: 'icons/icon128.png',
+            title: `Suspending in ${minutes} minute${minutes === 1 ? '' : 's'}`,
+            message: tab.title || host || 'Untitled tab',
+            contextMessage: host,
+            buttons: [{ title: 'Keep awake 1h' }, { title: 'Suspend now' }],
+            priority: 0
+        });
+        console.log(`[BG][WARN] Warned about tab ${tab.id}, suspending at ${new Date(suspendAt).toLocaleTimeString()}`);
+    } catch (error) {
+        console.warn(`[BG][WARN] Failed to show warning for tab ${tab.id}:`, error.message);
+    }
+}
+
+/**
+ * Forget warnings for tabs whose timer stopped and close their notifications
+ * @param {number[]} tabIds
+ * @returns {Promise<void>}
+ */
+async function withdrawSuspendWarnings(tabIds) {
+    let warned = [];
+    await updateTabCache('tabWarnings', warnings => {
+        warned = tabIds.filter(tabId => warnings[tabId] !== undefined);
+        if (warned.length === 0) return false;
+        warned.forEach(tabId => delete warnings[tabId]);
+    });
+
+    await Promise.all(warned.map(tabId =>
+        chrome.notifications.clear(`${WARNING_NOTIFICATION_PREFIX}${tabId}`).catch(() => {})
+    ));
+}
+
+// Warning id -> tab id, null for other notifications
+function getWarningTabId(notificationId) {
+    if (!notificationId.startsWith(WARNING_NOTIFICATION_PREFIX)) return null;
+    return parseInt(notificationId.slice(WARNING_NOTIFICATION_PREFIX.length), 10);
+}
+
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+    const tabId = getWarningTabId(notificationId);
+    if (tabId === null) return;
+
+    try {
+        if (buttonIndex === 0) {
+            await snoozeTab(tabId, WARNING_SNOOZE_DURATION);
+        } else {
+            await suspendTab(tabId);
+        }
+    } catch (error) {
+        console.error(`[BG][WARN] Warning action failed for tab ${tabId}:`, error);
+    }
+    chrome.notifications.clear(notificationId).catch(() => {});
+});
+
+// Clicking the warning itself shows the tab (which restarts its timer)
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+    const tabId = getWarningTabId(notificationId);
+    if (tabId === null) return;
+
+    const tab = await chrome.tabs.get(tabId).catch(() => null);
+    if (tab) {
+        await chrome.tabs.update(tabId, { active: true }).catch(() => {});
+        await chrome.windows.update(tab.windowId, { focused: true }).catch(() => {});
+    }
+    chrome.notifications.clear(notificationId).catch(() => {});
+});
+
+// ============================================================================
+// COUNTDOWN OVERLAY
+// ============================================================================
+
+/**
+ * Start the in-page countdown for tabs the sweeper will suspend soon
+ *
+ * Works like sendSuspendWarnings(): once per timer, only for tabs that would
+ * really be suspended, and a deadline closer than countdownOverlaySeconds is
+ * pushed back so the countdown runs its full length. Tabs whose page did not
+ * answer (no content script) are left to the sweeper.
+ *
+ * @param {chrome.tabs.Tab[]} tabs - Tabs whose countdown starts before the next sweep
+ * @param {object} context - loadSuspendContext() as read by the sweep
+ * @returns {Promise<Set<number>>} Tabs whose countdown started now
+ */
+async function showSuspendOverlays(tabs, context) {
+    const shown = new Set();
+    if (tabs.length === 0) return shown;
+
+    const [timers, overlays] = await Promise.all([loadTabCache('tabTimers'), loadTabCache('tabOverlays')]);
+    const now = Date.now();
+    const overlayMs = config.countdownOverlaySeconds * 1000;
+
+    for (const tab of tabs) {
+        if (timers[tab.id] === undefined || overlays[tab.id] === timers[tab.id] ||
+            isDiscardedTab(tab) ||
+            UrlPatterns.isUrlMatched(tab.url, config.overlayExcludedDomains || []) ||
+            !canSuspendTab(tab, { ...getTabProtections(tab.id, context), automatic: true })) {
+            continue;
+        }
+
+        // A warning sent in this sweep may have moved the deadline past the next sweep
+        const deadline = getTimerDeadline(tab, timers[tab.id]);
+        if (deadline - overlayMs > now + SWEEP_INTERVAL_MINUTES * 60 * 1000) continue;
+
+        const suspendAt = Math.max(deadline, now + overlayMs);
+        if (!await sendOverlayMessage(tab.id, { type: 'SHOW_SUSPEND_OVERLAY', suspendAt, seconds: config.countdownOverlaySeconds })) {
+            continue;
+        }
+
+        const previous = timers[tab.id];
+        const startedAt = previous + (suspendAt - deadline);
+        await updateTabCache('tabTimers', data => {
+            data[tab.id] = startedAt;
+        });
+        // Keep a warning already sent for this timer from being sent again
+        await updateTabCache('tabWarnings', data => {
+            if (data[tab.id] !== previous) return false;
+            data[tab.id] = startedAt;
+        });
+        await updateTabCache('tabOverlays', data => {
+            data[tab.id] = startedAt;
+        });
+        shown.add(tab.id);
+        console.log(`[BG][OVERLAY] Countdown started in tab ${tab.id}, suspending at ${new Date(suspendAt).toLocaleTimeString()}`);
+    }
+
+    return shown;
+}
+
+/**
+ * Forget countdowns for tabs whose timer stopped and remove them from the page
+ * @param {number[]} tabIds
+ * @returns {Promise<void>}
+ */
+async function hideSuspendOverlays(tabIds) {
+    let counting = [];
+    await updateTabCache('tabOverlays', overlays => {
+        counting = tabIds.filter(tabId => overlays[tabId] !== undefined);
+        if (counting.length === 0) return false;
+        counting.forEach(tabId => delete overlays[tabId]);
+    });
+
+    await Promise.all(counting.map(tabId => sendOverlayMessage(tabId, { type: 'HIDE_SUSPEND_OVERLAY' })));
+}
+
+// Message the tab's content script; false if it didn't answer in time
+async function sendOverlayMessage(tabId, message) {
+    try {
+        const response = await Promise.race([
+            chrome.tabs.sendMessage(tabId, message),
+            new Promise(resolve => setTimeout(() => resolve(null), OVERLAY_MESSAGE_TIMEOUT_MS))
+        ]);
+        return response?.success === true;
+    } catch {
+        // No content script (restricted page, page loaded before install, etc.)
+        return false;
+    }
+}
+
+/**
+ * Act on a button or the end of the countdown in a tab's overlay
+ * @param {number} tabId
+ * @param {'keepAwake'|'suspendNow'|'elapsed'} action
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function handleOverlayAction(tabId, action) {
+    switch (action) {
+        case 'keepAwake':
+            await snoozeTab(tabId, OVERLAY_KEEP_AWAKE_DURATION);
+            return { success: true };
+        case 'suspendNow':
+            return { success: await suspendTab(tabId) };
+        case 'elapsed':
+            // The sweep re-checks the deadline, so a tab used in the meantime stays
+            await sweepTabTimers();
+            return { success: true };
+        default:
+            return { success: false, error: `Unknown overlay action: ${action}` };
+    }
+}
 
 // ============================================================================
 // TAB EVENT LISTENERS
@@ -693,6 +1677,8 @@ chrome.tabs.onActivated.addListener(async (activeInfo) => {
         }
 
         await resetTabTimer(activeInfo.tabId);
+        updateGroupMenus(tab);
+        enforceTabCap(activeInfo.windowId);
 
         if (config.autoUnsuspendOnFocus && isSuspendedPage(tab.url)) {
             await restoreTab(activeInfo.tabId);
@@ -713,10 +1699,23 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
 
     // Handle URL changes (including SPA navigation via history API)
     if (changeInfo.url) {
+        // Keep the suspended tab registry in step, whichever code path suspended or restored the tab
+        if (isSuspendedPage(changeInfo.url)) {
+            await registerSuspendedTab(tab);
+        } else {
+            const restored = await unregisterSuspendedTab(tabId);
+            // Back on the suspended site - not somewhere else typed into the tab
+            if (restored && getDomainKey(restored.url) === getDomainKey(changeInfo.url)) {
+                await recordTabRestore(restored.url, restored.suspendedAt);
+            }
+        }
+
         if (isInternalPage(changeInfo.url) || isSuspendedPage(changeInfo.url)) {
-            // Tab navigated to internal/suspended page - clear any existing alarm
+            // Tab navigated to internal/suspended page - clear any existing timer
             await clearTabTimer(tabId);
             await clearTabFormStatus(tabId);
+            await clearTabMediaStatus(tabId);
+            await clearTabBusyStatus(tabId);
         } else {
             // URL changed to a normal page - reset timer
             await resetTabTimer(tabId);
@@ -726,33 +1725,63 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
     // Handle page load complete
     if (changeInfo.status === 'complete' && !isInternalPage(tab.url) && !isSuspendedPage(tab.url)) {
         await resetTabTimer(tabId);
+        await restorePendingTabState(tabId, tab.url);
+        // Background tabs opened from links only become web pages here
+        enforceTabCap(tab.windowId);
+        // Frees a restore queue slot if this tab was being restored from it
+        if (await finishQueuedRestore(tabId)) {
+            pumpRestoreQueue();
+        }
+    }
+
+    // Tab moved into or out of a group
+    if (changeInfo.groupId !== undefined && tab.active) {
+        updateGroupMenus(tab);
+    }
+
+    // Handle discards (ours, the popup's or Chrome's own memory saver)
+    if (changeInfo.discarded !== undefined) {
+        if (changeInfo.discarded) {
+            await clearTabFormStatus(tabId);
+            await clearTabMediaStatus(tabId);
+            await clearTabBusyStatus(tabId);
+            await startTabTimer(tabId); // Only re-arms for hybrid suspension
+        } else if (tab.active && !isSuspendedPage(tab.url)) {
+            // The user switched back to a discarded tab and Chrome reloaded it
+            const suspendedAt = await findLastSuspension(tab.url);
+            if (suspendedAt) await recordTabRestore(tab.url, suspendedAt);
+        }
+        updateBadge();
     }
 });
 
 chrome.tabs.onRemoved.addListener(async (tabId) => {
     await clearTabTimer(tabId);
 
-    // Clean up form status to prevent memory leak
+    // Closed on purpose - not something to recover later
+    await unregisterSuspendedTab(tabId);
+
+    if (await finishQueuedRestore(tabId, { skipped: true })) {
+        pumpRestoreQueue();
+    }
+
+    // Clean up form, media and busy status to prevent memory leak
     await clearTabFormStatus(tabId);
+    await clearTabMediaStatus(tabId);
+    await clearTabBusyStatus(tabId);
 
     // Clean up stored activity time
-    try {
-        const result = await chrome.storage.session.get('tabLastActivity');
-        const tabLastActivity = result.tabLastActivity || {};
-        delete tabLastActivity[tabId];
-        await chrome.storage.session.set({ tabLastActivity });
-    } catch {
-        const result = await chrome.storage.local.get('tabLastActivity');
-        const tabLastActivity = result.tabLastActivity || {};
-        delete tabLastActivity[tabId];
-        await chrome.storage.local.set({ tabLastActivity });
-    }
+    await clearTabActivity(tabId);
+
+    // "Until the tab is closed" snoozes end here
+    await clearTabSnooze(tabId);
 });
 
 chrome.tabs.onCreated.addListener(async (tab) => {
     if (!isInternalPage(tab.url)) {
         await startTabTimer(tab.id);
     }
+    enforceTabCap(tab.windowId);
 });
 
 // ============================================================================
@@ -791,19 +1820,128 @@ async function handleMessage(message, sender) {
             case 'FORM_STATUS':
                 // Track form status for this tab - requires valid sender.tab
                 if (sender.tab && sender.tab.id !== undefined) {
-                    await updateTabFormStatus(sender.tab.id, message.hasUnsavedForms);
+                    await updateTabFormStatus(sender.tab.id, message.hasUnsavedForms, message.unloadPrompt === true);
                 } else {
                     console.warn('[BG] FORM_STATUS received without valid sender.tab');
                 }
                 return { success: true };
 
+            case 'SUSPEND_OVERLAY_ACTION':
+                // Buttons and end of the in-page countdown - requires valid sender.tab
+                if (sender.tab && sender.tab.id !== undefined) {
+                    return await handleOverlayAction(sender.tab.id, message.action);
+                }
+                console.warn('[BG] SUSPEND_OVERLAY_ACTION received without valid sender.tab');
+                return { success: false, error: 'Missing sender tab' };
+
+            case 'MEDIA_STATUS':
+                // Calls, screen sharing, fullscreen and playing media - requires valid sender.tab
+                if (sender.tab && sender.tab.id !== undefined) {
+                    await updateTabMediaStatus(sender.tab.id, message);
+                } else {
+                    console.warn('[BG] MEDIA_STATUS received without valid sender.tab');
+                }
+                return { success: true };
+
+            case 'BUSY_STATUS':
+                // Uploads in flight - requires valid sender.tab
+                if (sender.tab && sender.tab.id !== undefined) {
+                    await updateTabBusyStatus(sender.tab.id, message);
+                } else {
+                    console.warn('[BG] BUSY_STATUS received without valid sender.tab');
+                }
+                return { success: true };
+
             case 'CONTENT_SCRIPT_READY':
                 // Content script signaling it's ready - may or may not have sender.tab
                 if (sender.tab && sender.tab.id !== undefined) {
                     console.log('[BG] Content script ready for tab:', sender.tab.id);
+                    // A new document - media and uploads from the previous page are gone
+                    await clearTabMediaStatus(sender.tab.id);
+                    await clearTabBusyStatus(sender.tab.id);
+                }
+                return { success: true };
+
+            case 'PREPARE_RESTORE':
+                // Sent by suspended.html / popup just before navigating back to the original URL
+                const prepareTabId = message.tabId ?? sender.tab?.id;
+                if (prepareTabId !== undefined && message.suspensionId) {
+                    await queueStateRestore(prepareTabId, message.suspensionId);
                 }
                 return { success: true };
 
+            case 'CAPTURE_TAB_STATE':
+                // Popup suspends tabs itself but still needs state saved before navigating away
+                const captureTab = await chrome.tabs.get(message.tabId).catch(() => null);
+                if (!captureTab || !message.suspensionId) return { hasState: false, hasDraft: false };
+                return await captureTabState(captureTab, message.suspensionId);
+
+            case 'GET_DRAFT_STATUS':
+                const draft = message.suspensionId ? await getFormDraft(message.suspensionId) : null;
+                return {
+                    hasDraft: !!draft,
+                    fieldCount: draft?.fieldCount || 0,
+                    expiresAt: draft ? draft.savedAt + getDraftMaxAgeMs() : null
+                };
+
+            // Recovery page (recovery.html)
+            case 'GET_LOST_TABS':
+                return { tabs: await getLostTabs() };
+
+            case 'REOPEN_LOST_TABS':
+                const reopened = await reopenLostTabs(message.tokens);
+                return { success: true, count: reopened };
+
+            case 'DISMISS_LOST_TABS':
+                await dismissLostTabs(message.tokens);
+                return { success: true };
+
+            // Migration from other suspenders (settings.js / onboarding.js)
+            case 'SCAN_FOREIGN_SUSPENDED':
+                return { count: (await findForeignSuspendedTabs()).length };
+
+            case 'IMPORT_FOREIGN_SUSPENDED':
+                return { success: true, ...(await importForeignSuspendedTabs()) };
+
+            case 'IMPORT_FOREIGN_WHITELIST':
+                if (typeof message.text !== 'string') {
+                    return { success: false, error: 'No whitelist provided' };
+                }
+                return await importForeignWhitelist(message.text);
+
+            case 'GET_TAB_CAP_STATUS':
+                return await getTabCapStatus(message.windowId);
+
+            case 'SUSPEND_WINDOW':
+                if (!Number.isInteger(message.windowId)) {
+                    return { success: false, error: 'No window specified' };
+                }
+                const windowSuspended = message.otherWindows
+                    ? await suspendOtherWindows(message.windowId)
+                    : await suspendWindow(message.windowId, message.exceptTabId ?? null);
+                return { success: true, count: windowSuspended };
+
+            case 'RESTORE_WINDOW':
+                if (!Number.isInteger(message.windowId)) {
+                    return { success: false, error: 'No window specified' };
+                }
+                return { success: true, count: await restoreWindow(message.windowId) };
+
+            case 'SUSPEND_GROUP':
+                if (!Number.isInteger(message.groupId) || message.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE) {
+                    return { success: false, error: 'No group specified' };
+                }
+                const groupSuspended = message.otherGroups
+                    ? await suspendOtherGroups(message.groupId)
+                    : await suspendGroup(message.groupId);
+                return { success: true, count: groupSuspended };
+
+            case 'RESTORE_GROUP':
+                if (!Number.isInteger(message.groupId) || message.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE) {
+                    return { success: false, error: 'No group specified' };
+                }
+                return { success: true, count: await restoreGroup(message.groupId) };
+
             case 'SUSPEND_TAB':
                 if (message.tabId === undefined) {
                     console.warn('[BG] SUSPEND_TAB received without tabId');
@@ -824,10 +1962,41 @@ async function handleMessage(message, sender) {
                 const suspended = await suspendAllInactive();
                 return { success: true, count: suspended };
 
+            case 'SUSPEND_TABS':
+                const suspendedById = await suspendTabsById(message.tabIds || []);
+                return { success: true, count: suspendedById };
+
             case 'RESTORE_ALL':
                 const restored = await restoreAllTabs();
                 return { success: true, count: restored };
 
+            case 'GET_RESTORE_PROGRESS':
+                return await getRestoreQueueStatus();
+
+            case 'CANCEL_RESTORE':
+                const cancelled = await cancelRestoreQueue();
+                return { success: true, count: cancelled };
+
+            case 'SNOOZE_TAB':
+                if (message.tabId === undefined) {
+                    console.warn('[BG] SNOOZE_TAB received without tabId');
+                    return { success: false, error: 'Missing tabId' };
+                }
+                if (!SNOOZE_DURATIONS.includes(message.duration)) {
+                    return { success: false, error: `Unknown snooze duration: ${message.duration}` };
+                }
+                const snoozedUntil = await snoozeTab(message.tabId, message.duration);
+                return snoozedUntil === undefined
+                    ? { success: false, error: 'Tab not found' }
+                    : { success: true, snoozedUntil };
+
+            case 'UNSNOOZE_TAB':
+                if (message.tabId === undefined) {
+                    console.warn('[BG] UNSNOOZE_TAB received without tabId');
+                    return { success: false, error: 'Missing tabId' };
+                }
+                return { success: await unsnoozeTab(message.tabId) };
+
             case 'GET_TAB_LIST':
                 return await getTabList();
 
@@ -838,26 +2007,70 @@ async function handleMessage(message, sender) {
                 return { settings: config };
 
             case 'SAVE_SETTINGS':
-                const oldTimeout = config.suspensionTimeout;
-                config = { ...config, ...message.settings };
-                await saveSettings();
+                const previousConfig = config;
+                const nextConfig = { ...config, ...message.settings };
+                // Site rules, patterns and schedules all share one sync item
+                if (!fitsSyncQuota(nextConfig)) {
+                    console.warn('[BG][SETTINGS] Settings would exceed the sync quota, not saved');
+                    return { success: false, error: 'Too many site rules and patterns to save - remove some and try again' };
+                }
+                config = nextConfig;
+                if (!await saveSettings()) {
+                    config = previousConfig;
+                    return { success: false, error: 'Could not save settings' };
+                }
+
+                // The settings page sends every key on each save - only react to real changes
+                const settingChanged = (...keys) =>
+                    keys.some(key => JSON.stringify(config[key]) !== JSON.stringify(previousConfig[key]));
 
                 // If timeout changed, restart all tab timers with new value
-                if (message.settings.suspensionTimeout !== undefined &&
-                    message.settings.suspensionTimeout !== oldTimeout) {
-                    console.log(`[BG][SETTINGS] Timeout changed from ${oldTimeout} to ${message.settings.suspensionTimeout}, restarting timers`);
-                    await startMonitoring();
+                if (settingChanged('suspensionTimeout')) {
+                    console.log(`[BG][SETTINGS] Timeout changed from ${previousConfig.suspensionTimeout} to ${config.suspensionTimeout}, restarting timers`);
+                    await startMonitoring({ restart: true });
+                } else if (settingChanged(...TIMER_SETTING_KEYS)) {
+                    console.log('[BG][SETTINGS] Per-site timeouts, schedules or suspension method changed, restarting timers');
+                    await startMonitoring({ restart: true });
+                }
+
+                if (settingChanged('memoryThreshold')) {
+                    await startMemoryMonitor();
+                }
+                if (settingChanged('schedules')) {
+                    await startScheduleMonitor();
+                }
+                if (settingChanged('maxLoadedTabs', 'maxLoadedTabsScope')) {
+                    await enforceTabCapEverywhere();
+                }
+                if (settingChanged('neverSuspendUnsavedWork')) {
+                    await syncUnloadProbe();
+                }
+                if (settingChanged('neverSuspendCalls', 'neverSuspendBusyTabs')) {
+                    await syncPageHooks();
+                }
+                if (settingChanged('suspensionTimeout', 'adaptiveTimeouts', 'adaptiveMinMinutes', 'adaptiveMaxMinutes')) {
+                    await refreshLearnedTimeouts({ force: true });
+                }
+                if (settingChanged('restoreConcurrency')) {
+                    // A higher limit opens more slots for a queue that is already running
+                    await pumpRestoreQueue();
                 }
                 return { success: true };
 
             case 'WHITELIST_DOMAIN':
-                await addToWhitelist(message.domain);
-                return { success: true };
+                return await addToWhitelist(message.domain);
 
             case 'REMOVE_WHITELIST':
                 await removeFromWhitelist(message.domain);
                 return { success: true };
 
+            case 'GET_LEARNED_TIMEOUTS':
+                return await getLearnedTimeoutsHandler();
+
+            case 'RESET_LEARNED_TIMEOUTS':
+                await resetLearnedTimeouts(typeof message.domain === 'string' ? message.domain : undefined);
+                return { success: true };
+
             case 'RELOAD_CONFIG':
                 // Reload settings from storage (called when popup updates whitelist)
                 await loadSettings();
@@ -890,235 +2103,2622 @@ async function handleMessage(message, sender) {
                 return { success: true, stats: syncStats };
             // ========== END AGENT 2 ==========
 
-            default:
-                console.warn('[BG] Unknown message type:', message.type);
-                return { error: 'Unknown message type' };
+            default:
+                console.warn('[BG] Unknown message type:', message.type);
+                return { error: 'Unknown message type' };
+        }
+    } catch (error) {
+        console.error('[BG] Error in handleMessage:', error);
+        throw error; // Re-throw to be caught by the outer handler
+    }
+}
+
+// ============================================================================
+// SUSPENSION LOGIC
+// ============================================================================
+
+/**
+ * Read the per-tab state canSuspendTab() checks, for every tab at once
+ * A new protection signal is read here and mapped in getTabProtections().
+ * @returns {Promise<{tabFormStatus: object, tabUnloadPrompts: object, tabMediaStatus: object, tabBusyStatus: object, snoozes: object}>}
+ */
+async function loadSuspendContext() {
+    const [tabFormStatus, tabUnloadPrompts, tabMediaStatus, tabBusyStatus, snoozes] = await Promise.all([
+        getAllTabFormStatus(),
+        getAllTabUnloadPrompts(),
+        getAllTabMediaStatus(),
+        getAllTabBusyStatus(),
+        getAllTabSnoozes()
+    ]);
+    return { tabFormStatus, tabUnloadPrompts, tabMediaStatus, tabBusyStatus, snoozes };
+}
+
+/**
+ * One tab's protections from loadSuspendContext(), as canSuspendTab() options
+ * @param {number} tabId
+ * @param {object} context - See loadSuspendContext()
+ * @returns {{hasUnsavedForms: boolean, unloadPrompt: boolean, media: object|null, busy: object|null, snoozed: boolean}}
+ */
+function getTabProtections(tabId, context) {
+    return {
+        hasUnsavedForms: context.tabFormStatus[tabId] === true,
+        unloadPrompt: context.tabUnloadPrompts[tabId] === true,
+        media: context.tabMediaStatus[tabId] || null,
+        busy: context.tabBusyStatus[tabId] || null,
+        snoozed: context.snoozes[tabId] !== undefined
+    };
+}
+
+/**
+ * Check whether a tab may be suspended, against state the caller already read
+ * @param {chrome.tabs.Tab} tab - The tab to check
+ * @param {object} [options] - getTabProtections() plus the flags below
+ * @param {boolean} [options.hasUnsavedForms=false] - The tab's tabFormStatus flag
+ * @param {boolean} [options.unloadPrompt=false] - The tab's tabUnloadPrompts flag
+ * @param {object|null} [options.media=null] - The tab's tabMediaStatus entry
+ * @param {object|null} [options.busy=null] - The tab's tabBusyStatus entry
+ * @param {boolean} [options.snoozed=false] - The tab has a running snooze
+ * @param {boolean} [options.allowDiscarded=false] - Treat discarded tabs as candidates (hybrid stage 2)
+ * @param {boolean} [options.automatic=false] - Timer or memory pressure, not a user action (held by pause schedules)
+ * @returns {boolean}
+ */
+function canSuspendTab(tab, { hasUnsavedForms = false, unloadPrompt = false, media = null, busy = null, snoozed = false, allowDiscarded = false, automatic = false } = {}) {
+    if (isInternalPage(tab.url)) return false;
+    if (isSuspendedPage(tab.url)) return false;
+    if (tab.discarded && !allowDiscarded) return false;
+    if (config.neverSuspendActiveTab && tab.active) return false;
+    if (!config.suspendPinnedTabs && tab.pinned) return false;
+    if (config.neverSuspendAudio && tab.audible) return false;
+    if (getMediaProtection(media)) return false;
+    if (isWhitelisted(tab.url)) return false;
+    if (snoozed) return false;
+    if (automatic && getActiveSchedule()?.action === 'pause') return false;
+
+    // Deferred only: the sweep re-arms the timer and tries again once the page is idle
+    const busyReason = getBusyProtection(busy);
+    if (busyReason) {
+        console.log(`[BG][BUSY] Tab ${tab.id} is busy (${busyReason}) - deferring suspension`);
+        return false;
+    }
+
+    // Editors the form check can't see - no draft can be held for them
+    if (unloadPrompt && config.neverSuspendUnsavedWork) {
+        console.log(`[BG][FORMS] Tab ${tab.id} would ask before leaving - skipping suspension`);
+        return false;
+    }
+
+    // HIGH-6: Don't suspend tabs with unsaved form data (unless the draft can be held)
+    if (hasUnsavedForms) {
+        if (!canPreserveDraft(tab.url)) {
+            console.log(`[BG][FORMS] Tab ${tab.id} has unsaved form data - skipping suspension`);
+            return false;
+        }
+        console.log(`[BG][FORMS] Tab ${tab.id} has unsaved form data - draft will be preserved`);
+    }
+
+    return true;
+}
+
+/**
+ * Which media protection keeps a tab loaded
+ * @param {object|null|undefined} media - The tab's tabMediaStatus entry
+ * @returns {'calls'|'fullscreen'|'media'|null} Matching exclusion reason, null if none applies
+ */
+function getMediaProtection(media) {
+    if (!media) return null;
+    if (config.neverSuspendCalls && (media.capturing || media.inCall)) return 'calls';
+    if (config.neverSuspendFullscreen && media.fullscreen) return 'fullscreen';
+    if (config.neverSuspendPlayingMedia && media.playing) return 'media';
+    return null;
+}
+
+/**
+ * Which busy state keeps a tab loaded
+ * @param {object|null|undefined} busy - The tab's tabBusyStatus entry
+ * @returns {'uploads'|null} Matching exclusion reason, null if none applies
+ */
+function getBusyProtection(busy) {
+    if (!busy || !config.neverSuspendBusyTabs) return null;
+    if (busy.uploads > 0) return 'uploads';
+    return null;
+}
+
+/**
+ * Check whether a tab may be suspended right now
+ * @param {number} tabId - The tab to check
+ * @param {object} [options] - allowDiscarded / automatic, see canSuspendTab()
+ * @returns {Promise<boolean>}
+ */
+async function shouldSuspendTab(tabId, { allowDiscarded = false, automatic = false } = {}) {
+    try {
+        // Defensive handling: tab may have been closed
+        const tab = await chrome.tabs.get(tabId).catch(() => null);
+        if (!tab) {
+            console.log(`[BG][SUSPEND] Tab ${tabId} no longer exists`);
+            return false;
+        }
+
+        const context = await loadSuspendContext();
+        return canSuspendTab(tab, { ...getTabProtections(tabId, context), allowDiscarded, automatic });
+    } catch (error) {
+        console.error('[BG] shouldSuspendTab error:', error);
+        return false;
+    }
+}
+
+/**
+ * Suspend a tab using the configured suspension method
+ * @param {number} tabId - The tab to suspend
+ * @param {object} [options]
+ * @param {string} [options.method] - Force 'page', 'discard' or 'hybrid' instead of the configured method
+ * @param {boolean} [options.automatic=false] - See shouldSuspendTab()
+ * @returns {Promise<boolean>} True if the tab was suspended
+ */
+async function suspendTab(tabId, options = {}) {
+    try {
+        const canSuspend = await shouldSuspendTab(tabId, {
+            allowDiscarded: options.method === 'page',
+            automatic: options.automatic === true
+        });
+        if (!canSuspend) return false;
+
+        // Defensive handling: tab may have been closed between shouldSuspendTab check and now
+        const tab = await chrome.tabs.get(tabId).catch(() => null);
+        if (!tab) {
+            console.log(`[BG][SUSPEND] Tab ${tabId} no longer exists, cannot suspend`);
+            return false;
+        }
+
+        return (await suspendTabs([tab], options)) === 1;
+    } catch (error) {
+        console.error('[BG] Failed to suspend tab:', error);
+        return false;
+    }
+}
+
+/**
+ * Suspend tabs that already passed canSuspendTab()
+ *
+ * Tabs are handled SUSPEND_BATCH_SIZE at a time: page state is captured and
+ * tabs are navigated in parallel, with one write each for suspended page
+ * metadata, scroll positions and drafts per batch. Stats (and their
+ * STATS_UPDATED broadcast), form status and the badge are updated once at the end.
+ *
+ * @param {chrome.tabs.Tab[]} tabs - Tabs to suspend
+ * @param {object} [options]
+ * @param {string} [options.method] - Force 'page', 'discard' or 'hybrid' instead of the configured method
+ * @returns {Promise<number>} Number of tabs suspended
+ */
+async function suspendTabs(tabs, options = {}) {
+    const tabFormStatus = await getAllTabFormStatus();
+    const discarded = [];
+    const paged = [];
+
+    for (let i = 0; i < tabs.length; i += SUSPEND_BATCH_SIZE) {
+        const batch = tabs.slice(i, i + SUSPEND_BATCH_SIZE);
+        const writes = { meta: {}, tabStates: {}, formDrafts: {} };
+
+        const prepared = await Promise.all(batch.map(tab =>
+            prepareSuspension(tab, options.method, tabFormStatus[tab.id] === true, writes)
+        ));
+        discarded.push(...prepared.filter(item => item.discarded).map(item => item.tab));
+
+        // The suspended page looks its token up as soon as it loads
+        const toPage = prepared.filter(item => !item.discarded);
+        if (toPage.length === 0) continue;
+
+        if (!await SuspendedPage.saveAllMeta(writes.meta)) {
+            console.warn(`[BG][SUSPEND] Could not store metadata for ${toPage.length} tab(s), relying on URL fallback`);
+        }
+        await saveTabStates(writes.tabStates);
+        await saveFormDrafts(writes.formDrafts);
+
+        const navigated = await Promise.all(toPage.map(item => navigateToSuspendedPage(item.tab, item.suspendedUrl)));
+        paged.push(...toPage.filter((item, index) => navigated[index]).map(item => item.tab));
+    }
+
+    const suspended = [...discarded, ...paged];
+    if (suspended.length === 0) return 0;
+
+    // discardTab() already re-armed the timers of discarded tabs (hybrid second stage)
+    await clearTabTimer(paged.map(tab => tab.id));
+    await clearTabFormStatus(suspended.map(tab => tab.id));
+    await clearTabMediaStatus(suspended.map(tab => tab.id));
+    await clearTabBusyStatus(suspended.map(tab => tab.id));
+    // A tab that was discarded before moving to the suspended page was counted then
+    await updateMemoryStats(suspended.filter(tab => !tab.discarded).map(tab => tab.url));
+    updateBadge();
+
+    return suspended.length;
+}
+
+/**
+ * Get one tab ready for suspension: discard it, or capture its page state and
+ * queue its metadata in `writes` for the suspended page
+ * @param {chrome.tabs.Tab} tab
+ * @param {string|undefined} method - Forced suspension method
+ * @param {boolean} hasUnsavedForms - The tab's tabFormStatus flag
+ * @param {{meta: object, tabStates: object, formDrafts: object}} writes - Batch writes, keyed by token
+ * @returns {Promise<{tab: chrome.tabs.Tab, discarded: boolean, suspendedUrl?: string}>}
+ */
+async function prepareSuspension(tab, method, hasUnsavedForms, writes) {
+    method = method || getSuspensionMethod(tab.url).method;
+    if (method !== 'page' && hasUnsavedForms) {
+        // Only the suspended page can hold a draft; a discarded tab would lose it
+        method = 'page';
+    }
+    if (method === 'discard' || method === 'hybrid') {
+        if (await discardTab(tab)) return { tab, discarded: true };
+        console.log(`[BG][SUSPEND] Could not discard tab ${tab.id}, using suspended page instead`);
+    }
+
+    // Full metadata goes to storage under a token; the URL keeps a readable
+    // (possibly truncated) fallback, so long SPA URLs survive intact
+    const token = SuspendedPage.createToken();
+    const meta = {
+        url: tab.url,
+        title: tab.title,
+        favicon: tab.favIconUrl,
+        suspendedAt: Date.now()
+    };
+    writes.meta[token] = meta;
+
+    // Capture scroll position and form draft so restoreTab() can put them back
+    // (discarded tabs have no content script running)
+    if (!tab.discarded) {
+        const { tabState, formDraft } = await collectTabState(tab);
+        if (tabState) writes.tabStates[token] = tabState;
+        if (formDraft) writes.formDrafts[token] = formDraft;
+    }
+
+    return { tab, discarded: false, suspendedUrl: SuspendedPage.buildUrl(token, meta) };
+}
+
+/**
+ * Point a tab at its suspended page
+ * @param {chrome.tabs.Tab} tab
+ * @param {string} suspendedUrl - From SuspendedPage.buildUrl()
+ * @returns {Promise<boolean>} False if the tab was closed or can't be navigated
+ */
+async function navigateToSuspendedPage(tab, suspendedUrl) {
+    // Handle tabs.update failure (e.g., restricted URLs like Chrome Web Store, or tab closed)
+    try {
+        await chrome.tabs.update(tab.id, { url: suspendedUrl });
+        return true;
+    } catch (updateError) {
+        // Check if error is because tab no longer exists
+        if (updateError.message?.includes('No tab with id')) {
+            console.log(`[BG][SUSPEND] Tab ${tab.id} was closed during suspension`);
+            return false;
+        }
+        console.error(`[BG][SUSPEND] Failed to update tab ${tab.id}:`, updateError);
+        return false; // Don't update stats if suspension failed
+    }
+}
+
+/**
+ * Discard a tab with chrome.tabs.discard, keeping its history and URL intact
+ * Stats, form status and the badge are left to the caller (suspendTabs()).
+ * @param {chrome.tabs.Tab} tab - The tab to discard
+ * @returns {Promise<boolean>} True if Chrome discarded the tab
+ */
+async function discardTab(tab) {
+    let discarded;
+    try {
+        discarded = await chrome.tabs.discard(tab.id);
+    } catch (error) {
+        // Chrome refuses to discard the active tab and some special pages
+        console.log(`[BG][SUSPEND] Discard failed for tab ${tab.id}:`, error.message);
+        return false;
+    }
+    if (!discarded) return false;
+
+    await clearTabTimer(tab.id);
+
+    // Schedules the suspended-page stage for hybrid mode, no-op otherwise
+    await startTabTimer(discarded.id);
+
+    console.log(`[BG][SUSPEND] Discarded tab ${discarded.id}`);
+    return true;
+}
+
+async function restoreTab(tabId) {
+    try {
+        // Defensive handling: tab may have been closed
+        const tab = await chrome.tabs.get(tabId).catch(() => null);
+        if (!tab) {
+            console.log(`[BG][RESTORE] Tab ${tabId} no longer exists`);
+            return false;
+        }
+
+        if (isDiscardedTab(tab)) {
+            // Reloading a discarded tab brings it back with its history intact
+            try {
+                await chrome.tabs.reload(tabId);
+            } catch (reloadError) {
+                if (reloadError.message?.includes('No tab with id')) {
+                    console.log(`[BG][RESTORE] Tab ${tabId} was closed during reload`);
+                    return false;
+                }
+                throw reloadError;
+            }
+            // Timer restarts from onUpdated once the page has loaded
+            updateBadge();
+            return true;
+        }
+
+        if (!isSuspendedPage(tab.url)) {
+            // Defensive handling for reload
+            try {
+                await chrome.tabs.reload(tabId);
+            } catch (reloadError) {
+                if (reloadError.message?.includes('No tab with id')) {
+                    console.log(`[BG][RESTORE] Tab ${tabId} was closed during reload`);
+                    return false;
+                }
+                throw reloadError;
+            }
+            return true;
+        }
+
+        const suspended = await SuspendedPage.resolve(tab.url);
+        const originalUrl = suspended?.url;
+
+        if (!originalUrl) return false;
+
+        if (suspended.truncated) {
+            console.warn(`[BG][RESTORE] Metadata missing for tab ${tabId}, restoring truncated URL`);
+        }
+
+        if (suspended.token) {
+            await queueStateRestore(tabId, suspended.token);
+        }
+
+        // Defensive handling for update
+        try {
+            await chrome.tabs.update(tabId, { url: originalUrl });
+        } catch (updateError) {
+            if (updateError.message?.includes('No tab with id')) {
+                console.log(`[BG][RESTORE] Tab ${tabId} was closed during restoration`);
+                return false;
+            }
+            throw updateError;
+        }
+
+        await startTabTimer(tabId);
+        updateBadge();
+
+        return true;
+    } catch (error) {
+        console.error('[BG] Failed to restore tab:', error);
+        return false;
+    }
+}
+
+/**
+ * Suspend every inactive tab matching a query
+ * Eligibility is checked for all tabs against one read of the form status;
+ * suspendTabs() then does the work in batches.
+ * @param {number|null} [exceptTabId=null] - Tab to leave alone
+ * @param {object} [query={}] - chrome.tabs.query filter, e.g. { windowId } or { groupId }
+ * @param {object} [options]
+ * @param {boolean} [options.automatic=false] - Not a user action, see canSuspendTab()
+ * @returns {Promise<number>} Number of tabs suspended
+ */
+async function suspendAllInactive(exceptTabId = null, query = {}, { automatic = false } = {}) {
+    const [tabs, context] = await Promise.all([chrome.tabs.query(query), loadSuspendContext()]);
+    const eligible = tabs.filter(tab =>
+        tab.id !== exceptTabId &&
+        !tab.active &&
+        canSuspendTab(tab, { ...getTabProtections(tab.id, context), automatic })
+    );
+    if (eligible.length === 0) return 0;
+
+    // Tabs closed since the query are dropped by suspendTabs()
+    const count = await suspendTabs(eligible);
+    console.log(`[BG][SUSPEND] Suspended ${count} of ${tabs.length} tab(s)`);
+    return count;
+}
+
+/**
+ * Suspend tabs the popup picked (Suspend All with exclusion feedback)
+ * Each tab still has to pass canSuspendTab().
+ * @param {number[]} tabIds
+ * @returns {Promise<number>} Number of tabs suspended
+ */
+async function suspendTabsById(tabIds) {
+    const wanted = new Set(tabIds);
+    const [tabs, context] = await Promise.all([chrome.tabs.query({}), loadSuspendContext()]);
+    const eligible = tabs.filter(tab =>
+        wanted.has(tab.id) &&
+        canSuspendTab(tab, getTabProtections(tab.id, context))
+    );
+    if (eligible.length === 0) return 0;
+
+    return suspendTabs(eligible);
+}
+
+async function suspendAllExcept(tabId) {
+    return suspendAllInactive(tabId);
+}
+
+/**
+ * Restore every suspended tab matching a query
+ * Tabs go through the restore queue, so only restoreConcurrency of them load at once.
+ * @param {object} [query={}] - chrome.tabs.query filter, e.g. { windowId } or { groupId }
+ * @returns {Promise<number>} Number of tabs queued for restore
+ */
+async function restoreAllTabs(query = {}) {
+    const tabs = await chrome.tabs.query(query);
+    return enqueueRestores(tabs.filter(isTabSuspended));
+}
+
+// ============================================================================
+// RESTORE QUEUE
+// ============================================================================
+
+// Queue shape (chrome.storage.session[RESTORE_QUEUE_KEY]):
+// { pending: tabId[], loading: { [tabId]: startedAt }, total, restored, skipped, startedAt }
+
+function getRestoreConcurrency() {
+    const value = Number(config.restoreConcurrency);
+    return Number.isInteger(value) && value > 0 ? value : DEFAULT_CONFIG.restoreConcurrency;
+}
+
+function createRestoreQueue() {
+    return { pending: [], loading: {}, total: 0, restored: 0, skipped: 0, startedAt: Date.now() };
+}
+
+/**
+ * Queue a read-modify-write of the restore queue. The queue is removed (and the
+ * watchdog alarm cleared) once nothing is pending or loading.
+ * @param {Function} mutate - (queue) => boolean|void, edits the queue in place; return false if nothing changed
+ * @returns {Promise<object|null>} The queue after the change, null if the update failed
+ */
+function updateRestoreQueue(mutate) {
+    const run = restoreQueueLock.then(async () => {
+        const result = await chrome.storage.session.get(RESTORE_QUEUE_KEY);
+        const queue = result[RESTORE_QUEUE_KEY] || createRestoreQueue();
+        if ((await mutate(queue)) === false) return queue;
+
+        if (queue.pending.length === 0 && Object.keys(queue.loading).length === 0) {
+            await chrome.storage.session.remove(RESTORE_QUEUE_KEY);
+            await chrome.alarms.clear(RESTORE_QUEUE_ALARM_NAME);
+            if (queue.total > 0) {
+                console.log(`[BG][RESTORE-QUEUE] Done: ${queue.restored} restored, ${queue.skipped} skipped`);
+            }
+        } else {
+            await chrome.storage.session.set({ [RESTORE_QUEUE_KEY]: queue });
+        }
+        return queue;
+    }).catch(error => {
+        console.warn('[BG][RESTORE-QUEUE] Queue update failed:', error.message);
+        return null;
+    });
+
+    restoreQueueLock = run;
+    return run;
+}
+
+/**
+ * Order tabs for restoring: the focused window first, then most recently used first
+ * @param {chrome.tabs.Tab[]} tabs
+ * @returns {Promise<chrome.tabs.Tab[]>}
+ */
+async function orderForRestore(tabs) {
+    const focused = await chrome.windows.getLastFocused().catch(() => null);
+    const inFocusedWindow = tab => (focused && tab.windowId === focused.id ? 1 : 0);
+
+    // sort() is stable, so tabs keep their recency order within each window
+    const byRecency = (await sortByLastActivity(tabs)).reverse();
+    return byRecency.sort((a, b) => inFocusedWindow(b) - inFocusedWindow(a));
+}
+
+/**
+ * Add tabs to the restore queue and start restoring
+ * @param {chrome.tabs.Tab[]} tabs - Suspended tabs
+ * @returns {Promise<number>} Number of tabs added (tabs already queued are skipped)
+ */
+async function enqueueRestores(tabs) {
+    if (tabs.length === 0) return 0;
+
+    const ordered = await orderForRestore(tabs);
+    let added = 0;
+
+    await updateRestoreQueue(queue => {
+        const queued = new Set([...queue.pending, ...Object.keys(queue.loading).map(Number)]);
+        for (const tab of ordered) {
+            if (queued.has(tab.id)) continue;
+            queue.pending.push(tab.id);
+            added++;
+        }
+        queue.total += added;
+        return added > 0;
+    });
+
+    if (added > 0) {
+        console.log(`[BG][RESTORE-QUEUE] Queued ${added} tab(s), ${getRestoreConcurrency()} at a time`);
+        await chrome.alarms.create(RESTORE_QUEUE_ALARM_NAME, { periodInMinutes: RESTORE_QUEUE_CHECK_INTERVAL_MINUTES });
+        await pumpRestoreQueue();
+    }
+
+    return added;
+}
+
+/**
+ * Start restoring queued tabs until restoreConcurrency of them are loading.
+ * A tab counts as loading until onUpdated reports it complete, it is closed or
+ * RESTORE_LOAD_TIMEOUT_MS passes.
+ * @returns {Promise<void>}
+ */
+async function pumpRestoreQueue() {
+    if (!isExtensionContextValid()) return;
+
+    for (;;) {
+        let started = [];
+        await updateRestoreQueue(queue => {
+            const slots = getRestoreConcurrency() - Object.keys(queue.loading).length;
+            if (slots <= 0 || queue.pending.length === 0) return false;
+
+            const now = Date.now();
+            started = queue.pending.splice(0, slots);
+            for (const tabId of started) queue.loading[tabId] = now;
+        });
+
+        if (started.length === 0) return;
+
+        for (const tabId of started) {
+            // Restored or closed since it was queued - free the slot right away
+            const tab = await chrome.tabs.get(tabId).catch(() => null);
+            if (!tab || !isTabSuspended(tab)) {
+                await finishQueuedRestore(tabId, { skipped: !tab });
+                continue;
+            }
+
+            if (!(await restoreTab(tabId))) {
+                await finishQueuedRestore(tabId, { skipped: true });
+            }
+        }
+    }
+}
+
+/**
+ * Free a tab's loading slot
+ * @param {number} tabId
+ * @param {{skipped?: boolean}} [options] - skipped: the tab was closed or could not be restored
+ * @returns {Promise<boolean>} False if the tab wasn't loading from the queue
+ */
+async function finishQueuedRestore(tabId, { skipped = false } = {}) {
+    let found = false;
+    await updateRestoreQueue(queue => {
+        if (queue.loading[tabId] === undefined) return false;
+
+        found = true;
+        delete queue.loading[tabId];
+        if (skipped) {
+            queue.skipped++;
+        } else {
+            queue.restored++;
+        }
+    });
+    return found;
+}
+
+/**
+ * Stop restoring. Tabs that are already loading finish on their own.
+ * @returns {Promise<number>} Number of tabs that will no longer be restored
+ */
+async function cancelRestoreQueue() {
+    let cancelled = 0;
+    await updateRestoreQueue(queue => {
+        cancelled = queue.pending.length;
+        queue.pending = [];
+        queue.loading = {};
+    });
+
+    console.log(`[BG][RESTORE-QUEUE] Cancelled, ${cancelled} tab(s) left suspended`);
+    return cancelled;
+}
+
+/**
+ * Describe the restore queue for the popup
+ * @returns {Promise<{active: boolean, total: number, done: number, restored: number, skipped: number, loading: number, pending: number}>}
+ */
+async function getRestoreQueueStatus() {
+    const result = await chrome.storage.session.get(RESTORE_QUEUE_KEY).catch(() => ({}));
+    const queue = result[RESTORE_QUEUE_KEY];
+    if (!queue) {
+        return { active: false, total: 0, done: 0, restored: 0, skipped: 0, loading: 0, pending: 0 };
+    }
+
+    return {
+        active: true,
+        total: queue.total,
+        done: queue.restored + queue.skipped,
+        restored: queue.restored,
+        skipped: queue.skipped,
+        loading: Object.keys(queue.loading).length,
+        pending: queue.pending.length
+    };
+}
+
+// Watchdog: gives up on tabs that never finish loading and resumes the queue
+// after a service worker restart
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name !== RESTORE_QUEUE_ALARM_NAME) return;
+    if (!isExtensionContextValid()) return;
+
+    try {
+        const now = Date.now();
+        await updateRestoreQueue(queue => {
+            const stalled = Object.entries(queue.loading)
+                .filter(([, startedAt]) => now - startedAt > RESTORE_LOAD_TIMEOUT_MS);
+            if (stalled.length === 0) return false;
+
+            // The tab was navigated back to its page; it is just slow to load
+            for (const [tabId] of stalled) delete queue.loading[tabId];
+            queue.restored += stalled.length;
+        });
+        await pumpRestoreQueue();
+    } catch (error) {
+        console.error('[BG][RESTORE-QUEUE] Watchdog failed:', error);
+    }
+});
+
+// ============================================================================
+// WINDOWS
+// ============================================================================
+
+/**
+ * Suspend the other tabs of one window
+ * @param {number} windowId - The window
+ * @param {number|null} [exceptTabId=null] - Tab to leave alone (active tabs are always skipped)
+ * @returns {Promise<number>} Number of tabs suspended
+ */
+async function suspendWindow(windowId, exceptTabId = null) {
+    const count = await suspendAllInactive(exceptTabId, { windowId });
+    console.log(`[BG][WINDOWS] Suspended ${count} tab(s) in window ${windowId}`);
+    return count;
+}
+
+/**
+ * Restore the suspended tabs of one window
+ * @param {number} windowId - The window
+ * @returns {Promise<number>} Number of tabs queued for restore
+ */
+async function restoreWindow(windowId) {
+    const count = await restoreAllTabs({ windowId });
+    console.log(`[BG][WINDOWS] Queued ${count} tab(s) in window ${windowId} for restore`);
+    return count;
+}
+
+/**
+ * Suspend every window except one
+ * @param {number} windowId - The window to keep
+ * @returns {Promise<number>} Number of tabs suspended
+ */
+async function suspendOtherWindows(windowId) {
+    const windows = await chrome.windows.getAll({ windowTypes: ['normal'] });
+    let count = 0;
+
+    for (const win of windows) {
+        if (win.id === windowId) continue;
+        count += await suspendWindow(win.id);
+    }
+
+    return count;
+}
+
+// ============================================================================
+// TAB GROUPS
+// ============================================================================
+
+function isGroupedTab(tab) {
+    return !!tab && tab.groupId !== undefined && tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE;
+}
+
+/**
+ * Suspend the inactive tabs of a group
+ * @param {number} groupId - The tab group
+ * @returns {Promise<number>} Number of tabs suspended
+ */
+async function suspendGroup(groupId) {
+    const count = await suspendAllInactive(null, { groupId });
+    console.log(`[BG][GROUPS] Suspended ${count} tab(s) in group ${groupId}`);
+    return count;
+}
+
+/**
+ * Restore the suspended tabs of a group
+ * @param {number} groupId - The tab group
+ * @returns {Promise<number>} Number of tabs queued for restore
+ */
+async function restoreGroup(groupId) {
+    const count = await restoreAllTabs({ groupId });
+    console.log(`[BG][GROUPS] Queued ${count} tab(s) in group ${groupId} for restore`);
+    return count;
+}
+
+/**
+ * Suspend every other group, in all windows. Ungrouped tabs are left alone.
+ * @param {number} groupId - The group to keep
+ * @returns {Promise<number>} Number of tabs suspended
+ */
+async function suspendOtherGroups(groupId) {
+    const groups = await chrome.tabGroups.query({});
+    let count = 0;
+
+    for (const group of groups) {
+        if (group.id === groupId) continue;
+        count += await suspendGroup(group.id);
+    }
+
+    return count;
+}
+
+// Show the group context menu items only for tabs in a group
+function updateGroupMenus(tab) {
+    const visible = isGroupedTab(tab);
+    for (const id of ['suspendGroup', 'restoreGroup', 'suspendOtherGroups']) {
+        chrome.contextMenus.update(id, { visible }, () => void chrome.runtime.lastError);
+    }
+}
+
+/**
+ * Suspend/restore groups as they are collapsed/expanded (config.suspendCollapsedGroups)
+ * onUpdated also fires for title and color changes, so the last seen collapsed
+ * state is kept in session storage to act only on real transitions.
+ */
+chrome.tabGroups.onUpdated.addListener(async (group) => {
+    if (!isExtensionContextValid()) return;
+
+    try {
+        const result = await chrome.storage.session.get('collapsedGroups').catch(() => ({}));
+        const collapsedGroups = result.collapsedGroups || {};
+        const wasCollapsed = collapsedGroups[group.id] === true;
+        if (wasCollapsed === group.collapsed) return;
+
+        collapsedGroups[group.id] = group.collapsed;
+        await chrome.storage.session.set({ collapsedGroups }).catch(() => {});
+
+        if (!config.suspendCollapsedGroups) return;
+        if (group.collapsed) {
+            await suspendGroup(group.id);
+        } else {
+            await restoreGroup(group.id);
+        }
+    } catch (error) {
+        console.error(`[BG][GROUPS] Failed to handle group ${group.id} update:`, error);
+    }
+});
+
+chrome.tabGroups.onRemoved.addListener(async (group) => {
+    const result = await chrome.storage.session.get('collapsedGroups').catch(() => ({}));
+    const collapsedGroups = result.collapsedGroups || {};
+    if (collapsedGroups[group.id] === undefined) return;
+
+    delete collapsedGroups[group.id];
+    await chrome.storage.session.set({ collapsedGroups }).catch(() => {});
+});
+
+// ============================================================================
+// TAB STATE (SCROLL POSITION)
+// ============================================================================
+
+/**
+ * Ask the content script for the tab's page state
+ * @param {number} tabId - The tab to query
+ * @returns {Promise<object|null>} GET_TAB_STATE response, or null if unavailable
+ */
+async function requestTabState(tabId) {
+    try {
+        return await Promise.race([
+            chrome.tabs.sendMessage(tabId, { type: 'GET_TAB_STATE' }),
+            new Promise(resolve => setTimeout(() => resolve(null), TAB_STATE_TIMEOUT_MS))
+        ]);
+    } catch {
+        // No content script (page loaded before install, restricted page, etc.)
+        return null;
+    }
+}
+
+/**
+ * Ask the content script for the page state worth keeping across suspension
+ * @param {chrome.tabs.Tab} tab - The tab being suspended
+ * @returns {Promise<{tabState: object|null, formDraft: object|null}>} Entries for saveTabStates() / saveFormDrafts()
+ */
+async function collectTabState(tab) {
+    const state = await requestTabState(tab.id);
+    if (!state) return { tabState: null, formDraft: null };
+
+    let tabState = null;
+    const scrollPosition = state.scrollPosition;
+    if (scrollPosition && (scrollPosition.x !== 0 || scrollPosition.y !== 0)) {
+        tabState = {
+            url: tab.url,
+            scrollPosition,
+            savedAt: Date.now()
+        };
+    }
+
+    let formDraft = null;
+    if (state.hasUnsavedForms && canPreserveDraft(tab.url)) {
+        formDraft = createFormDraft(tab.url, state.formData);
+    }
+
+    return { tabState, formDraft };
+}
+
+/**
+ * Capture and store the page state of a tab about to be suspended
+ * @param {chrome.tabs.Tab} tab - The tab being suspended
+ * @param {string} suspensionId - Token the suspended page will carry
+ * @returns {Promise<{hasState: boolean, hasDraft: boolean}>} What was saved
+ */
+async function captureTabState(tab, suspensionId) {
+    const { tabState, formDraft } = await collectTabState(tab);
+
+    const hasState = !!tabState;
+    if (hasState) {
+        await saveTabState(suspensionId, tabState);
+    }
+    const hasDraft = !!formDraft && await saveFormDrafts({ [suspensionId]: formDraft });
+
+    if (hasState || hasDraft) {
+        console.log(`[BG][STATE] Saved state for tab ${tab.id} (${suspensionId}${hasDraft ? ', with form draft' : ''})`);
+    }
+    return { hasState, hasDraft };
+}
+
+async function saveTabState(suspensionId, entry) {
+    await saveTabStates({ [suspensionId]: entry });
+}
+
+// One read-modify-write for several entries, keyed by suspension id
+async function saveTabStates(entries) {
+    if (Object.keys(entries).length === 0) return;
+
+    try {
+        const result = await chrome.storage.local.get(TAB_STATE_KEY);
+        const states = { ...(result[TAB_STATE_KEY] || {}), ...entries };
+
+        // Drop expired entries, then the oldest ones beyond the cap
+        const cutoff = Date.now() - TAB_STATE_MAX_AGE_MS;
+        const kept = Object.entries(states)
+            .filter(([, value]) => value.savedAt > cutoff)
+            .sort((a, b) => b[1].savedAt - a[1].savedAt)
+            .slice(0, MAX_STORED_TAB_STATES);
+
+        await chrome.storage.local.set({ [TAB_STATE_KEY]: Object.fromEntries(kept) });
+    } catch (error) {
+        console.warn('[BG][STATE] Failed to save tab state:', error.message);
+    }
+}
+
+async function takeTabState(suspensionId) {
+    try {
+        const result = await chrome.storage.local.get(TAB_STATE_KEY);
+        const states = result[TAB_STATE_KEY] || {};
+        const entry = states[suspensionId] || null;
+        if (entry) {
+            delete states[suspensionId];
+            await chrome.storage.local.set({ [TAB_STATE_KEY]: states });
+        }
+        return entry;
+    } catch (error) {
+        console.warn('[BG][STATE] Failed to read tab state:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Remember that a tab should get its state back once the original page loads.
+ * Kept in session storage because the SW may sleep while the page loads.
+ */
+async function queueStateRestore(tabId, suspensionId) {
+    try {
+        const result = await chrome.storage.session.get('pendingStateRestores');
+        const pending = result.pendingStateRestores || {};
+        pending[tabId] = { suspensionId, queuedAt: Date.now() };
+        await chrome.storage.session.set({ pendingStateRestores: pending });
+    } catch (error) {
+        console.warn(`[BG][STATE] Failed to queue state restore for tab ${tabId}:`, error.message);
+    }
+}
+
+async function takePendingStateRestore(tabId) {
+    try {
+        const result = await chrome.storage.session.get('pendingStateRestores');
+        const pending = result.pendingStateRestores || {};
+        const entry = pending[tabId];
+        if (!entry) return null;
+
+        delete pending[tabId];
+        await chrome.storage.session.set({ pendingStateRestores: pending });
+
+        if (Date.now() - entry.queuedAt > PENDING_RESTORE_MAX_AGE_MS) return null;
+        return entry;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Push saved state to a restored tab once it has finished loading
+ * @param {number} tabId - The restored tab
+ * @param {string} url - The URL the tab loaded
+ */
+async function restorePendingTabState(tabId, url) {
+    const pending = await takePendingStateRestore(tabId);
+    if (!pending) return;
+
+    const state = await takeTabState(pending.suspensionId);
+    const draft = await takeFormDraft(pending.suspensionId);
+    const savedUrl = state?.url || draft?.url;
+    if (!savedUrl) return;
+
+    // Don't touch an unrelated page if the user navigated elsewhere meanwhile
+    try {
+        if (new URL(savedUrl).hostname !== new URL(url).hostname) return;
+    } catch {
+        return;
+    }
+
+    await pushRestoredState(tabId, {
+        scrollPosition: state?.scrollPosition || null,
+        formData: draft?.formData || null
+    });
+}
+
+/**
+ * Send RESTORE_STATE until the page reports the saved scroll position and has
+ * taken the form draft. SPAs often render content after `complete`, so early
+ * attempts can land short or find no fields yet.
+ * @param {number} tabId - The restored tab
+ * @param {object} state - Saved state ({ scrollPosition, formData }, either may be null)
+ * @returns {Promise<boolean>} True if everything was restored
+ */
+async function pushRestoredState(tabId, state) {
+    const target = state.scrollPosition;
+    let formData = state.formData;
+
+    for (const delay of RESTORE_STATE_RETRY_DELAYS_MS) {
+        if (delay > 0) {
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+
+        const response = await chrome.tabs.sendMessage(tabId, {
+            type: 'RESTORE_STATE',
+            scrollPosition: target,
+            formData
+        }).catch(() => null);
+
+        // Refill fields only once so later retries can't overwrite new typing
+        if (formData && response?.formFieldsRestored > 0) {
+            console.log(`[BG][FORMS] Restored ${response.formFieldsRestored} draft field(s) in tab ${tabId}`);
+            formData = null;
+        }
+
+        const reached = response?.scrollPosition;
+        const scrollDone = !target ||
+            (reached && Math.abs(reached.y - target.y) <= 2 && Math.abs(reached.x - target.x) <= 2);
+        if (scrollDone && !formData) {
+            console.log(`[BG][STATE] Restored saved state for tab ${tabId}`);
+            return true;
+        }
+    }
+
+    console.log(`[BG][STATE] Could not fully restore saved state for tab ${tabId}`);
+    return false;
+}
+
+// ============================================================================
+// FORM DRAFTS
+// ============================================================================
+
+/**
+ * Whether a dirty tab on this URL may be suspended with its draft held
+ * @param {string} url - The tab URL
+ * @returns {boolean}
+ */
+function canPreserveDraft(url) {
+    if (!config.preserveFormDrafts) return false;
+    return !UrlPatterns.isUrlMatched(url, config.draftExcludedDomains);
+}
+
+function getDraftMaxAgeMs() {
+    return (config.draftExpiryHours || DEFAULT_CONFIG.draftExpiryHours) * 60 * 60 * 1000;
+}
+
+/**
+ * Build a form draft entry, if the form data is worth and small enough to hold
+ * @param {string} url - The tab URL
+ * @param {object} formData - Fields from the content script's getFormData()
+ * @returns {object|null} Entry for saveFormDrafts()
+ */
+function createFormDraft(url, formData) {
+    const fieldCount = Object.keys(formData || {}).length;
+    if (fieldCount === 0) return null;
+
+    if (JSON.stringify(formData).length > MAX_FORM_DRAFT_CHARS) {
+        console.warn(`[BG][FORMS] Draft for ${url} is too large to hold, skipping`);
+        return null;
+    }
+
+    return { url, formData, fieldCount, savedAt: Date.now() };
+}
+
+/**
+ * Store form drafts in session storage
+ * @param {Object<string, object>} drafts - Suspension id (the suspended page's `sid` param) -> createFormDraft() entry
+ * @returns {Promise<boolean>} True if the drafts were stored
+ */
+async function saveFormDrafts(drafts) {
+    if (Object.keys(drafts).length === 0) return false;
+
+    try {
+        const result = await chrome.storage.session.get(FORM_DRAFTS_KEY);
+        const all = { ...pruneFormDrafts(result[FORM_DRAFTS_KEY] || {}), ...drafts };
+
+        const kept = Object.entries(all)
+            .sort((a, b) => b[1].savedAt - a[1].savedAt)
+            .slice(0, MAX_FORM_DRAFTS);
+        await chrome.storage.session.set({ [FORM_DRAFTS_KEY]: Object.fromEntries(kept) });
+        return true;
+    } catch (error) {
+        // No local fallback on purpose - see FORM_DRAFTS_KEY
+        console.warn('[BG][FORMS] Failed to save form draft:', error.message);
+        return false;
+    }
+}
+
+// Drop drafts older than config.draftExpiryHours
+function pruneFormDrafts(drafts) {
+    const cutoff = Date.now() - getDraftMaxAgeMs();
+    return Object.fromEntries(
+        Object.entries(drafts).filter(([, draft]) => draft.savedAt > cutoff)
+    );
+}
+
+async function getFormDraft(suspensionId) {
+    try {
+        const result = await chrome.storage.session.get(FORM_DRAFTS_KEY);
+        return pruneFormDrafts(result[FORM_DRAFTS_KEY] || {})[suspensionId] || null;
+    } catch {
+        return null;
+    }
+}
+
+async function takeFormDraft(suspensionId) {
+    try {
+        const result = await chrome.storage.session.get(FORM_DRAFTS_KEY);
+        const drafts = pruneFormDrafts(result[FORM_DRAFTS_KEY] || {});
+        const draft = drafts[suspensionId] || null;
+        delete drafts[suspensionId];
+        await chrome.storage.session.set({ [FORM_DRAFTS_KEY]: drafts });
+        return draft;
+    } catch {
+        return null;
+    }
+}
+
+// ============================================================================
+// UNSAVED WORK PROBE
+// ============================================================================
+
+/**
+ * Register unloadProbe.js into the page's world while config.neverSuspendUnsavedWork
+ * is on, and unregister it when it is off
+ *
+ * The probe runs the page's beforeunload handlers when the content script asks,
+ * so it is opt-in. Pages that already have it keep it until they reload; their
+ * reports are ignored while the option is off.
+ * @returns {Promise<void>}
+ */
+async function syncUnloadProbe() {
+    try {
+        const wanted = config.neverSuspendUnsavedWork === true;
+        const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [UNLOAD_PROBE_SCRIPT_ID] });
+        if (wanted === registered.length > 0) return;
+
+        if (!wanted) {
+            await chrome.scripting.unregisterContentScripts({ ids: [UNLOAD_PROBE_SCRIPT_ID] });
+            console.log('[BG][FORMS] Unload probe unregistered');
+            return;
+        }
+
+        await chrome.scripting.registerContentScripts([{
+            id: UNLOAD_PROBE_SCRIPT_ID,
+            js: ['unloadProbe.js'],
+            matches: ['<all_urls>'],
+            runAt: 'document_idle',
+            world: 'MAIN'
+        }]);
+
+        // Registered scripts only reach pages loaded from now on
+        const tabs = await chrome.tabs.query({ url: ['http://*/*', 'https://*/*'], discarded: false });
+        await Promise.all(tabs.map(tab =>
+            chrome.scripting.executeScript({
+                target: { tabId: tab.id },
+                files: ['unloadProbe.js'],
+                world: 'MAIN'
+            }).catch(() => {})  // Error pages, the Web Store, ...
+        ));
+        console.log(`[BG][FORMS] Unload probe registered and injected into ${tabs.length} open tab(s)`);
+    } catch (error) {
+        console.error('[BG][FORMS] Failed to update the unload probe:', error);
+    }
+}
+
+/**
+ * Register pageHooks.js into the page's world while config.neverSuspendCalls or
+ * config.neverSuspendBusyTabs is on, and unregister it when both are off
+ *
+ * The hooks wrap fetch, XMLHttpRequest, getUserMedia and RTCPeerConnection on
+ * every page, so they only run while something reads what they report. Tabs
+ * injected after they loaded miss calls and uploads that were already running.
+ * @returns {Promise<void>}
+ */
+async function syncPageHooks() {
+    try {
+        const wanted = config.neverSuspendCalls === true || config.neverSuspendBusyTabs === true;
+        const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [PAGE_HOOKS_SCRIPT_ID] });
+        if (wanted === registered.length > 0) return;
+
+        if (!wanted) {
+            await chrome.scripting.unregisterContentScripts({ ids: [PAGE_HOOKS_SCRIPT_ID] });
+            console.log('[BG][MEDIA] Page hooks unregistered');
+            return;
+        }
+
+        await chrome.scripting.registerContentScripts([{
+            id: PAGE_HOOKS_SCRIPT_ID,
+            js: ['pageHooks.js'],
+            matches: ['<all_urls>'],
+            runAt: 'document_start',
+            world: 'MAIN'
+        }]);
+
+        // Registered scripts only reach pages loaded from now on
+        const tabs = await chrome.tabs.query({ url: ['http://*/*', 'https://*/*'], discarded: false });
+        await Promise.all(tabs.map(tab =>
+            chrome.scripting.executeScript({
+                target: { tabId: tab.id },
+                files: ['pageHooks.js'],
+                world: 'MAIN'
+            }).catch(() => {})  // Error pages, the Web Store, ...
+        ));
+        console.log(`[BG][MEDIA] Page hooks registered and injected into ${tabs.length} open tab(s)`);
+    } catch (error) {
+        console.error('[BG][MEDIA] Failed to update the page hooks:', error);
+    }
+}
+
+// ============================================================================
+// SUSPENDED TAB REGISTRY / RECOVERY
+// ============================================================================
+
+/**
+ * Queue a read-modify-write of the registry so concurrent tab events can't drop entries
+ * @param {Function} mutate - (registry) => void, edits the registry in place
+ * @returns {Promise<void>}
+ */
+function updateRegistry(mutate) {
+    registryQueue = registryQueue.then(async () => {
+        const result = await chrome.storage.local.get(REGISTRY_KEY);
+        const registry = result[REGISTRY_KEY] || {};
+        await mutate(registry);
+        await chrome.storage.local.set({ [REGISTRY_KEY]: registry });
+    }).catch(error => {
+        console.warn('[BG][RECOVERY] Registry update failed:', error.message);
+    });
+    return registryQueue;
+}
+
+function createRegistryEntry(tab, meta) {
+    return {
+        tabId: tab.id,
+        windowId: tab.windowId,
+        index: tab.index,
+        url: meta.url,
+        title: meta.title || 'Suspended Tab',
+        suspendedAt: meta.suspendedAt || Date.now()
+    };
+}
+
+// Check whether a URL belongs to this install (vs. a previous one with another ID)
+function isOwnExtensionUrl(url) {
+    return typeof url === 'string' && url.startsWith(chrome.runtime.getURL(''));
+}
+
+/**
+ * Check whether a tab shows our suspended page from a previous install
+ * Only pages carrying our sid/time params qualify - anything else could point
+ * the repair at a URL of someone else's choosing.
+ * @param {string} url - Tab URL
+ * @param {object} parsed - SuspendedPage.parseUrl() result for the URL
+ * @returns {boolean}
+ */
+function isPreviousInstallSuspendedPage(url, parsed) {
+    return !isOwnExtensionUrl(url) && PREVIOUS_INSTALL_SUSPENDED_PAGE.test(url) &&
+        Boolean(parsed.token) && parsed.suspendedAt !== null && /^https?:/.test(parsed.url || '');
+}
+
+/**
+ * Record a tab that is now showing our suspended page
+ * @param {chrome.tabs.Tab} tab - The suspended tab
+ */
+async function registerSuspendedTab(tab) {
+    if (!isOwnExtensionUrl(tab.url)) return;
+
+    const suspended = await SuspendedPage.resolve(tab.url);
+    if (!suspended?.token || !suspended.url) return;  // Legacy ?url= tabs carry everything in the URL
+
+    await updateRegistry(registry => {
+        registry[suspended.token] = createRegistryEntry(tab, suspended);
+    });
+}
+
+/**
+ * Forget a tab that was restored, navigated away or closed
+ * @param {number} tabId - The tab
+ * @returns {Promise<object|null>} The tab's registry entry, null if it had none
+ */
+async function unregisterSuspendedTab(tabId) {
+    let removed = null;
+    await updateRegistry(registry => {
+        for (const [token, entry] of Object.entries(registry)) {
+            // A missing entry's tab id is from before the restart - another tab may have it now
+            if (entry.tabId !== tabId || entry.missingSince) continue;
+            removed = entry;
+            delete registry[token];
+        }
+    });
+    return removed;
+}
+
+/**
+ * Re-point a suspended tab left behind by a previous install to this install
+ * @param {chrome.tabs.Tab} tab - Tab on another extension ID's suspended.html
+ * @param {object} parsed - SuspendedPage.parseUrl() result for the tab
+ * @returns {Promise<{token: string, meta: object}|null>} New token and metadata, or null on failure
+ */
+async function repairSuspendedTab(tab, parsed) {
+    const meta = {
+        url: parsed.url,
+        title: parsed.title,
+        favicon: parsed.favicon,
+        suspendedAt: parsed.suspendedAt || Date.now()
+    };
+    if (parsed.truncated) {
+        console.warn(`[BG][RECOVERY] Tab ${tab.id} only has a truncated fallback URL`);
+    }
+
+    const token = SuspendedPage.createToken();
+    await SuspendedPage.saveMeta(token, meta);
+    try {
+        await chrome.tabs.update(tab.id, { url: SuspendedPage.buildUrl(token, meta) });
+    } catch (error) {
+        console.warn(`[BG][RECOVERY] Could not repair tab ${tab.id}:`, error.message);
+        return null;
+    }
+    return { token, meta };
+}
+
+/**
+ * Reconcile the registry with open tabs
+ *
+ * - Our suspended tabs are (re-)registered with their current id/window/index
+ *   (tab ids change across browser restarts)
+ * - Suspended tabs from another extension ID are repaired from their URL fallback
+ * - Registered tabs that no longer exist anywhere move to the lost list shown on
+ *   recovery.html - right away with reportLost, otherwise after reportMissingTabs()
+ *   has given them LOST_TABS_GRACE_MINUTES to come back
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.reloadOwnTabs=false] - Reload our suspended pages (after an update/reload)
+ * @param {boolean} [options.reportLost=false] - No grace period (all tabs are known to be open)
+ * @returns {Promise<{repaired: number, lost: number, missing: number}>}
+ */
+async function reconcileSuspendedTabs({ reloadOwnTabs = false, reportLost = false } = {}) {
+    if (!isExtensionContextValid()) return { repaired: 0, lost: 0, missing: 0 };
+
+    reconcileStarted = true;
+    await chrome.storage.session.set({ [RECONCILED_KEY]: true }).catch(() => {});
+
+    const counts = { repaired: 0, lost: 0, missing: 0 };
+    const now = Date.now();
+    await updateRegistry(async registry => {
+        const tabs = await chrome.tabs.query({});
+        const allMeta = await SuspendedPage.getAllMeta();
+        const next = {};
+
+        for (const tab of tabs) {
+            const parsed = SuspendedPage.parseUrl(tab.url);
+            if (!parsed?.url) continue;
+
+            if (isPreviousInstallSuspendedPage(tab.url, parsed)) {
+                const repaired = await repairSuspendedTab(tab, parsed);
+                if (repaired) {
+                    next[repaired.token] = createRegistryEntry(tab, repaired.meta);
+                    counts.repaired++;
+                }
+                // The old token is gone with the old install's storage
+                delete registry[parsed.token];
+                continue;
+            }
+            if (!isOwnExtensionUrl(tab.url)) continue;
+
+            if (parsed.token) {
+                next[parsed.token] = createRegistryEntry(tab, allMeta[parsed.token] || parsed);
+            }
+            if (reloadOwnTabs && !tab.discarded) {
+                await chrome.tabs.reload(tab.id).catch(() => {});
+            }
+        }
+
+        const gone = Object.entries(registry).filter(([token]) => !next[token]);
+        if (reportLost) {
+            const lost = gone.map(([token, { missingSince, ...entry }]) => ({ token, ...entry, lostAt: now }));
+            if (lost.length > 0) {
+                await addLostTabs(lost);
+                counts.lost = lost.length;
+            }
+        } else {
+            gone.forEach(([token, entry]) => {
+                next[token] = { ...entry, missingSince: entry.missingSince || now };
+            });
+            counts.missing = gone.length;
+        }
+
+        for (const token of Object.keys(registry)) delete registry[token];
+        Object.assign(registry, next);
+    });
+
+    if (counts.missing > 0) {
+        await chrome.alarms.create(LOST_TABS_ALARM_NAME, { delayInMinutes: LOST_TABS_GRACE_MINUTES });
+    }
+    if (counts.repaired > 0 || counts.lost > 0 || counts.missing > 0) {
+        console.log(`[BG][RECOVERY] Repaired ${counts.repaired} suspended tab(s), ${counts.lost} lost, ${counts.missing} not open yet`);
+    }
+    return counts;
+}
+
+// Reconcile unless it already ran in this browser session (every service worker start would repeat it)
+async function reconcileOncePerSession() {
+    if (reconcileStarted) return;
+    const result = await chrome.storage.session.get(RECONCILED_KEY).catch(() => ({}));
+    if (result[RECONCILED_KEY] || reconcileStarted) return;
+    await reconcileSuspendedTabs();
+}
+
+/**
+ * Report registry entries still missing after the grace period as lost
+ * Tabs that came back with a new id are picked up by their token.
+ * @returns {Promise<number>} Number of tabs reported lost
+ */
+async function reportMissingTabs() {
+    let lostCount = 0;
+    await updateRegistry(async registry => {
+        const missing = Object.entries(registry).filter(([, entry]) => entry.missingSince);
+        if (missing.length === 0) return;
+
+        const openByToken = new Map();
+        for (const tab of await chrome.tabs.query({})) {
+            const token = isOwnExtensionUrl(tab.url) ? SuspendedPage.parseUrl(tab.url)?.token : null;
+            if (token) openByToken.set(token, tab);
+        }
+
+        const now = Date.now();
+        const lost = [];
+        for (const [token, { missingSince, ...entry }] of missing) {
+            const tab = openByToken.get(token);
+            if (tab) {
+                registry[token] = createRegistryEntry(tab, entry);
+            } else {
+                lost.push({ token, ...entry, lostAt: now });
+                delete registry[token];
+            }
+        }
+        if (lost.length > 0) await addLostTabs(lost);
+        lostCount = lost.length;
+    });
+
+    if (lostCount > 0) {
+        console.log(`[BG][RECOVERY] ${lostCount} suspended tab(s) did not come back`);
+    }
+    return lostCount;
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name !== LOST_TABS_ALARM_NAME) return;
+    if (!isExtensionContextValid()) return;
+
+    await reportMissingTabs();
+});
+
+async function getLostTabs() {
+    const result = await chrome.storage.local.get(LOST_TABS_KEY);
+    return result[LOST_TABS_KEY] || [];
+}
+
+async function addLostTabs(entries) {
+    const existing = await getLostTabs();
+    const tokens = new Set(entries.map(entry => entry.token));
+    const merged = [...entries, ...existing.filter(entry => !tokens.has(entry.token))]
+        .slice(0, MAX_LOST_TABS);
+    await chrome.storage.local.set({ [LOST_TABS_KEY]: merged });
+}
+
+/**
+ * Dismiss lost tabs from the recovery list
+ * @param {string[]} [tokens] - Entries to remove; all when omitted
+ */
+async function dismissLostTabs(tokens) {
+    if (!Array.isArray(tokens)) {
+        await chrome.storage.local.set({ [LOST_TABS_KEY]: [] });
+        return;
+    }
+    const remove = new Set(tokens);
+    const remaining = (await getLostTabs()).filter(entry => !remove.has(entry.token));
+    await chrome.storage.local.set({ [LOST_TABS_KEY]: remaining });
+}
+
+/**
+ * Reopen lost tabs as suspended pages, in their old window and position when it still exists
+ * @param {string[]} [tokens] - Entries to reopen; all when omitted
+ * @returns {Promise<number>} Number of tabs reopened
+ */
+async function reopenLostTabs(tokens) {
+    const lost = await getLostTabs();
+    const selected = Array.isArray(tokens)
+        ? lost.filter(entry => tokens.includes(entry.token))
+        : lost;
+
+    const reopened = [];
+    for (const entry of selected) {
+        const window = entry.windowId
+            ? await chrome.windows.get(entry.windowId).catch(() => null)
+            : null;
+
+        // Reopened suspended, so restoring a long list doesn't load every page at once
+        const token = SuspendedPage.createToken();
+        const meta = { url: entry.url, title: entry.title, suspendedAt: entry.suspendedAt };
+        await SuspendedPage.saveMeta(token, meta);
+
+        try {
+            await chrome.tabs.create({
+                url: SuspendedPage.buildUrl(token, meta),
+                windowId: window?.id,
+                index: window ? entry.index : undefined,
+                active: false
+            });
+            reopened.push(entry.token);
+        } catch (error) {
+            console.warn('[BG][RECOVERY] Failed to reopen lost tab:', error.message);
+        }
+    }
+
+    await dismissLostTabs(reopened);
+    return reopened.length;
+}
+
+// ============================================================================
+// MIGRATION FROM OTHER SUSPENDERS
+// ============================================================================
+
+/**
+ * Parse a Great Suspender-style suspended page URL
+ * @param {string} url - Tab URL
+ * @returns {{url: string, title: string, scrollY: number}|null} Null if not a foreign suspended page
+ */
+function parseForeignSuspendedUrl(url) {
+    if (typeof url !== 'string' || isOwnExtensionUrl(url)) return null;
+
+    const match = url.match(FOREIGN_SUSPENDED_PAGE);
+    if (!match) return null;
+
+    // uri is always last and is not encoded, so it may itself contain & and #
+    const hash = match[1];
+    const uriStart = hash.startsWith('uri=') ? 0 : hash.indexOf('&uri=') + 1;
+    if (uriStart === 0 && !hash.startsWith('uri=')) return null;
+
+    const originalUrl = hash.slice(uriStart + 'uri='.length);
+    try {
+        if (!['http:', 'https:'].includes(new URL(originalUrl).protocol)) return null;
+    } catch {
+        return null;
+    }
+
+    const params = new URLSearchParams(hash.slice(0, uriStart));
+    return {
+        url: originalUrl,
+        title: params.get('ttl') || originalUrl,
+        scrollY: parseInt(params.get('pos'), 10) || 0
+    };
+}
+
+async function findForeignSuspendedTabs() {
+    const tabs = await chrome.tabs.query({});
+    return tabs
+        .map(tab => ({ tab, foreign: parseForeignSuspendedUrl(tab.url) }))
+        .filter(({ foreign }) => foreign !== null);
+}
+
+/**
+ * Convert other suspenders' suspended pages into ours, in place
+ * @returns {Promise<{converted: number, failed: number}>}
+ */
+async function importForeignSuspendedTabs() {
+    const found = await findForeignSuspendedTabs();
+    let converted = 0;
+    let failed = 0;
+
+    for (const { tab, foreign } of found) {
+        const token = SuspendedPage.createToken();
+        const meta = { url: foreign.url, title: foreign.title, suspendedAt: Date.now() };
+        await SuspendedPage.saveMeta(token, meta);
+
+        // Their saved scroll position comes along like one we captured ourselves
+        if (foreign.scrollY > 0) {
+            await saveTabState(token, {
+                url: foreign.url,
+                scrollPosition: { x: 0, y: foreign.scrollY },
+                savedAt: Date.now()
+            });
+        }
+
+        try {
+            await chrome.tabs.update(tab.id, { url: SuspendedPage.buildUrl(token, meta) });
+            converted++;
+        } catch (error) {
+            console.warn(`[BG][MIGRATE] Could not convert tab ${tab.id}:`, error.message);
+            failed++;
+        }
+    }
+
+    console.log(`[BG][MIGRATE] Converted ${converted} foreign suspended tab(s), ${failed} failed`);
+    return { converted, failed };
+}
+
+/**
+ * Split an exported whitelist into raw entries
+ *
+ * Accepts the Great Suspender options text (entries separated by whitespace or
+ * new lines) and JSON exports: an array of entries, or an object with a
+ * `whitelist` / `gsWhitelist` / `whitelistedDomains` value (string or array).
+ *
+ * @param {string} text - File contents or pasted text
+ * @returns {string[]}
+ */
+function parseForeignWhitelist(text) {
+    const trimmed = text.trim();
+    let value = trimmed;
+
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        try {
+            const parsed = JSON.parse(trimmed);
+            value = Array.isArray(parsed)
+                ? parsed
+                : parsed.whitelist ?? parsed.gsWhitelist ?? parsed.whitelistedDomains ?? '';
+        } catch {
+            // Not JSON after all - treat as plain text
+        }
+    }
+
+    const entries = Array.isArray(value) ? value : String(value).split(/\s+/);
+    return entries
+        .filter(entry => typeof entry === 'string')
+        .map(entry => entry.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Convert a Great Suspender whitelist entry to one of our patterns.
+ * Theirs match as plain substrings of the URL (or /regex/), ours are host based.
+ * @param {string} entry - Raw entry
+ * @returns {string} Pattern (may still be invalid)
+ */
+function convertForeignWhitelistEntry(entry) {
+    if (/^\/.+\/[a-z]*$/.test(entry)) return entry;
+
+    const normalized = UrlPatterns.normalizePattern(entry);
+    if (entry.includes('.') && UrlPatterns.validatePattern(normalized).valid) {
+        return normalized;
+    }
+
+    // Keep substring semantics for fragments like "localhost" or "mail"
+    return `/${entry.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')}/`;
+}
+
+/**
+ * Merge an exported whitelist into whitelistedDomains
+ * Nothing is added unless the whole result can be saved.
+ * @param {string} text - Exported whitelist
+ * @returns {Promise<{success: boolean, added: number, skipped: number, invalid: number, error?: string}>}
+ */
+async function importForeignWhitelist(text) {
+    const existing = new Set(config.whitelistedDomains.map(d => UrlPatterns.normalizePattern(d)));
+    const whitelistedDomains = [...config.whitelistedDomains];
+    let added = 0;
+    let skipped = 0;
+    let invalid = 0;
+
+    for (const entry of parseForeignWhitelist(text)) {
+        const pattern = convertForeignWhitelistEntry(entry);
+        if (!UrlPatterns.validatePattern(pattern).valid) {
+            invalid++;
+        } else if (existing.has(pattern)) {
+            skipped++;
+        } else {
+            existing.add(pattern);
+            whitelistedDomains.push(pattern);
+            added++;
+        }
+    }
+
+    if (added > 0) {
+        const failed = error => ({ success: false, added: 0, skipped, invalid, error });
+        if (!fitsSyncQuota({ ...config, whitelistedDomains })) {
+            console.warn(`[BG][MIGRATE] Whitelist import of ${added} entries would exceed the sync quota`);
+            return failed('This whitelist is too large to save with your settings');
+        }
+
+        const previous = config.whitelistedDomains;
+        config.whitelistedDomains = whitelistedDomains;
+        if (!await saveSettings()) {
+            config.whitelistedDomains = previous;
+            return failed('Could not save the imported whitelist');
+        }
+    }
+    console.log(`[BG][MIGRATE] Whitelist import: ${added} added, ${skipped} duplicate, ${invalid} invalid`);
+    return { success: true, added, skipped, invalid };
+}
+
+// ============================================================================
+// MEMORY PRESSURE
+// ============================================================================
+
+/**
+ * Create or clear the periodic memory check alarm based on config.memoryThreshold
+ */
+async function startMemoryMonitor() {
+    if (!isExtensionContextValid()) {
+        console.warn('[BG][MEMORY] Extension context invalid, skipping monitor start');
+        return;
+    }
+
+    try {
+        const threshold = Number(config.memoryThreshold);
+        if (!chrome.system?.memory || !threshold || threshold >= 100) {
+            await chrome.alarms.clear(MEMORY_ALARM_NAME);
+            await chrome.storage.session.remove('memoryPressureState').catch(() => {});
+            console.log('[BG][MEMORY] Memory pressure monitor disabled');
+            return;
+        }
+
+        const existing = await chrome.alarms.get(MEMORY_ALARM_NAME);
+        if (!existing) {
+            await chrome.alarms.create(MEMORY_ALARM_NAME, {
+                delayInMinutes: MEMORY_CHECK_INTERVAL_MINUTES,
+                periodInMinutes: MEMORY_CHECK_INTERVAL_MINUTES
+            });
+        }
+        console.log(`[BG][MEMORY] Monitoring memory, threshold ${threshold}%`);
+    } catch (error) {
+        console.error('[BG][MEMORY] Failed to start memory monitor:', error);
+    }
+}
+
+/**
+ * Get current system memory usage as a percentage
+ * @returns {Promise<number|null>} Usage percent, or null if unavailable
+ */
+async function getMemoryUsagePercent() {
+    try {
+        const info = await chrome.system.memory.getInfo();
+        if (!info.capacity) return null;
+        return (1 - info.availableCapacity / info.capacity) * 100;
+    } catch (error) {
+        console.warn('[BG][MEMORY] Failed to read system memory:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Get suspension candidates, least recently active first
+ * @returns {Promise<chrome.tabs.Tab[]>}
+ */
+async function getPressureCandidates() {
+    const tabs = await chrome.tabs.query({});
+    return sortByLastActivity(
+        tabs.filter(tab => !tab.active && !isInternalPage(tab.url) && !isTabSuspended(tab))
+    );
+}
+
+/**
+ * Sort tabs least recently used first, by tabLastActivity (tab.lastAccessed as a fallback)
+ * @param {chrome.tabs.Tab[]} tabs
+ * @returns {Promise<chrome.tabs.Tab[]>}
+ */
+async function sortByLastActivity(tabs) {
+    const tabLastActivity = await getAllTabActivity();
+    const lastActive = tab => tabLastActivity[tab.id] || tab.lastAccessed || 0;
+    return [...tabs].sort((a, b) => lastActive(a) - lastActive(b));
+}
+
+/**
+ * Check memory usage and suspend idle tabs while under pressure.
+ * Pressure starts when usage reaches memoryThreshold and ends once usage
+ * falls below memoryThreshold - MEMORY_HYSTERESIS_PERCENT. State is kept in
+ * session storage so an event can span several alarm ticks and SW restarts.
+ */
+async function checkMemoryPressure() {
+    if (memoryCheckInProgress) return;
+    memoryCheckInProgress = true;
+
+    try {
+        const threshold = Number(config.memoryThreshold);
+        if (!threshold || threshold >= 100) return;
+
+        let usage = await getMemoryUsagePercent();
+        if (usage === null) return;
+
+        const result = await chrome.storage.session.get('memoryPressureState').catch(() => ({}));
+        let state = result.memoryPressureState || null;
+
+        if (!state) {
+            if (usage < threshold) return;
+
+            state = {
+                startedAt: Date.now(),
+                threshold,
+                startPercent: Math.round(usage),
+                peakPercent: Math.round(usage),
+                tabsSuspended: 0
+            };
+            console.log(`[BG][MEMORY] Memory pressure: ${usage.toFixed(1)}% >= ${threshold}%`);
+        }
+
+        const lowWater = threshold - MEMORY_HYSTERESIS_PERCENT;
+        let suspendedThisCheck = 0;
+
+        if (usage >= lowWater) {
+            const candidates = await getPressureCandidates();
+
+            for (const tab of candidates) {
+                if (usage < lowWater || suspendedThisCheck >= MEMORY_MAX_SUSPENSIONS_PER_CHECK) break;
+                if (!isExtensionContextValid()) return;
+
+                // suspendTab() re-checks shouldSuspendTab() (whitelist, audio, forms, ...)
+                const suspended = await suspendTab(tab.id, { automatic: true });
+                if (!suspended) continue;
+
+                suspendedThisCheck++;
+                state.tabsSuspended++;
+                console.log(`[BG][MEMORY] Suspended tab ${tab.id} under memory pressure`);
+
+                await new Promise(resolve => setTimeout(resolve, MEMORY_SETTLE_DELAY_MS));
+                usage = (await getMemoryUsagePercent()) ?? usage;
+                state.peakPercent = Math.max(state.peakPercent, Math.round(usage));
+            }
+        }
+
+        state.peakPercent = Math.max(state.peakPercent, Math.round(usage));
+
+        if (usage < lowWater) {
+            await recordMemoryPressureEvent({
+                ...state,
+                endedAt: Date.now(),
+                endPercent: Math.round(usage)
+            });
+            await chrome.storage.session.remove('memoryPressureState').catch(() => {});
+            console.log(`[BG][MEMORY] Memory pressure relieved at ${usage.toFixed(1)}% after suspending ${state.tabsSuspended} tabs`);
+        } else {
+            await chrome.storage.session.set({ memoryPressureState: state }).catch(() => {});
+        }
+    } catch (error) {
+        if (error.message && (error.message.includes('Extension context invalidated') ||
+            error.message.includes('No SW'))) {
+            console.warn('[BG][MEMORY] Context invalidated during memory check');
+            return;
+        }
+        console.error('[BG][MEMORY] Memory pressure check failed:', error);
+    } finally {
+        memoryCheckInProgress = false;
+    }
+}
+
+/**
+ * Append a finished pressure event to memoryStats for the dashboard
+ * @param {object} event - { startedAt, endedAt, threshold, startPercent, peakPercent, endPercent, tabsSuspended }
+ */
+async function recordMemoryPressureEvent(event) {
+    try {
+        const result = await chrome.storage.local.get('memoryStats');
+        const stats = result.memoryStats || { totalSaved: 0, tabsSuspended: 0, history: [] };
+
+        stats.pressureEvents = Array.isArray(stats.pressureEvents) ? stats.pressureEvents : [];
+        stats.pressureEvents.push(event);
+        if (stats.pressureEvents.length > MAX_PRESSURE_EVENTS) {
+            stats.pressureEvents = stats.pressureEvents.slice(-MAX_PRESSURE_EVENTS);
+        }
+
+        await chrome.storage.local.set({ memoryStats: stats });
+        await broadcastStatsUpdate();
+    } catch (error) {
+        console.error('[BG][STATS] Failed to record memory pressure event:', error);
+    }
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name !== MEMORY_ALARM_NAME) return;
+
+    if (!isExtensionContextValid()) {
+        console.warn('[BG][MEMORY] Extension context invalid, skipping memory check');
+        return;
+    }
+
+    await checkMemoryPressure();
+});
+
+// ============================================================================
+// LOADED TAB CAP
+// ============================================================================
+
+function getTabCapLimit() {
+    const limit = Number(config.maxLoadedTabs);
+    return Number.isInteger(limit) && limit > 0 ? limit : 0;
+}
+
+function getTabCapScope() {
+    return config.maxLoadedTabsScope === 'window' ? 'window' : 'global';
+}
+
+/**
+ * Get the live tabs that count toward the cap
+ * Suspended, discarded and internal tabs are not live. Pinned, audible,
+ * media-protected (calls, fullscreen, ...), busy and whitelisted tabs that can't be
+ * suspended don't count either, so they don't push other tabs out.
+ * @param {number|null} windowId - Window to count in 'window' scope
+ * @returns {Promise<chrome.tabs.Tab[]>}
+ */
+async function getCappedTabs(windowId) {
+    const query = getTabCapScope() === 'window' && windowId != null ? { windowId } : {};
+    const [tabs, context] = await Promise.all([chrome.tabs.query(query), loadSuspendContext()]);
+
+    return tabs.filter(tab => {
+        const { media, busy } = getTabProtections(tab.id, context);
+        return !isInternalPage(tab.url) &&
+            !isTabSuspended(tab) &&
+            !(tab.pinned && !config.suspendPinnedTabs) &&
+            !(tab.audible && config.neverSuspendAudio) &&
+            !getMediaProtection(media) &&
+            !getBusyProtection(busy) &&
+            !isWhitelisted(tab.url);
+    });
+}
+
+/**
+ * Suspend least recently used tabs until the live tab count is within the cap
+ * @param {number|null} [windowId=null] - Window the triggering event happened in ('window' scope)
+ * @returns {Promise<number>} Number of tabs suspended
+ */
+function enforceTabCap(windowId = null) {
+    const run = tabCapQueue.then(async () => {
+        const limit = getTabCapLimit();
+        if (!limit || !isExtensionContextValid()) return 0;
+        if (getTabCapScope() === 'window' && windowId == null) return 0;
+
+        const tabs = await getCappedTabs(windowId);
+        let excess = tabs.length - limit;
+        if (excess <= 0) return 0;
+
+        let count = 0;
+        const candidates = await sortByLastActivity(tabs.filter(tab => !tab.active));
+        for (const tab of candidates) {
+            if (excess <= 0) break;
+            // Forms, pause schedules, etc. - shouldSuspendTab() has the last word
+            if (await suspendTab(tab.id, { automatic: true })) {
+                excess--;
+                count++;
+            }
+        }
+
+        console.log(`[BG][CAP] Suspended ${count} tab(s) to stay within ${limit} live tabs${excess > 0 ? ` (${excess} over, all protected)` : ''}`);
+        return count;
+    }).catch(error => {
+        console.error('[BG][CAP] Failed to enforce loaded tab cap:', error);
+        return 0;
+    });
+
+    tabCapQueue = run;
+    return run;
+}
+
+// Apply the cap to every window (or once, in global scope) after a settings change
+async function enforceTabCapEverywhere() {
+    if (getTabCapScope() === 'global') {
+        await enforceTabCap();
+        return;
+    }
+
+    const windows = await chrome.windows.getAll({ windowTypes: ['normal'] });
+    for (const win of windows) {
+        await enforceTabCap(win.id);
+    }
+}
+
+/**
+ * Describe the cap for the popup
+ * @param {number} [windowId] - The popup's window ('window' scope)
+ * @returns {Promise<{enabled: boolean, limit: number, scope: string, loaded: number}>}
+ */
+async function getTabCapStatus(windowId) {
+    const limit = getTabCapLimit();
+    const scope = getTabCapScope();
+    if (!limit) {
+        return { enabled: false, limit: 0, scope, loaded: 0 };
+    }
+
+    const tabs = await getCappedTabs(windowId ?? null);
+    return { enabled: true, limit, scope, loaded: tabs.length };
+}
+
+// ============================================================================
+// PER-SITE TIMEOUTS
+// ============================================================================
+
+/**
+ * Resolve the suspension timeout that applies to a URL
+ * Entries in config.siteTimeouts are checked in order; the first pattern that
+ * matches wins, then an active timeout schedule, then the domain's learned
+ * timeout (adaptive mode), otherwise the global suspensionTimeout applies.
+ * @param {string} url - The tab URL
+ * @returns {{minutes: number, source: string, pattern: string|null}} pattern is
+ *     the matching siteTimeouts pattern, or the domain for a learned timeout
+ */
+function getEffectiveTimeout(url) {
+    const siteTimeouts = Array.isArray(config.siteTimeouts) ? config.siteTimeouts : [];
+
+    for (const entry of siteTimeouts) {
+        if (!entry || typeof entry.pattern !== 'string') continue;
+        const minutes = Number(entry.minutes);
+        if (!Number.isFinite(minutes) || minutes <= 0) continue;
+
+        if (UrlPatterns.matchesPattern(url, entry.pattern)) {
+            return { minutes, source: 'site', pattern: entry.pattern };
+        }
+    }
+
+    const schedule = getActiveSchedule();
+    if (schedule?.action === 'timeout') {
+        return { minutes: Number(schedule.minutes), source: 'schedule', pattern: null };
+    }
+
+    const domain = config.adaptiveTimeouts ? getDomainKey(url) : null;
+    if (domain && learnedTimeouts[domain]) {
+        return { minutes: learnedTimeouts[domain].minutes, source: 'adaptive', pattern: domain };
+    }
+
+    return { minutes: config.suspensionTimeout, source: 'global', pattern: null };
+}
+
+// ============================================================================
+// ADAPTIVE TIMEOUTS
+// ============================================================================
+
+/**
+ * The domain a learned timeout belongs to
+ * @param {string} url
+ * @returns {string|null} Host name without "www.", null for non-web URLs
+ */
+function getDomainKey(url) {
+    try {
+        const { protocol, hostname } = new URL(url);
+        if (protocol !== 'http:' && protocol !== 'https:') return null;
+        return hostname.startsWith('www.') ? hostname.slice(4) : hostname;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Stored learning state
+ * @returns {Promise<{learnedAt: number, resetAt: number, resets: Object<string, number>, domains: object}>}
+ */
+async function getLearnedTimeoutState() {
+    const result = await chrome.storage.local.get(LEARNED_TIMEOUTS_KEY).catch(() => ({}));
+    return { learnedAt: 0, resetAt: 0, resets: {}, domains: {}, ...result[LEARNED_TIMEOUTS_KEY] };
+}
+
+async function loadLearnedTimeouts() {
+    learnedTimeouts = (await getLearnedTimeoutState()).domains;
+}
+
+/**
+ * Record that a suspended tab was opened again
+ * @param {string} url - The page that came back
+ * @param {number} suspendedAt - When it was suspended
+ * @returns {Promise<void>}
+ */
+async function recordTabRestore(url, suspendedAt) {
+    if (!getDomainKey(url) || !suspendedAt) return;
+
+    // Restore All brings many tabs back at once - queued so no restore is dropped
+    restoreHistoryQueue = restoreHistoryQueue.then(async () => {
+        const result = await chrome.storage.local.get(RESTORE_HISTORY_KEY);
+        const history = result[RESTORE_HISTORY_KEY] || [];
+        history.push({ timestamp: Date.now(), url, suspendedAt });
+        await chrome.storage.local.set({ [RESTORE_HISTORY_KEY]: history.slice(-MAX_RESTORE_HISTORY) });
+        console.log(`[BG][ADAPTIVE] ${getDomainKey(url)} restored after ${Math.round((Date.now() - suspendedAt) / 60000)} minute(s)`);
+    }).catch(error => {
+        console.warn('[BG][ADAPTIVE] Failed to record restore:', error.message);
+    });
+    return restoreHistoryQueue;
+}
+
+/**
+ * When a URL was last suspended, from memoryStats.history
+ * Discarded tabs keep no suspension metadata of their own.
+ * @param {string} url
+ * @returns {Promise<number|null>} Timestamp, null if not suspended recently
+ */
+async function findLastSuspension(url) {
+    const result = await chrome.storage.local.get('memoryStats').catch(() => ({}));
+    const history = result.memoryStats?.history || [];
+    const since = Date.now() - ADAPTIVE_HISTORY_MS;
+
+    for (let i = history.length - 1; i >= 0; i--) {
+        if (history[i].timestamp < since) break;
+        if (history[i].url === url) return history[i].timestamp;
+    }
+    return null;
+}
+
+/**
+ * Work out per-domain timeouts from suspensions and restores
+ *
+ * A suspension counts once it is older than ADAPTIVE_REVISIT_MS, and a restore
+ * within that time is a revisit. Domains revisited at least ADAPTIVE_REVISIT_RATE
+ * of the time stay loaded past the usual revisit (timeout + median time to
+ * restore, plus ADAPTIVE_HEADROOM); domains revisited at most ADAPTIVE_ABANDON_RATE
+ * of the time get half the global timeout. Both are kept within
+ * adaptiveMinMinutes..adaptiveMaxMinutes. History from before a reset is ignored.
+ *
+ * @param {Array<{timestamp: number, url: string}>} suspensions - memoryStats.history
+ * @param {Array<{timestamp: number, url: string, suspendedAt: number}>} restores - restoreHistory
+ * @param {{resetAt: number, resets: Object<string, number>}} state - See getLearnedTimeoutState()
+ * @param {number} [now=Date.now()]
+ * @returns {Object<string, {minutes: number, suspensions: number, revisits: number, medianRestoreMinutes: number|null}>}
+ */
+function learnDomainTimeouts(suspensions, restores, state, now = Date.now()) {
+    const settled = now - ADAPTIVE_REVISIT_MS;
+    const stats = {};
+    const counted = (url, suspendedAt) => {
+        const domain = getDomainKey(url);
+        if (!domain) return null;
+        const from = Math.max(now - ADAPTIVE_HISTORY_MS, state.resetAt || 0, state.resets?.[domain] || 0);
+        if (suspendedAt < from || suspendedAt > settled) return null;
+        if (!stats[domain]) stats[domain] = { suspensions: 0, delays: [] };
+        return stats[domain];
+    };
+
+    for (const entry of suspensions) {
+        const domainStats = counted(entry.url, entry.timestamp);
+        if (domainStats) domainStats.suspensions++;
+    }
+    for (const entry of restores) {
+        const delay = entry.timestamp - entry.suspendedAt;
+        const domainStats = delay <= ADAPTIVE_REVISIT_MS ? counted(entry.url, entry.suspendedAt) : null;
+        if (domainStats) domainStats.delays.push(delay);
+    }
+
+    const base = config.suspensionTimeout;
+    const learned = {};
+    for (const [domain, { suspensions: count, delays }] of Object.entries(stats)) {
+        if (count < ADAPTIVE_MIN_SUSPENSIONS) continue;
+
+        // A restore without its suspension (history trimmed) can't push the rate past 1
+        const revisits = Math.min(delays.length, count);
+        const rate = revisits / count;
+        delays.sort((a, b) => a - b);
+        const medianRestoreMinutes = delays.length > 0 ? Math.round(delays[Math.floor(delays.length / 2)] / 60000) : null;
+
+        let minutes;
+        if (rate >= ADAPTIVE_REVISIT_RATE) {
+            minutes = (base + medianRestoreMinutes) * ADAPTIVE_HEADROOM;
+        } else if (rate <= ADAPTIVE_ABANDON_RATE) {
+            minutes = base / 2;
+        } else {
+            continue;
+        }
+
+        minutes = Math.min(config.adaptiveMaxMinutes, Math.max(config.adaptiveMinMinutes, Math.round(minutes)));
+        if (minutes === base) continue;
+        learned[domain] = { minutes, suspensions: count, revisits, medianRestoreMinutes };
+    }
+    return learned;
+}
+
+/**
+ * Re-learn the per-domain timeouts, at most every ADAPTIVE_RELEARN_INTERVAL_MS
+ * @param {object} [options]
+ * @param {boolean} [options.force=false] - Re-learn now (settings or history changed)
+ * @returns {Promise<void>}
+ */
+async function refreshLearnedTimeouts({ force = false } = {}) {
+    if (!config.adaptiveTimeouts) return;
+
+    try {
+        const state = await getLearnedTimeoutState();
+        const now = Date.now();
+        if (!force && now - state.learnedAt < ADAPTIVE_RELEARN_INTERVAL_MS) return;
+
+        const result = await chrome.storage.local.get(['memoryStats', RESTORE_HISTORY_KEY]);
+        const domains = learnDomainTimeouts(result.memoryStats?.history || [], result[RESTORE_HISTORY_KEY] || [], state, now);
+
+        // Resets older than the history window no longer hide anything
+        const resets = Object.fromEntries(Object.entries(state.resets)
+            .filter(([, resetAt]) => resetAt > now - ADAPTIVE_HISTORY_MS));
+
+        await chrome.storage.local.set({ [LEARNED_TIMEOUTS_KEY]: { ...state, resets, learnedAt: now, domains } });
+        learnedTimeouts = domains;
+        console.log(`[BG][ADAPTIVE] Learned timeouts for ${Object.keys(domains).length} domain(s)`);
+    } catch (error) {
+        console.error('[BG][ADAPTIVE] Failed to learn timeouts:', error);
+    }
+}
+
+/**
+ * Forget what was learned about one domain, or all of them
+ * History up to now is ignored from then on, so the domain starts over at the global timeout.
+ * @param {string} [domain] - Omit to reset every domain
+ * @returns {Promise<void>}
+ */
+async function resetLearnedTimeouts(domain) {
+    const state = await getLearnedTimeoutState();
+    const now = Date.now();
+
+    if (domain) {
+        state.resets = { ...state.resets, [domain]: now };
+        delete state.domains[domain];
+    } else {
+        state.resetAt = now;
+        state.resets = {};
+        state.domains = {};
+    }
+
+    await chrome.storage.local.set({ [LEARNED_TIMEOUTS_KEY]: state });
+    learnedTimeouts = state.domains;
+    console.log(`[BG][ADAPTIVE] Reset learned timeout${domain ? ` for ${domain}` : 's'}`);
+}
+
+/**
+ * Learned timeouts for the settings page
+ * @returns {Promise<{enabled: boolean, baseMinutes: number, learnedAt: number, timeouts: Array<object>}>}
+ */
+async function getLearnedTimeoutsHandler() {
+    const { learnedAt, domains } = await getLearnedTimeoutState();
+    const timeouts = Object.entries(domains)
+        .map(([domain, entry]) => ({ domain, ...entry }))
+        .sort((a, b) => a.domain.localeCompare(b.domain));
+
+    return { enabled: config.adaptiveTimeouts === true, baseMinutes: config.suspensionTimeout, learnedAt, timeouts };
+}
+
+// ============================================================================
+// SCHEDULES
+// ============================================================================
+
+/**
+ * Parse an "HH:MM" schedule time
+ * @param {string} value
+ * @returns {number|null} Minutes since midnight, or null if invalid
+ */
+function parseScheduleTime(value) {
+    const match = typeof value === 'string' && value.match(/^(\d{1,2}):(\d{2})$/);
+    if (!match) return null;
+
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (hours > 23 || minutes > 59) return null;
+    return hours * 60 + minutes;
+}
+
+function isValidSchedule(schedule) {
+    if (!schedule || typeof schedule.id !== 'string') return false;
+    if (!SCHEDULE_ACTIONS.includes(schedule.action)) return false;
+    if (!Array.isArray(schedule.days) || schedule.days.length === 0) return false;
+
+    const start = parseScheduleTime(schedule.start);
+    if (start === null) return false;
+    if (schedule.action === 'suspendAll') return true;
+
+    const end = parseScheduleTime(schedule.end);
+    if (end === null || end === start) return false;
+    return schedule.action !== 'timeout' || Number(schedule.minutes) > 0;
+}
+
+// Enabled, well-formed schedules in the user's order
+function getSchedules() {
+    const schedules = Array.isArray(config.schedules) ? config.schedules : [];
+    return schedules.filter(schedule => schedule?.enabled !== false && isValidSchedule(schedule));
+}
+
+/**
+ * Check whether a timeout/pause window covers a moment
+ * Windows whose end is before their start run past midnight; `days` refers to
+ * the day the window starts on.
+ * @param {object} schedule - A valid window schedule
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function isScheduleWindowOpen(schedule, date) {
+    const start = parseScheduleTime(schedule.start);
+    const end = parseScheduleTime(schedule.end);
+    const minute = date.getHours() * 60 + date.getMinutes();
+    const day = date.getDay();
+
+    if (start < end) {
+        return schedule.days.includes(day) && minute >= start && minute < end;
+    }
+    return (schedule.days.includes(day) && minute >= start) ||
+        (schedule.days.includes((day + 6) % 7) && minute < end);
+}
+
+/**
+ * Get the timeout/pause window in effect. When windows overlap the first one
+ * in the list wins, like per-site entries.
+ * @param {Date} [date=new Date()]
+ * @returns {object|null} The schedule, or null outside every window
+ */
+function getActiveSchedule(date = new Date()) {
+    return getSchedules().find(schedule =>
+        schedule.action !== 'suspendAll' && isScheduleWindowOpen(schedule, date)
+    ) || null;
+}
+
+/**
+ * Find the next moment a window opens or closes or a Suspend All is due
+ * @param {number} [now=Date.now()]
+ * @returns {number|null} Timestamp, or null with no schedules
+ */
+function getNextScheduleBoundary(now = Date.now()) {
+    let next = null;
+
+    // setDate/setHours keep local wall-clock times correct across DST changes
+    const atLocalTime = (dayOffset, minuteOfDay) => {
+        const at = new Date(now);
+        at.setDate(at.getDate() + dayOffset);
+        at.setHours(Math.floor(minuteOfDay / 60), minuteOfDay % 60, 0, 0);
+        return at;
+    };
+    const consider = (dayOffset, minuteOfDay) => {
+        const time = atLocalTime(dayOffset, minuteOfDay).getTime();
+        if (time > now && (next === null || time < next)) next = time;
+    };
+
+    for (const schedule of getSchedules()) {
+        const start = parseScheduleTime(schedule.start);
+        const end = parseScheduleTime(schedule.end);
+
+        // Yesterday (its window may run past midnight) through the same weekday next week
+        for (let offset = -1; offset <= 7; offset++) {
+            if (!schedule.days.includes(atLocalTime(offset, 0).getDay())) continue;
+
+            consider(offset, start);
+            if (schedule.action !== 'suspendAll') {
+                consider(end > start ? offset : offset + 1, end);
+            }
         }
-    } catch (error) {
-        console.error('[BG] Error in handleMessage:', error);
-        throw error; // Re-throw to be caught by the outer handler
     }
+
+    return next;
 }
 
-// ============================================================================
-// SUSPENSION LOGIC
-// ============================================================================
+/**
+ * Arm the schedule alarm for the next boundary and remember the window in effect
+ */
+async function startScheduleMonitor() {
+    if (!isExtensionContextValid()) {
+        console.warn('[BG][SCHEDULE] Extension context invalid, skipping schedule start');
+        return;
+    }
 
-async function shouldSuspendTab(tabId) {
     try {
-        // Defensive handling: tab may have been closed
-        const tab = await chrome.tabs.get(tabId).catch(() => null);
-        if (!tab) {
-            console.log(`[BG][SUSPEND] Tab ${tabId} no longer exists`);
-            return false;
-        }
+        await chrome.alarms.clear(SCHEDULE_ALARM_NAME);
 
-        if (isInternalPage(tab.url)) return false;
-        if (isSuspendedPage(tab.url)) return false;
-        if (config.neverSuspendActiveTab && tab.active) return false;
-        if (!config.suspendPinnedTabs && tab.pinned) return false;
-        if (config.neverSuspendAudio && tab.audible) return false;
-        if (isWhitelisted(tab.url)) return false;
+        const active = getActiveSchedule();
+        await chrome.storage.session.set({ activeScheduleId: active?.id ?? null }).catch(() => {});
 
-        // HIGH-6: Don't suspend tabs with unsaved form data
-        if (await getTabFormStatus(tabId)) {
-            console.log(`[BG][FORMS] Tab ${tabId} has unsaved form data - skipping suspension`);
-            return false;
+        const next = getNextScheduleBoundary();
+        if (next === null) {
+            console.log('[BG][SCHEDULE] No schedules configured');
+            return;
         }
 
-        return true;
+        await chrome.alarms.create(SCHEDULE_ALARM_NAME, { when: next });
+        console.log(`[BG][SCHEDULE] Active: ${active ? `${active.action} (${active.id})` : 'none'}, next boundary at ${new Date(next).toLocaleString()}`);
     } catch (error) {
-        console.error('[BG] shouldSuspendTab error:', error);
-        return false;
+        console.error('[BG][SCHEDULE] Failed to start schedule monitor:', error);
     }
 }
 
-async function suspendTab(tabId) {
-    try {
-        const canSuspend = await shouldSuspendTab(tabId);
-        if (!canSuspend) return false;
-
-        // Defensive handling: tab may have been closed between shouldSuspendTab check and now
-        const tab = await chrome.tabs.get(tabId).catch(() => null);
-        if (!tab) {
-            console.log(`[BG][SUSPEND] Tab ${tabId} no longer exists, cannot suspend`);
-            return false;
+/**
+ * Run Suspend All schedules due at the boundary and restart tab timers when
+ * the window in effect changed
+ * @param {chrome.alarms.Alarm} alarm
+ */
+async function handleScheduleBoundary(alarm) {
+    const at = new Date(alarm.scheduledTime);
+    const minute = at.getHours() * 60 + at.getMinutes();
+
+    const due = getSchedules().filter(schedule =>
+        schedule.action === 'suspendAll' &&
+        schedule.days.includes(at.getDay()) &&
+        parseScheduleTime(schedule.start) === minute
+    );
+    if (due.length > 0) {
+        if (Date.now() - alarm.scheduledTime > SCHEDULE_LATE_LIMIT_MS) {
+            console.log(`[BG][SCHEDULE] Skipping Suspend All due at ${at.toLocaleTimeString()} - too late`);
+        } else {
+            const count = await suspendAllInactive();
+            console.log(`[BG][SCHEDULE] Scheduled Suspend All suspended ${count} tab(s)`);
         }
+    }
 
-        // Truncate very long URLs to prevent issues (max 2000 chars for URL param safety)
-        const MAX_URL_LENGTH = 2000;
-        let urlToStore = tab.url;
-        if (urlToStore.length > MAX_URL_LENGTH) {
-            console.warn(`[BG][SUSPEND] URL too long (${urlToStore.length} chars), truncating to ${MAX_URL_LENGTH}`);
-            urlToStore = urlToStore.substring(0, MAX_URL_LENGTH);
-        }
+    const { activeScheduleId = null } = await chrome.storage.session.get('activeScheduleId').catch(() => ({}));
+    const active = getActiveSchedule();
+    if ((active?.id ?? null) !== activeScheduleId) {
+        console.log(`[BG][SCHEDULE] Window changed to ${active ? `${active.action} (${active.id})` : 'none'}, restarting timers`);
+        await startMonitoring({ restart: true });
+    }
 
-        const params = new URLSearchParams({
-            url: urlToStore,
-            title: (tab.title || 'Suspended Tab').substring(0, 200), // Limit title length too
-            favicon: tab.favIconUrl || '', // URLSearchParams handles encoding automatically
-            time: Date.now().toString()
-        });
+    await startScheduleMonitor();
+}
 
-        const suspendedUrl = chrome.runtime.getURL(`suspended.html?${params.toString()}`);
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name !== SCHEDULE_ALARM_NAME) return;
 
-        // Handle tabs.update failure (e.g., restricted URLs like Chrome Web Store, or tab closed)
-        try {
-            await chrome.tabs.update(tabId, { url: suspendedUrl });
-        } catch (updateError) {
-            // Check if error is because tab no longer exists
-            if (updateError.message?.includes('No tab with id')) {
-                console.log(`[BG][SUSPEND] Tab ${tabId} was closed during suspension`);
-                return false;
-            }
-            console.error(`[BG][SUSPEND] Failed to update tab ${tabId}:`, updateError);
-            return false; // Don't update stats if suspension failed
-        }
+    if (!isExtensionContextValid()) {
+        console.warn('[BG][SCHEDULE] Extension context invalid, skipping schedule boundary');
+        return;
+    }
 
-        await updateMemoryStats(tab.url);
-        await clearTabTimer(tabId);
-        await clearTabFormStatus(tabId);
-        updateBadge();
+    try {
+        await handleScheduleBoundary(alarm);
+    } catch (error) {
+        console.error('[BG][SCHEDULE] Schedule boundary failed:', error);
+    }
+});
 
-        return true;
+// ============================================================================
+// SYSTEM IDLE AND SCREEN LOCK
+// ============================================================================
+
+/**
+ * Set the idle threshold and catch up on state changes a sleeping service
+ * worker may have missed
+ * @returns {Promise<void>}
+ */
+async function startIdleMonitor() {
+    if (!isExtensionContextValid()) {
+        console.warn('[BG][IDLE] Extension context invalid, skipping idle monitor start');
+        return;
+    }
+
+    try {
+        chrome.idle.setDetectionInterval(IDLE_DETECTION_SECONDS);
+        await handleIdleStateChange(await chrome.idle.queryState(IDLE_DETECTION_SECONDS));
     } catch (error) {
-        console.error('[BG] Failed to suspend tab:', error);
-        return false;
+        console.error('[BG][IDLE] Failed to start idle monitor:', error);
     }
 }
 
-async function restoreTab(tabId) {
-    try {
-        // Defensive handling: tab may have been closed
-        const tab = await chrome.tabs.get(tabId).catch(() => null);
-        if (!tab) {
-            console.log(`[BG][RESTORE] Tab ${tabId} no longer exists`);
-            return false;
-        }
+/**
+ * Freeze or thaw timers and arm or cancel suspension on screen lock
+ * Safe to call again with the same state.
+ * @param {'active'|'idle'|'locked'} state
+ * @returns {Promise<void>}
+ */
+async function handleIdleStateChange(state) {
+    if (state === 'active') {
+        await chrome.storage.session.remove(SCREEN_LOCKED_KEY).catch(() => {});
+        await chrome.alarms.clear(LOCK_SUSPEND_ALARM_NAME);
+        await thawTabTimers();
+        return;
+    }
 
-        if (!isSuspendedPage(tab.url)) {
-            // Defensive handling for reload
-            try {
-                await chrome.tabs.reload(tabId);
-            } catch (reloadError) {
-                if (reloadError.message?.includes('No tab with id')) {
-                    console.log(`[BG][RESTORE] Tab ${tabId} was closed during reload`);
-                    return false;
-                }
-                throw reloadError;
-            }
-            return true;
-        }
+    if (config.freezeTimersWhenIdle) {
+        // Chrome says idle once there was no input for the whole detection interval
+        await freezeTabTimers(state === 'idle' ? Date.now() - IDLE_DETECTION_SECONDS * 1000 : Date.now());
+    }
+    if (state === 'locked') {
+        await handleScreenLock();
+    }
+}
 
-        const url = new URL(tab.url);
-        const originalUrl = url.searchParams.get('url');
+/**
+ * When timers were frozen
+ * @returns {Promise<number|null>} Timestamp, null while the user is around
+ */
+async function getIdleFrozenSince() {
+    const result = await chrome.storage.session.get(IDLE_FROZEN_KEY).catch(() => ({}));
+    return result[IDLE_FROZEN_KEY] ?? null;
+}
 
-        if (!originalUrl) return false;
+/**
+ * Stop all countdowns (the sweep suspends nothing until thawTabTimers())
+ * @param {number} since - When the user went away
+ * @returns {Promise<void>}
+ */
+async function freezeTabTimers(since) {
+    if (await getIdleFrozenSince() !== null) return;
+    await chrome.storage.session.set({ [IDLE_FROZEN_KEY]: since });
+
+    // Nobody is there to read them - they are shown again before the new deadlines
+    const ids = Object.keys(await loadTabCache('tabTimers')).map(Number);
+    await withdrawSuspendWarnings(ids);
+    await hideSuspendOverlays(ids);
+    console.log(`[BG][IDLE] Timers frozen since ${new Date(since).toLocaleTimeString()}`);
+}
 
-        // Defensive handling for update
-        try {
-            await chrome.tabs.update(tabId, { url: originalUrl });
-        } catch (updateError) {
-            if (updateError.message?.includes('No tab with id')) {
-                console.log(`[BG][RESTORE] Tab ${tabId} was closed during restoration`);
-                return false;
-            }
-            throw updateError;
-        }
+/**
+ * Move every timer on by the time the user was away, so each keeps the
+ * active time it had left; timers started while away start over now
+ * @returns {Promise<void>}
+ */
+async function thawTabTimers() {
+    const since = await getIdleFrozenSince();
+    if (since === null) return;
+
+    const now = Date.now();
+    await updateTabCache('tabTimers', timers => {
+        const ids = Object.keys(timers);
+        if (ids.length === 0) return false;
+        ids.forEach(tabId => {
+            timers[tabId] += now - Math.max(timers[tabId], since);
+        });
+    });
+    await chrome.storage.session.remove(IDLE_FROZEN_KEY).catch(() => {});
+    console.log(`[BG][IDLE] Timers thawed after ${Math.round((now - since) / 60000)} minute(s) away`);
+}
 
-        await startTabTimer(tabId);
-        updateBadge();
+/**
+ * Start the lock delay once per lock - a restarted service worker sees the same lock again
+ * @returns {Promise<void>}
+ */
+async function handleScreenLock() {
+    const result = await chrome.storage.session.get(SCREEN_LOCKED_KEY).catch(() => ({}));
+    if (result[SCREEN_LOCKED_KEY] !== undefined) return;
+    await chrome.storage.session.set({ [SCREEN_LOCKED_KEY]: Date.now() }).catch(() => {});
+
+    if (!config.suspendOnLock) return;
+
+    const delayMinutes = config.lockSuspendDelayMinutes;
+    if (delayMinutes > 0) {
+        await chrome.alarms.create(LOCK_SUSPEND_ALARM_NAME, { when: Date.now() + delayMinutes * 60 * 1000 });
+        console.log(`[BG][IDLE] Screen locked, suspending in ${delayMinutes} minute(s)`);
+    } else {
+        await suspendOnScreenLock();
+    }
+}
 
-        return true;
+// Suspend everything eligible if the screen is still locked
+async function suspendOnScreenLock() {
+    try {
+        // The unlock may not have reached a sleeping service worker yet
+        if (!config.suspendOnLock || await chrome.idle.queryState(IDLE_DETECTION_SECONDS) !== 'locked') return;
+
+        // Held by a pause schedule like any other suspension nobody asked for
+        const count = await suspendAllInactive(null, {}, { automatic: true });
+        console.log(`[BG][IDLE] Screen locked - suspended ${count} tab(s)`);
     } catch (error) {
-        console.error('[BG] Failed to restore tab:', error);
-        return false;
+        console.error('[BG][IDLE] Suspend on screen lock failed:', error);
     }
 }
 
-async function suspendAllInactive(exceptTabId = null) {
-    const tabs = await chrome.tabs.query({});
-    let count = 0;
+chrome.idle.onStateChanged.addListener(async (state) => {
+    if (!isExtensionContextValid()) return;
 
-    for (const tab of tabs) {
-        if (tab.id !== exceptTabId && !tab.active) {
-            // Tab may have been closed since query - suspendTab handles this defensively
-            const success = await suspendTab(tab.id);
-            if (success) count++;
-        }
+    // The state change may be what woke the service worker
+    await ensureSettingsLoaded();
+    console.log(`[BG][IDLE] System is ${state}`);
+    await handleIdleStateChange(state);
+});
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name !== LOCK_SUSPEND_ALARM_NAME) return;
+
+    if (!isExtensionContextValid()) {
+        console.warn('[BG][IDLE] Extension context invalid, skipping suspend on screen lock');
+        return;
     }
 
-    return count;
-}
+    await ensureSettingsLoaded();
+    await suspendOnScreenLock();
+});
 
-async function suspendAllExcept(tabId) {
-    return suspendAllInactive(tabId);
-}
+// ============================================================================
+// SUSPENSION METHOD
+// ============================================================================
 
-async function restoreAllTabs() {
-    const tabs = await chrome.tabs.query({});
-    let count = 0;
+const SUSPENSION_METHODS = ['page', 'discard', 'hybrid'];
 
-    for (const tab of tabs) {
-        if (isSuspendedPage(tab.url)) {
-            // Tab may have been closed since query - restoreTab handles this defensively
-            const success = await restoreTab(tab.id);
-            if (success) count++;
+/**
+ * Resolve the suspension method that applies to a URL
+ * Entries in config.siteSuspensionMethods are checked in order; the first
+ * pattern that matches wins, otherwise the global suspensionMethod applies.
+ * @param {string} url - The tab URL
+ * @returns {{method: string, source: string, pattern: string|null}}
+ */
+function getSuspensionMethod(url) {
+    const siteMethods = Array.isArray(config.siteSuspensionMethods) ? config.siteSuspensionMethods : [];
+
+    for (const entry of siteMethods) {
+        if (!entry || typeof entry.pattern !== 'string') continue;
+        if (!SUSPENSION_METHODS.includes(entry.method)) continue;
+
+        if (UrlPatterns.matchesPattern(url, entry.pattern)) {
+            return { method: entry.method, source: 'site', pattern: entry.pattern };
         }
     }
 
-    return count;
+    const method = SUSPENSION_METHODS.includes(config.suspensionMethod) ? config.suspensionMethod : 'page';
+    return { method, source: 'global', pattern: null };
 }
 
 // ============================================================================
 // WHITELIST
 // ============================================================================
 
+/**
+ * Check a URL against the whitelist patterns
+ * Plain domains match the host and its subdomains; see src/utils/url-patterns.js
+ * for wildcard, port, path and /regex/ entries.
+ * @param {string} url - The URL to check
+ * @returns {boolean} True if any whitelist pattern matches
+ */
 function isWhitelisted(url) {
-    try {
-        const urlObj = new URL(url);
-        let hostname = urlObj.hostname.toLowerCase();
-
-        // Normalize www prefix for consistent matching
-        const hostnameWithoutWww = hostname.startsWith('www.') ? hostname.slice(4) : hostname;
-
-        return config.whitelistedDomains.some(domain => {
-            let d = domain.toLowerCase();
-            // Normalize www prefix in whitelist domain too
-            const domainWithoutWww = d.startsWith('www.') ? d.slice(4) : d;
-
-            // Match with and without www prefix
-            return hostname === d ||
-                   hostname === domainWithoutWww ||
-                   hostnameWithoutWww === d ||
-                   hostnameWithoutWww === domainWithoutWww ||
-                   hostname.endsWith('.' + d) ||
-                   hostname.endsWith('.' + domainWithoutWww) ||
-                   hostnameWithoutWww.endsWith('.' + d) ||
-                   hostnameWithoutWww.endsWith('.' + domainWithoutWww);
-        });
-    } catch {
-        return false;
-    }
+    return UrlPatterns.isUrlMatched(url, config.whitelistedDomains);
 }
 
+/**
+ * Add a domain or pattern to the whitelist
+ * @param {string} domain
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
 async function addToWhitelist(domain) {
-    // Normalize domain: remove www prefix for consistency
-    let normalizedDomain = domain.toLowerCase().trim();
-    if (normalizedDomain.startsWith('www.')) {
-        normalizedDomain = normalizedDomain.slice(4);
+    // Normalize pattern: lowercase host, remove www prefix for consistency
+    const normalizedDomain = UrlPatterns.normalizePattern(domain);
+
+    const { valid, error } = UrlPatterns.validatePattern(normalizedDomain);
+    if (!valid) {
+        console.warn(`[BG] Rejected whitelist pattern "${domain}": ${error}`);
+        return { success: false, error };
     }
 
-    // Check if already exists (with or without www)
-    const alreadyExists = config.whitelistedDomains.some(d => {
-        const existingNormalized = d.toLowerCase().startsWith('www.') ? d.slice(4).toLowerCase() : d.toLowerCase();
-        return existingNormalized === normalizedDomain;
-    });
+    // Check if already exists (compare normalized forms)
+    const alreadyExists = config.whitelistedDomains.some(d =>
+        UrlPatterns.normalizePattern(d) === normalizedDomain
+    );
 
     if (!alreadyExists) {
-        config.whitelistedDomains.push(normalizedDomain);
-        await saveSettings();
+        const whitelistedDomains = [...config.whitelistedDomains, normalizedDomain];
+        if (!fitsSyncQuota({ ...config, whitelistedDomains })) {
+            console.warn(`[BG] Whitelist pattern "${domain}" would exceed the sync quota`);
+            return { success: false, error: 'The whitelist is full - remove some entries first' };
+        }
+
+        const previous = config.whitelistedDomains;
+        config.whitelistedDomains = whitelistedDomains;
+        if (!await saveSettings()) {
+            config.whitelistedDomains = previous;
+            return { success: false, error: 'Could not save the whitelist' };
+        }
     }
+    return { success: true };
 }
 
 async function removeFromWhitelist(domain) {
@@ -1142,63 +4742,44 @@ async function whitelistCurrentSite(tab) {
 /**
  * Get countdown information for a specific tab
  * @param {number} tabId - The tab ID to get countdown for
- * @returns {Promise<object>} Countdown info with remainingMs, suspendAt, isPaused
+ * @returns {Promise<object>} Countdown info with remainingMs, suspendAt, isPaused, pauseReason
  */
 async function getTabCountdownHandler(tabId) {
     try {
-        // Get the alarm for this tab
-        const alarmName = `${ALARM_PREFIX}${tabId}`;
-        const alarm = await chrome.alarms.get(alarmName);
-
-        if (alarm) {
-            const remainingMs = Math.max(0, alarm.scheduledTime - Date.now());
+        const [tab, timers, snoozedUntil, frozenSince] = await Promise.all([
+            chrome.tabs.get(tabId).catch(() => null),
+            loadTabCache('tabTimers'),
+            getTabSnooze(tabId),
+            getIdleFrozenSince()
+        ]);
+
+        // Tab doesn't exist
+        if (!tab) {
             return {
                 tabId,
-                remainingMs,
-                suspendAt: alarm.scheduledTime,
-                isPaused: false
+                remainingMs: -1,
+                suspendAt: null,
+                isPaused: true,
+                pauseReason: null
             };
         }
 
-        // No alarm - check if tab exists and its state
-        try {
-            const tab = await chrome.tabs.get(tabId);
-
-            // Check if tab is suspended, internal, or active
-            if (isSuspendedPage(tab.url) || isInternalPage(tab.url) || tab.active) {
-                return {
-                    tabId,
-                    remainingMs: -1,
-                    suspendAt: null,
-                    isPaused: true
-                };
-            }
-
-            // Check if whitelisted
-            if (isWhitelisted(tab.url)) {
-                return {
-                    tabId,
-                    remainingMs: -1,
-                    suspendAt: null,
-                    isPaused: true
-                };
-            }
-        } catch (e) {
-            // Tab doesn't exist
+        if (timers[tabId] !== undefined) {
             return {
                 tabId,
-                remainingMs: -1,
-                suspendAt: null,
-                isPaused: true
+                ...getTimerCountdown(tab, timers[tabId], frozenSince, Date.now()),
+                ...getTimeoutInfo(tab.url)
             };
         }
 
-        // No alarm found for this tab
+        // No timer - snoozed, suspended, internal or held by a pause schedule
         return {
             tabId,
             remainingMs: -1,
             suspendAt: null,
-            isPaused: true
+            isPaused: true,
+            ...getPauseInfo(tab, snoozedUntil),
+            ...getTimeoutInfo(tab.url)
         };
 
     } catch (error) {
@@ -1207,9 +4788,64 @@ async function getTabCountdownHandler(tabId) {
             tabId,
             remainingMs: -1,
             suspendAt: null,
-            isPaused: true
+            isPaused: true,
+            pauseReason: null
+        };
+    }
+}
+
+/**
+ * Countdown fields of a tab with a timer
+ * While timers are frozen the deadline moves on with the time away, so only
+ * the active time left is known - see thawTabTimers().
+ * @param {chrome.tabs.Tab} tab
+ * @param {number} startedAt - The tab's tabTimers entry
+ * @param {number|null} frozenSince - See getIdleFrozenSince()
+ * @param {number} now
+ * @returns {{remainingMs: number, suspendAt: number|null, isPaused: boolean, pauseReason: 'idle'|null}}
+ */
+function getTimerCountdown(tab, startedAt, frozenSince, now) {
+    const deadline = getTimerDeadline(tab, startedAt);
+    if (frozenSince !== null) {
+        return {
+            remainingMs: Math.max(0, deadline - Math.max(startedAt, frozenSince)),
+            suspendAt: null,
+            isPaused: true,
+            pauseReason: 'idle'
         };
     }
+    return {
+        remainingMs: Math.max(0, deadline - now),
+        suspendAt: deadline,
+        isPaused: false,
+        pauseReason: null
+    };
+}
+
+/**
+ * Explain why a tab has no running timer, for countdown responses
+ * @param {chrome.tabs.Tab} tab
+ * @param {number|null|undefined} snoozedUntil - See getTabSnooze()
+ * @returns {{pauseReason: 'snoozed'|'suspended'|'internal'|'schedule'|null, snoozedUntil?: number|null}}
+ */
+function getPauseInfo(tab, snoozedUntil) {
+    if (snoozedUntil !== undefined) return { pauseReason: 'snoozed', snoozedUntil };
+    if (isTabSuspended(tab)) return { pauseReason: 'suspended' };
+    if (isInternalPage(tab.url)) return { pauseReason: 'internal' };
+    if (getActiveSchedule()?.action === 'pause') return { pauseReason: 'schedule' };
+    return { pauseReason: null };
+}
+
+/**
+ * Describe the effective timeout for a countdown response
+ * @param {string} [url] - The tab URL (global timeout is reported if unknown)
+ * @returns {{timeoutMinutes: number, timeoutSource: string, timeoutPattern: string|null}}
+ */
+function getTimeoutInfo(url) {
+    const { minutes, source, pattern } = url
+        ? getEffectiveTimeout(url)
+        : { minutes: config.suspensionTimeout, source: 'global', pattern: null };
+    return { timeoutMinutes: minutes, timeoutSource: source, timeoutPattern: pattern };
 }
 
 /**
@@ -1220,24 +4856,38 @@ async function getAllCountdownsHandler() {
     const countdowns = [];
 
     try {
-        // Get all suspension alarms
-        const alarms = await chrome.alarms.getAll();
-
-        for (const alarm of alarms) {
-            if (alarm.name.startsWith(ALARM_PREFIX)) {
-                const tabId = parseInt(alarm.name.replace(ALARM_PREFIX, ''), 10);
-                const remainingMs = Math.max(0, alarm.scheduledTime - Date.now());
+        // Tabs are needed to resolve per-site timeouts and the hybrid delay
+        const [tabs, timers, snoozes, frozenSince] = await Promise.all([
+            chrome.tabs.query({}),
+            loadTabCache('tabTimers'),
+            getAllTabSnoozes(),
+            getIdleFrozenSince()
+        ]);
+        const now = Date.now();
 
+        for (const tab of tabs) {
+            if (timers[tab.id] !== undefined) {
+                countdowns.push({
+                    tabId: tab.id,
+                    ...getTimerCountdown(tab, timers[tab.id], frozenSince, now),
+                    ...getTimeoutInfo(tab.url)
+                });
+            } else if (snoozes[tab.id] !== undefined) {
                 countdowns.push({
-                    tabId,
-                    remainingMs,
-                    suspendAt: alarm.scheduledTime
+                    tabId: tab.id,
+                    remainingMs: -1,
+                    suspendAt: null,
+                    isPaused: true,
+                    ...getPauseInfo(tab, snoozes[tab.id]),
+                    ...getTimeoutInfo(tab.url)
                 });
             }
         }
 
-        // Sort by remaining time (soonest first)
-        countdowns.sort((a, b) => a.remainingMs - b.remainingMs);
+        // Sort by remaining time (soonest first, snoozed tabs last)
+        // (frozen timers are paused too but keep their remaining time)
+        const isSnoozed = countdown => countdown.pauseReason === 'snoozed';
+        countdowns.sort((a, b) => (isSnoozed(a) - isSnoozed(b)) || (a.remainingMs - b.remainingMs));
 
     } catch (error) {
         console.error('[BG][COUNTDOWN] Error getting all countdowns:', error);
@@ -1275,68 +4925,90 @@ function isInternalPage(url) {
 }
 
 function isSuspendedPage(url) {
-    if (!url) return false;
-    return url.includes('suspended.html');
+    return SuspendedPage.isSuspendedUrl(url);
+}
+
+// Discarded by chrome.tabs.discard (by us or Chrome's memory saver)
+function isDiscardedTab(tab) {
+    return !!tab?.discarded && !isSuspendedPage(tab.url);
+}
+
+// Suspended by any method: our suspended page or a discarded tab
+function isTabSuspended(tab) {
+    return isSuspendedPage(tab?.url) || isDiscardedTab(tab);
 }
 
 // ============================================================================
 // STATS
 // ============================================================================
 
-async function updateMemoryStats(url) {
-    try {
-        console.log('[BG][STATS] updateMemoryStats called for:', url);
+/**
+ * Count suspended tabs in memoryStats - one write and one STATS_UPDATED
+ * broadcast however many tabs were suspended together
+ * @param {string[]} urls - Original URLs of the suspended tabs
+ * @returns {Promise<void>}
+ */
+async function updateMemoryStats(urls) {
+    if (urls.length === 0) return;
 
+    try {
         const result = await chrome.storage.local.get('memoryStats');
         const stats = result.memoryStats || { totalSaved: 0, tabsSuspended: 0, history: [] };
 
         console.log('[BG][STATS] Before:', stats.totalSaved / (1024 * 1024), 'MB, tabs:', stats.tabsSuspended);
 
         const estimatedMemory = 50 * 1024 * 1024; // 50MB
-
-        stats.totalSaved += estimatedMemory;
-        stats.tabsSuspended++;
-        stats.history.push({
-            timestamp: Date.now(),
-            url,
-            memorySaved: estimatedMemory
-        });
+        const timestamp = Date.now();
+
+        stats.totalSaved += estimatedMemory * urls.length;
+        stats.tabsSuspended += urls.length;
+        for (const url of urls) {
+            stats.history.push({
+                timestamp,
+                url,
+                memorySaved: estimatedMemory
+            });
+        }
 
         if (stats.history.length > 500) {
             stats.history = stats.history.slice(-500);
         }
 
         await chrome.storage.local.set({ memoryStats: stats });
-        console.log('[BG][STATS] After:', stats.totalSaved / (1024 * 1024), 'MB, tabs:', stats.tabsSuspended);
-
-        // ========== AGENT 2: DASHBOARD SYNC ==========
-        // Broadcast stats update to all listeners (popup, dashboard, etc.)
-        // Feature flag check is done via storage since this is not an ES module
-        try {
-            const flagsResult = await chrome.storage.local.get('feature_flags_override');
-            const overrides = flagsResult.feature_flags_override || {};
-            const dashboardSyncEnabled = overrides.DASHBOARD_SYNC !== false; // Default: enabled
+        console.log(`[BG][STATS] After ${urls.length} suspension(s):`, stats.totalSaved / (1024 * 1024), 'MB, tabs:', stats.tabsSuspended);
 
-            if (dashboardSyncEnabled) {
-                const currentStats = await getStats();
-                chrome.runtime.sendMessage({
-                    type: 'STATS_UPDATED',
-                    stats: currentStats,
-                    timestamp: Date.now()
-                }).catch(() => {
-                    // Expected when no listeners are active (popup/dashboard closed)
-                });
-                console.log('[BG][STATS] Broadcast STATS_UPDATED');
-            }
-        } catch (broadcastError) {
-            // Silently ignore broadcast errors - non-critical
-        }
-        // ========== END AGENT 2 ==========
+        await broadcastStatsUpdate();
     } catch (error) {
         console.error('[BG][STATS] Failed to update memory stats:', error);
     }
 }
 
+// ========== AGENT 2: DASHBOARD SYNC ==========
+// Broadcast stats update to all listeners (popup, dashboard, etc.)
+// Feature flag check is done via storage since this is not an ES module
+async function broadcastStatsUpdate() {
+    try {
+        const flagsResult = await chrome.storage.local.get('feature_flags_override');
+        const overrides = flagsResult.feature_flags_override || {};
+        const dashboardSyncEnabled = overrides.DASHBOARD_SYNC !== false; // Default: enabled
+
+        if (dashboardSyncEnabled) {
+            const currentStats = await getStats();
+            chrome.runtime.sendMessage({
+                type: 'STATS_UPDATED',
+                stats: currentStats,
+                timestamp: Date.now()
+            }).catch(() => {
+                // Expected when no listeners are active (popup/dashboard closed)
+            });
+            console.log('[BG][STATS] Broadcast STATS_UPDATED');
+        }
+    } catch (broadcastError) {
+        // Silently ignore broadcast errors - non-critical
+    }
+}
+// ========== END AGENT 2 ==========
+
 async function getStats() {
     try {
         const result = await chrome.storage.local.get('memoryStats');
@@ -1355,15 +5027,18 @@ async function getStats() {
             .reduce((sum, h) => sum + h.memorySaved, 0);
 
         const allTabs = await chrome.tabs.query({});
-        const suspendedCount = allTabs.filter(t => isSuspendedPage(t.url)).length;
+        const suspendedCount = allTabs.filter(t => isTabSuspended(t)).length;
+        const discardedCount = allTabs.filter(t => isDiscardedTab(t)).length;
 
         const response = {
             totalSaved: stats.totalSaved,
             todaySaved,
             tabsSuspended: suspendedCount,
+            tabsDiscarded: discardedCount,
             totalTabs: allTabs.length,
             activeTabs: allTabs.length - suspendedCount,
-            lifetimeTabsSuspended: stats.tabsSuspended
+            lifetimeTabsSuspended: stats.tabsSuspended,
+            pressureEvents: Array.isArray(stats.pressureEvents) ? stats.pressureEvents : []
         };
 
         console.log('[BG][STATS] getStats returning:', response.totalSaved / (1024 * 1024), 'MB total,', response.todaySaved / (1024 * 1024), 'MB today');
@@ -1379,30 +5054,32 @@ async function getTabList() {
     try {
         const windows = await chrome.windows.getAll({ populate: true });
 
-        // Get all tab activity times from storage
-        let tabLastActivity = {};
-        try {
-            const result = await chrome.storage.session.get('tabLastActivity');
-            tabLastActivity = result.tabLastActivity || {};
-        } catch {
-            const result = await chrome.storage.local.get('tabLastActivity');
-            tabLastActivity = result.tabLastActivity || {};
-        }
+        const tabLastActivity = await getAllTabActivity();
+        const snoozes = await getAllTabSnoozes();
+
+        const groups = await chrome.tabGroups.query({}).catch(() => []);
 
         return windows.map(win => ({
             id: win.id,
             focused: win.focused,
+            groups: groups
+                .filter(group => group.windowId === win.id)
+                .map(group => ({ id: group.id, title: group.title || '', color: group.color, collapsed: group.collapsed })),
             tabs: win.tabs.map(tab => ({
                 id: tab.id,
                 windowId: tab.windowId,
+                groupId: tab.groupId ?? -1,
                 url: tab.url || '',
                 title: tab.title || 'Untitled',
                 favIconUrl: tab.favIconUrl || '',
                 active: tab.active,
                 pinned: tab.pinned,
                 audible: tab.audible,
-                status: isSuspendedPage(tab.url) ? 'suspended' : (tab.active ? 'active' : 'idle'),
-                lastActivity: tabLastActivity[tab.id] || Date.now()
+                discarded: isDiscardedTab(tab),
+                status: isTabSuspended(tab) ? 'suspended' : (tab.active ? 'active' : 'idle'),
+                lastActivity: tabLastActivity[tab.id] || Date.now(),
+                snoozed: snoozes[tab.id] !== undefined,
+                snoozedUntil: snoozes[tab.id] ?? null
             }))
         }));
     } catch (error) {
@@ -1422,7 +5099,7 @@ async function updateBadge() {
     }
     try {
         const tabs = await chrome.tabs.query({});
-        const suspendedCount = tabs.filter(t => isSuspendedPage(t.url)).length;
+        const suspendedCount = tabs.filter(t => isTabSuspended(t)).length;
 
         // Re-check context before chrome.action calls
         if (!isExtensionContextValid()) {
@@ -1467,6 +5144,7 @@ async function updateBadge() {
             return;
         }
 
+        await startSweeper();
         await startMonitoring();
 
         if (!isExtensionContextValid()) {
@@ -1481,6 +5159,22 @@ async function updateBadge() {
             return;
         }
 
+        await startMemoryMonitor();
+        await startScheduleMonitor();
+
+        // Catch up on idle and lock changes the previous service worker missed
+        await startIdleMonitor();
+
+        // Registrations are dropped when the extension updates
+        await syncUnloadProbe();
+        await syncPageHooks();
+
+        // Also covers the extension being re-enabled, which fires no runtime event
+        await reconcileOncePerSession();
+
+        // Pick up a restore queue the previous service worker didn't finish
+        await pumpRestoreQueue();
+
         console.log('[BG] Background initialized successfully');
     } catch (error) {
         // Check for context invalidation errors
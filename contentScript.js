@@ -34,6 +34,10 @@
     function invalidateContext() {
         if (!contextValid) return; // Already invalidated
         contextValid = false;
+        // The overlay's buttons can no longer reach the background
+        hideSuspendOverlay();
+        clearInterval(pageCheckTimer);
+        clearTimeout(unloadProbeTimer);
         // Disconnect observer if it exists
         if (observer) {
             try {
@@ -98,6 +102,33 @@
         }
     }
 
+    // Fields that are never tracked or saved in drafts
+    const SENSITIVE_INPUT_TYPES = ['password', 'file', 'hidden'];
+    const SENSITIVE_AUTOCOMPLETE = /^(cc-|one-time-code$|current-password$|new-password$)/;
+    const SENSITIVE_NAME = /passw|card.?num|ccnum|cvv|cvc|csc|ssn|social.?security|otp|(^|[^a-z])pin([^a-z]|$)|secret|token|iban|routing/i;
+
+    // Check whether a field may hold a secret (payment, credentials, one-time codes)
+    function isSensitiveField(input) {
+        if (SENSITIVE_INPUT_TYPES.includes(input.type)) return true;
+
+        const autocomplete = (input.getAttribute('autocomplete') || '').toLowerCase().split(/\s+/);
+        if (autocomplete.some(token => SENSITIVE_AUTOCOMPLETE.test(token))) return true;
+
+        return SENSITIVE_NAME.test(input.name || '') || SENSITIVE_NAME.test(input.id || '');
+    }
+
+    // Check whether a field differs from the value the page loaded with
+    function isFieldDirty(input) {
+        if (input.type === 'checkbox' || input.type === 'radio') {
+            return input.checked !== input.defaultChecked;
+        }
+        if (input.tagName === 'SELECT') {
+            // <select> has no defaultValue; compare against the selected options in the markup
+            return Array.from(input.options).some(option => option.selected !== option.defaultSelected);
+        }
+        return input.value !== input.defaultValue;
+    }
+
     // Check for unsaved form data
     function checkFormChanges() {
         // Skip if context is invalid
@@ -109,24 +140,142 @@
         let changed = false;
 
         inputs.forEach(input => {
-            // Skip password, file, hidden, and disabled inputs
-            if (input.type === 'password' || input.type === 'file' ||
-                input.type === 'hidden' || input.disabled) return;
+            // Skip sensitive and disabled inputs
+            if (input.disabled || isSensitiveField(input)) return;
 
-            if (input.type === 'checkbox' || input.type === 'radio') {
-                if (input.checked !== input.defaultChecked) changed = true;
-            } else {
-                if (input.value !== input.defaultValue) changed = true;
-            }
+            if (isFieldDirty(input)) changed = true;
         });
 
         if (changed !== hasUnsavedForms) {
             hasUnsavedForms = changed;
-            safeSendMessage({
-                type: 'FORM_STATUS',
-                hasUnsavedForms: changed
-            });
+            reportFormStatus();
+        }
+    }
+
+    // Both unsaved-work signals travel in FORM_STATUS
+    function reportFormStatus() {
+        safeSendMessage({
+            type: 'FORM_STATUS',
+            hasUnsavedForms,
+            unloadPrompt
+        });
+    }
+
+    // Editors (contenteditable) are covered by unloadProbe.js instead: background.js
+    // registers it in the page's world only while the option is on - otherwise
+    // nobody answers UNLOAD_QUERY_EVENT. Asking runs the page's beforeunload
+    // handlers (which may send beacons or close sockets), so it only happens after
+    // typing settles and when the tab is left - never on a timer.
+    const UNLOAD_STATE_EVENT = 'tab-suspender:unload-state';  // Keep in sync with unloadProbe.js
+    const UNLOAD_QUERY_EVENT = 'tab-suspender:unload-query';
+    const UNLOAD_PROBE_DELAY_MS = 2000;
+    let unloadPrompt = false;
+    let unloadProbeTimer = null;
+
+    function probeUnloadPrompt() {
+        if (!contextValid) return;
+        clearTimeout(unloadProbeTimer);
+        window.dispatchEvent(new CustomEvent(UNLOAD_QUERY_EVENT));
+    }
+
+    function scheduleUnloadProbe() {
+        clearTimeout(unloadProbeTimer);
+        unloadProbeTimer = setTimeout(probeUnloadPrompt, UNLOAD_PROBE_DELAY_MS);
+    }
+
+    function onUnloadState(event) {
+        let blocking;
+        try {
+            blocking = JSON.parse(event.detail).blocking === true;
+        } catch (e) {
+            return;
+        }
+        if (blocking === unloadPrompt) return;
+
+        unloadPrompt = blocking;
+        reportFormStatus();
+    }
+
+    // What pageHooks.js sees in the page's world: calls, screen sharing and uploads.
+    // It answers PAGE_QUERY_EVENT synchronously.
+    const PAGE_STATE_EVENT = 'tab-suspender:page-state';  // Keep in sync with pageHooks.js
+    const PAGE_QUERY_EVENT = 'tab-suspender:page-query';
+    const PAGE_CHECK_INTERVAL_MS = 15000;  // Catches stopped tracks and closed connections
+    let pageState = { capturing: false, inCall: false, uploads: 0 };
+    let pageCheckTimer = null;
+
+    // Media that makes suspending the tab hurt - fullscreen and playback are visible here
+    let lastMediaStatus = JSON.stringify({ capturing: false, inCall: false, fullscreen: false, playing: false });
+
+    // Playing counts even when muted - Chrome only marks tabs with sound as audible
+    function isMediaPlaying() {
+        return Array.from(document.querySelectorAll('video, audio')).some(media => !media.paused && !media.ended);
+    }
+
+    // Report calls, screen sharing, fullscreen and playing media when they change
+    function checkMediaStatus() {
+        // Skip if context is invalid
+        if (!contextValid) return;
+
+        const status = {
+            capturing: pageState.capturing,
+            inCall: pageState.inCall,
+            fullscreen: document.fullscreenElement !== null,
+            playing: isMediaPlaying()
+        };
+        const serialized = JSON.stringify(status);
+        if (serialized === lastMediaStatus) return;
+
+        lastMediaStatus = serialized;
+        safeSendMessage({ type: 'MEDIA_STATUS', ...status });
+    }
+
+    // Uploads in flight - the page is busy
+    let lastBusyStatus = JSON.stringify({ uploads: 0 });
+
+    function checkBusyStatus() {
+        // Skip if context is invalid
+        if (!contextValid) return;
+
+        const status = {
+            uploads: pageState.uploads
+        };
+        const serialized = JSON.stringify(status);
+        if (serialized === lastBusyStatus) return;
+
+        lastBusyStatus = serialized;
+        safeSendMessage({ type: 'BUSY_STATUS', ...status });
+    }
+
+    // The page can dispatch PAGE_STATE_EVENT too - only well-formed state is taken.
+    // It could just as well hold a real connection or upload open, so no more is checked.
+    function parsePageState(detail) {
+        if (typeof detail !== 'string') return null;
+        let state;
+        try {
+            state = JSON.parse(detail);
+        } catch (e) {
+            return null;
         }
+        if (!state || typeof state.capturing !== 'boolean' || typeof state.inCall !== 'boolean' ||
+            !Number.isSafeInteger(state.uploads) || state.uploads < 0) {
+            return null;
+        }
+        return { capturing: state.capturing, inCall: state.inCall, uploads: state.uploads };
+    }
+
+    function onPageState(event) {
+        const state = parsePageState(event.detail);
+        if (!state) return;
+        pageState = state;
+        checkMediaStatus();
+        checkBusyStatus();
+    }
+
+    // Ask the hooks for their state, then check what is visible from here
+    function checkPageState() {
+        window.dispatchEvent(new CustomEvent(PAGE_QUERY_EVENT));
+        checkMediaStatus();
     }
 
     // Get current scroll position
@@ -137,13 +286,13 @@
         };
     }
 
-    // Get form data for preservation
+    // Get form data for preservation (edited, non-sensitive fields only)
     function getFormData() {
         const forms = {};
         const inputs = document.querySelectorAll('input, textarea, select');
 
         inputs.forEach((input, idx) => {
-            if (input.type === 'password' || input.type === 'file') return;
+            if (input.disabled || isSensitiveField(input) || !isFieldDirty(input)) return;
 
             const id = input.id || input.name || `field_${idx}`;
             forms[id] = {
@@ -157,30 +306,133 @@
         return forms;
     }
 
-    // Restore form data
+    // Restore form data, returns the number of fields filled
     function restoreFormData(formData) {
+        let restored = 0;
+
         Object.entries(formData).forEach(([id, data]) => {
             let el = document.getElementById(id);
-            if (!el) el = document.querySelector(`[name="${id}"]`);
+            if (!el) el = document.querySelector(`[name="${CSS.escape(id)}"]`);
             if (!el && id.startsWith('field_')) {
                 const idx = parseInt(id.replace('field_', ''));
                 const inputs = document.querySelectorAll('input, textarea, select');
                 el = inputs[idx];
             }
 
-            if (el) {
-                if (data.type === 'checkbox' || data.type === 'radio') {
-                    el.checked = data.checked;
-                } else {
-                    el.value = data.value;
-                }
+            if (!el || el.disabled || isSensitiveField(el)) return;
+
+            if (data.type === 'checkbox' || data.type === 'radio') {
+                el.checked = data.checked;
+            } else {
+                el.value = data.value;
             }
+            // Let frameworks (React, Vue) pick up the new value
+            el.dispatchEvent(new Event('input', { bubbles: true }));
+            el.dispatchEvent(new Event('change', { bubbles: true }));
+            restored++;
         });
+
+        if (restored > 0) checkFormChanges();
+        return restored;
     }
 
-    // Restore scroll position
+    // Restore scroll position (instant, so the result can be checked right away)
     function restoreScrollPosition(x, y) {
-        window.scrollTo(x, y);
+        window.scrollTo({ left: x, top: y, behavior: 'instant' });
+    }
+
+    // In-page countdown before auto-suspension, drawn in a closed shadow root
+    // so page styles can't reach it (and ours can't leak into the page)
+    const OVERLAY_STYLES = `
+        :host { all: initial; }
+        .overlay {
+            position: fixed;
+            right: 16px;
+            bottom: 16px;
+            z-index: 2147483647;
+            display: flex;
+            align-items: center;
+            gap: 10px;
+            padding: 10px 12px;
+            background: #1F2937;
+            color: #F9FAFB;
+            border-radius: 8px;
+            box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3);
+            font: 13px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        }
+        button {
+            padding: 4px 10px;
+            border: 1px solid #4B5563;
+            border-radius: 6px;
+            background: transparent;
+            color: inherit;
+            font: inherit;
+            cursor: pointer;
+        }
+        button:hover { border-color: #9CA3AF; }
+        .suspend-now { background: #6366F1; border-color: #6366F1; }
+    `;
+    let overlayHost = null;
+    let overlayCountdown = null;
+    let overlayTimer = null;
+
+    // Show the countdown for the last `seconds` before suspendAt
+    function showSuspendOverlay(suspendAt, seconds) {
+        hideSuspendOverlay();
+
+        const tick = () => {
+            const remaining = Math.ceil((suspendAt - Date.now()) / 1000);
+            if (remaining <= 0) {
+                hideSuspendOverlay();
+                safeSendMessage({ type: 'SUSPEND_OVERLAY_ACTION', action: 'elapsed' });
+                return;
+            }
+            if (remaining <= seconds) {
+                if (!overlayHost) createSuspendOverlay();
+                overlayCountdown.textContent = `Suspending this tab in ${remaining}s`;
+            }
+        };
+
+        tick();
+        overlayTimer = setInterval(tick, 1000);
+    }
+
+    function createSuspendOverlay() {
+        const host = document.createElement('div');
+        const shadow = host.attachShadow({ mode: 'closed' });
+        shadow.innerHTML = `
+            <style>${OVERLAY_STYLES}</style>
+            <div class="overlay" role="status">
+                <span class="countdown"></span>
+                <button class="keep-awake">Keep awake</button>
+                <button class="suspend-now">Suspend now</button>
+            </div>
+        `;
+
+        shadow.querySelector('.keep-awake').addEventListener('click', () => {
+            hideSuspendOverlay();
+            safeSendMessage({ type: 'SUSPEND_OVERLAY_ACTION', action: 'keepAwake' });
+        });
+        shadow.querySelector('.suspend-now').addEventListener('click', () => {
+            hideSuspendOverlay();
+            safeSendMessage({ type: 'SUSPEND_OVERLAY_ACTION', action: 'suspendNow' });
+        });
+        // Using the overlay is not activity on the page - it would restart the timer
+        activityEvents.forEach(event => {
+            host.addEventListener(event, e => e.stopPropagation());
+        });
+
+        overlayCountdown = shadow.querySelector('.countdown');
+        document.documentElement.appendChild(host);
+        overlayHost = host;
+    }
+
+    function hideSuspendOverlay() {
+        clearInterval(overlayTimer);
+        overlayTimer = null;
+        overlayHost?.remove();
+        overlayHost = null;
+        overlayCountdown = null;
     }
 
     // Listen for messages from background - wrapped in try-catch for context invalidation
@@ -207,9 +459,23 @@
                             if (message.scrollPosition) {
                                 restoreScrollPosition(message.scrollPosition.x, message.scrollPosition.y);
                             }
-                            if (message.formData) {
-                                restoreFormData(message.formData);
-                            }
+                            const formFieldsRestored = message.formData ? restoreFormData(message.formData) : 0;
+                            // Report where we ended up so the background can retry
+                            // if the page wasn't tall enough (or its form not rendered) yet
+                            sendResponse({
+                                success: true,
+                                scrollPosition: getScrollPosition(),
+                                formFieldsRestored
+                            });
+                            break;
+
+                        case 'SHOW_SUSPEND_OVERLAY':
+                            showSuspendOverlay(message.suspendAt, message.seconds);
+                            sendResponse({ success: true });
+                            break;
+
+                        case 'HIDE_SUSPEND_OVERLAY':
+                            hideSuspendOverlay();
                             sendResponse({ success: true });
                             break;
 
@@ -241,6 +507,21 @@
         // Set up form change detection
         document.addEventListener('input', checkFormChanges, { passive: true });
         document.addEventListener('change', checkFormChanges, { passive: true });
+
+        // Set up unsaved work detection (contenteditable editors fire input too)
+        window.addEventListener(UNLOAD_STATE_EVENT, onUnloadState);
+        document.addEventListener('input', scheduleUnloadProbe, { passive: true });
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') probeUnloadPrompt();
+        });
+
+        // Set up media and busy detection - media events don't bubble, so listen while capturing
+        window.addEventListener(PAGE_STATE_EVENT, onPageState);
+        document.addEventListener('fullscreenchange', checkMediaStatus);
+        ['play', 'pause', 'ended', 'emptied'].forEach(event => {
+            document.addEventListener(event, checkMediaStatus, { capture: true, passive: true });
+        });
+        pageCheckTimer = setInterval(checkPageState, PAGE_CHECK_INTERVAL_MS);
     }
 
     // Detect SPA navigation (URL changes without page reload)
@@ -253,14 +534,13 @@
             lastUrl = location.href;
             // Reset form status on SPA navigation
             hasUnsavedForms = false;
-            safeSendMessage({
-                type: 'FORM_STATUS',
-                hasUnsavedForms: false
-            });
+            reportFormStatus();
             // Re-check forms after navigation (only if context still valid)
             setTimeout(() => {
                 if (contextValid) checkFormChanges();
             }, 100);
+            // The app may still hold unsaved work from the previous view
+            scheduleUnloadProbe();
         }
     };
 
@@ -303,6 +583,11 @@
         }
     }
 
-    // Notify background that content script is ready
+    // Notify background that content script is ready (it forgets the previous page's media and busy status)
     safeSendMessage({ type: 'CONTENT_SCRIPT_READY' });
+
+    // Calls and uploads may have started before this script loaded
+    if (contextValid) {
+        checkPageState();
+    }
 })();
@@ -9,6 +9,7 @@ const totalSteps = 5;
 let stepsContainer, progressFill, stepDots, backBtn, nextBtn, skipLink;
 let setupTimeout, setupTimeoutValue;
 let demoBtn, demoTab1, demoTab2, demoResult;
+let convertTabsBtn, importWhitelistBtn, importWhitelistFile;
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
@@ -25,11 +26,15 @@ document.addEventListener('DOMContentLoaded', () => {
     demoTab1 = document.getElementById('demoTab1');
     demoTab2 = document.getElementById('demoTab2');
     demoResult = document.getElementById('demoResult');
+    convertTabsBtn = document.getElementById('convertTabsBtn');
+    importWhitelistBtn = document.getElementById('importWhitelistBtn');
+    importWhitelistFile = document.getElementById('importWhitelistFile');
 
     // Now initialize
     updateUI();
     setupEventListeners();
     createParticles();
+    detectForeignTabs();
 });
 
 // Setup Event Listeners
@@ -48,6 +53,15 @@ function setupEventListeners() {
         demoBtn.addEventListener('click', runDemo);
     }
 
+    // Migration from The Great Suspender
+    if (convertTabsBtn) {
+        convertTabsBtn.addEventListener('click', convertForeignTabs);
+    }
+    if (importWhitelistBtn && importWhitelistFile) {
+        importWhitelistBtn.addEventListener('click', () => importWhitelistFile.click());
+        importWhitelistFile.addEventListener('change', importForeignWhitelist);
+    }
+
     // Clickable dots navigation
     document.querySelectorAll('.dot').forEach(dot => {
         dot.addEventListener('click', () => {
@@ -173,6 +187,61 @@ async function runDemo() {
     }, 1000);
 }
 
+// Show the migration box when tabs from The Great Suspender are open
+async function detectForeignTabs() {
+    const detected = document.getElementById('greatSuspenderDetected');
+    if (!detected) return;
+
+    try {
+        const { count = 0 } = await chrome.runtime.sendMessage({ type: 'SCAN_FOREIGN_SUSPENDED' });
+        if (count > 0) {
+            document.getElementById('detectedText').textContent =
+                `${count} tab${count === 1 ? '' : 's'} suspended by The Great Suspender found`;
+            detected.style.display = '';
+        }
+    } catch (error) {
+        console.error('Failed to scan for suspended tabs:', error);
+    }
+}
+
+// Convert those tabs into our suspended pages
+async function convertForeignTabs() {
+    convertTabsBtn.disabled = true;
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'IMPORT_FOREIGN_SUSPENDED' });
+        showMigrationStatus(`Converted ${response?.converted || 0} tab(s)`);
+        document.getElementById('greatSuspenderDetected').style.display = 'none';
+    } catch (error) {
+        console.error('Failed to convert tabs:', error);
+        convertTabsBtn.disabled = false;
+    }
+}
+
+// Import an exported Great Suspender whitelist
+async function importForeignWhitelist(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+        const text = await file.text();
+        const response = await chrome.runtime.sendMessage({ type: 'IMPORT_FOREIGN_WHITELIST', text });
+        showMigrationStatus(response?.success
+            ? `Added ${response.added} whitelist entr${response.added === 1 ? 'y' : 'ies'}`
+            : (response?.error || 'Could not read that whitelist'));
+    } catch (error) {
+        console.error('Failed to import whitelist:', error);
+    }
+
+    importWhitelistFile.value = '';
+}
+
+function showMigrationStatus(message) {
+    const status = document.getElementById('migrationStatus');
+    if (!status) return;
+    status.textContent = message;
+    status.hidden = false;
+}
+
 // Save settings from onboarding
 async function saveSettings() {
     try {
@@ -184,6 +253,16 @@ async function saveSettings() {
             whitelistedDomains: []
         };
 
+        // Keep entries that aren't chips here (e.g. an imported whitelist)
+        const chipDomains = [...document.querySelectorAll('.whitelist-chips input')]
+            .map(input => input.dataset.domain);
+        const current = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+        (current?.settings?.whitelistedDomains || []).forEach(domain => {
+            if (!chipDomains.includes(domain)) {
+                settings.whitelistedDomains.push(domain);
+            }
+        });
+
         // Collect whitelisted domains
         document.querySelectorAll('.whitelist-chips input:checked').forEach(input => {
             const domain = input.dataset.domain;
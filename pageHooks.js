@@ -0,0 +1,154 @@
+/**
+ * Tab Suspender Pro - Page Hooks
+ *
+ * Registered into the page's own JavaScript world (MAIN) at document_start by
+ * background.js while call or busy tab protection is on (neverSuspendCalls,
+ * neverSuspendBusyTabs) - contentScript.js can't look there. It tracks:
+ *
+ * - streams from getUserMedia() / getDisplayMedia() and RTCPeerConnections (calls)
+ * - fetch/XHR uploads still in flight
+ *
+ * and tells the content script about them through a DOM event both worlds can see.
+ */
+
+(function () {
+    // Injected again into open tabs when an option is turned back on
+    const INSTALLED = Symbol.for('tab-suspender:page-hooks');
+    if (window[INSTALLED]) return;
+    Object.defineProperty(window, INSTALLED, { value: true });
+
+    // Keep in sync with contentScript.js
+    const STATE_EVENT = 'tab-suspender:page-state';
+    const QUERY_EVENT = 'tab-suspender:page-query';
+
+    // Connections that carry a call (a page probing for ICE candidates stays 'new')
+    const CALL_STATES = ['connecting', 'connected', 'disconnected'];
+
+    // Smaller request bodies are not uploads. Long-polling and chat channels keep
+    // small requests open for minutes - counting those would keep such tabs awake forever.
+    const UPLOAD_MIN_BYTES = 64 * 1024;
+
+    const streams = new Set();
+    const connections = new Set();
+    let uploads = 0;
+    let lastState = null;
+
+    // Send the state to the content script - only on change unless asked for it
+    function report(force = false) {
+        // track.stop() and pc.close() fire no events, so prune on every report
+        streams.forEach(stream => {
+            if (!stream.getTracks().some(track => track.readyState === 'live')) streams.delete(stream);
+        });
+        connections.forEach(pc => {
+            if (pc.connectionState === 'closed') connections.delete(pc);
+        });
+
+        // Event detail must be a string - objects don't cross into the isolated world
+        const state = JSON.stringify({
+            capturing: streams.size > 0,
+            inCall: Array.from(connections).some(pc => CALL_STATES.includes(pc.connectionState)),
+            uploads
+        });
+        if (state === lastState && !force) return;
+        lastState = state;
+        window.dispatchEvent(new CustomEvent(STATE_EVENT, { detail: state }));
+    }
+
+    // ---- Calls and screen sharing ----
+
+    function watchStream(stream) {
+        streams.add(stream);
+        stream.getTracks().forEach(track => track.addEventListener('ended', () => report()));
+        report();
+    }
+
+    // Camera, microphone and screen capture
+    if (typeof MediaDevices !== 'undefined') {
+        ['getUserMedia', 'getDisplayMedia'].forEach(method => {
+            const original = MediaDevices.prototype[method];
+            if (typeof original !== 'function') return;
+
+            MediaDevices.prototype[method] = function (...args) {
+                return original.apply(this, args).then(stream => {
+                    watchStream(stream);
+                    return stream;
+                });
+            };
+        });
+    }
+
+    // Peer connections - a Proxy keeps instanceof checks and static methods working
+    if (typeof RTCPeerConnection === 'function') {
+        const OriginalPeerConnection = RTCPeerConnection;
+        const PeerConnection = new Proxy(OriginalPeerConnection, {
+            construct(target, args, newTarget) {
+                const pc = Reflect.construct(target, args, newTarget);
+                connections.add(pc);
+                pc.addEventListener('connectionstatechange', () => report());
+                return pc;
+            }
+        });
+
+        window.RTCPeerConnection = PeerConnection;
+        if (window.webkitRTCPeerConnection === OriginalPeerConnection) {
+            window.webkitRTCPeerConnection = PeerConnection;
+        }
+    }
+
+    // ---- Uploads ----
+
+    // Rough size of a request body; streams have no known size and always count
+    function getBodySize(body) {
+        if (body == null) return 0;
+        if (typeof body === 'string') return body.length;
+        if (body instanceof Blob) return body.size;
+        if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) return body.byteLength;
+        if (body instanceof URLSearchParams) return body.toString().length;
+        if (body instanceof FormData) {
+            let size = 0;
+            for (const [, value] of body) {
+                size += typeof value === 'string' ? value.length : value.size;
+            }
+            return size;
+        }
+        if (typeof ReadableStream !== 'undefined' && body instanceof ReadableStream) return Infinity;
+        return 0;
+    }
+
+    function uploadStarted() {
+        uploads++;
+        report();
+    }
+
+    function uploadEnded() {
+        uploads = Math.max(0, uploads - 1);
+        report();
+    }
+
+    const originalFetch = window.fetch;
+    if (typeof originalFetch === 'function') {
+        window.fetch = function (input, init) {
+            // A Request's own body is always a stream, whatever it was built from -
+            // it can't be sized, so only a body passed in init counts
+            if (getBodySize(init?.body) < UPLOAD_MIN_BYTES) {
+                return originalFetch.apply(this, arguments);
+            }
+
+            uploadStarted();
+            const request = originalFetch.apply(this, arguments);
+            request.then(uploadEnded, uploadEnded);
+            return request;
+        };
+    }
+
+    const originalSend = XMLHttpRequest.prototype.send;
+    XMLHttpRequest.prototype.send = function (body) {
+        if (getBodySize(body) >= UPLOAD_MIN_BYTES) {
+            uploadStarted();
+            this.addEventListener('loadend', uploadEnded, { once: true });
+        }
+        return originalSend.apply(this, arguments);
+    };
+
+    window.addEventListener(QUERY_EVENT, () => report(true));
+})();
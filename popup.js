@@ -44,6 +44,13 @@ const focusExitBtn = document.getElementById('focusExitBtn');
 const focusSuspendedCount = document.getElementById('focusSuspendedCount');
 const focusCurrentTab = document.getElementById('focusCurrentTab');
 const windowCount = document.getElementById('windowCount');
+const tabCapDot = document.getElementById('tabCapDot');
+const tabCapStat = document.getElementById('tabCapStat');
+const tabCapCount = document.getElementById('tabCapCount');
+const restoreProgress = document.getElementById('restoreProgress');
+const restoreProgressText = document.getElementById('restoreProgressText');
+const restoreProgressFill = document.getElementById('restoreProgressFill');
+const restoreCancelBtn = document.getElementById('restoreCancelBtn');
 // Removed: these elements no longer exist in UI
 // const progressFill = document.getElementById('progressFill');
 // const memoryChange = document.getElementById('memoryChange');
@@ -57,6 +64,18 @@ let focusModeSuspendedTabs = []; // Track tabs suspended by Focus Mode for resto
 // Operation locks to prevent race conditions
 let isOperationInProgress = false;
 
+// Restore queue progress is polled while the background restores tabs
+const RESTORE_PROGRESS_POLL_MS = 1000;
+let restoreProgressTimer = null;
+
+// Snooze ("keep awake") presets on each tab item - durations are SNOOZE_DURATIONS in background.js
+const SNOOZE_OPTIONS = [
+    { duration: '30m', label: '30 min' },
+    { duration: '2h', label: '2 hours' },
+    { duration: 'tomorrow', label: 'Until tomorrow' },
+    { duration: 'closed', label: 'Until closed' }
+];
+
 // Helper function to check if extension context is still valid
 function isContextValid() {
     return chrome.runtime?.id !== undefined;
@@ -97,10 +116,15 @@ const EXCLUSION_REASONS = {
   whitelist: { label: 'Whitelisted', icon: '✓', priority: 1 },
   pinned: { label: 'Pinned', icon: '📌', priority: 2 },
   audio: { label: 'Playing audio', icon: '🔊', priority: 3 },
-  forms: { label: 'Unsaved forms', icon: '📝', priority: 4 },
-  active: { label: 'Active tab', icon: '👁', priority: 5 },
-  alreadySuspended: { label: 'Already suspended', icon: '💤', priority: 6 },
-  systemPages: { label: 'System pages', icon: '⚙️', priority: 7 }
+  calls: { label: 'Call or screen share', icon: '📹', priority: 4 },
+  fullscreen: { label: 'Fullscreen', icon: '🖥️', priority: 5 },
+  media: { label: 'Playing media', icon: '🎬', priority: 6 },
+  uploads: { label: 'Uploading', icon: '⏫', priority: 7 },
+  forms: { label: 'Unsaved forms', icon: '📝', priority: 8 },
+  unsavedWork: { label: 'Unsaved work', icon: '✏️', priority: 9 },
+  active: { label: 'Active tab', icon: '👁', priority: 10 },
+  alreadySuspended: { label: 'Already suspended', icon: '💤', priority: 11 },
+  systemPages: { label: 'System pages', icon: '⚙️', priority: 12 }
 };
 
 // Toast state
@@ -119,6 +143,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     await loadTabs();
     setupEventListeners();
     setupFocusModeListeners();
+    // A Restore All may still be running from an earlier popup
+    updateRestoreProgress();
 
     // ========== AGENT 1: COUNTDOWN INDICATOR INIT ==========
     await initCountdownIndicator();
@@ -133,6 +159,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 function setupEventListeners() {
     if (suspendAllBtn) suspendAllBtn.addEventListener('click', handleSuspendAll);
     if (restoreAllBtn) restoreAllBtn.addEventListener('click', handleRestoreAll);
+    if (restoreCancelBtn) restoreCancelBtn.addEventListener('click', handleCancelRestore);
     if (whitelistBtn) whitelistBtn.addEventListener('click', handleWhitelist);
     if (settingsBtn) settingsBtn.addEventListener('click', handleSettings);
     if (filterSelect) filterSelect.addEventListener('change', handleFilterChange);
@@ -213,7 +240,7 @@ async function loadStats() {
             .reduce((sum, h) => sum + h.memorySaved, 0);
 
         const allTabs = await chrome.tabs.query({});
-        const suspended = allTabs.filter(t => t.url && t.url.includes('suspended.html')).length;
+        const suspended = allTabs.filter(t => isTabSuspended(t)).length;
 
         updateStatsDisplay({
             totalSaved: stats.totalSaved || 0,
@@ -269,6 +296,30 @@ async function updateStatsDisplay(stats) {
 
     // Update focus tax
     updateFocusTax(totalTabs - suspended); // Active tabs = total - suspended
+
+    await updateTabCapDisplay();
+}
+
+// Show live tabs against the loaded tab cap, when one is set
+async function updateTabCapDisplay() {
+    if (!tabCapStat) return;
+
+    try {
+        const currentWindow = await chrome.windows.getCurrent();
+        const status = await safeSendMessage({ type: 'GET_TAB_CAP_STATUS', windowId: currentWindow.id });
+        const enabled = status?.enabled === true;
+
+        tabCapDot.hidden = !enabled;
+        tabCapStat.hidden = !enabled;
+        if (enabled) {
+            tabCapCount.textContent = `${status.loaded}/${status.limit}`;
+            tabCapStat.title = status.scope === 'window'
+                ? 'Live tabs in this window / limit'
+                : 'Live tabs in all windows / limit';
+        }
+    } catch (error) {
+        console.log('[CAP] Could not load tab cap status:', error);
+    }
 }
 
 // REMOVED: Dead code - getYesterdayMemory() was never called
@@ -328,19 +379,23 @@ async function loadTabs() {
         // Fallback: use Chrome API directly
         if (!windows) {
             const chromeWindows = await chrome.windows.getAll({ populate: true });
+            const groups = await chrome.tabGroups.query({}).catch(() => []);
             windows = chromeWindows.map(win => ({
                 id: win.id,
                 focused: win.focused,
+                groups: groups.filter(group => group.windowId === win.id),
                 tabs: win.tabs.map(tab => ({
                     id: tab.id,
                     windowId: tab.windowId,
+                    groupId: tab.groupId ?? -1,
                     url: tab.url || '',
                     title: tab.title || 'Untitled',
                     favIconUrl: tab.favIconUrl || '',
                     active: tab.active,
                     pinned: tab.pinned,
                     audible: tab.audible,
-                    status: (tab.url && tab.url.includes('suspended.html')) ? 'suspended' : (tab.active ? 'active' : 'idle')
+                    discarded: !!tab.discarded,
+                    status: isTabSuspended(tab) ? 'suspended' : (tab.active ? 'active' : 'idle')
                 }))
             }));
         }
@@ -377,7 +432,15 @@ function renderTabs(windows) {
       </svg>
       Window ${winIndex + 1}
       ${win.focused ? '<span class="window-badge">Active</span>' : ''}
+      <span class="window-actions">
+        <button class="window-action" data-action="suspend" title="Suspend other tabs in this window">Suspend</button>
+        <button class="window-action" data-action="restore" title="Restore this window">Restore</button>
+        ${windows.length > 1 ? '<button class="window-action" data-action="others" title="Suspend all other windows">Others</button>' : ''}
+      </span>
     `;
+        windowHeader.querySelectorAll('.window-action').forEach(btn => {
+            btn.addEventListener('click', () => handleWindowAction(win.id, btn));
+        });
         windowGroup.appendChild(windowHeader);
 
         // Filter tabs
@@ -386,9 +449,18 @@ function renderTabs(windows) {
             filteredTabs = filteredTabs.filter(tab => tab.status === currentFilter);
         }
 
-        // Tab items
+        // Tab items, with a header before each tab group
+        const groupsById = new Map((win.groups || []).map(group => [group.id, group]));
+        let lastGroupId = -1;
         filteredTabs.forEach(tab => {
+            const group = groupsById.get(tab.groupId);
+            if (group && tab.groupId !== lastGroupId) {
+                windowGroup.appendChild(createGroupHeader(group));
+            }
+            lastGroupId = tab.groupId;
+
             const tabItem = createTabItem(tab);
+            if (group) tabItem.classList.add('grouped');
             windowGroup.appendChild(tabItem);
         });
 
@@ -402,6 +474,68 @@ function renderTabs(windows) {
     }
 }
 
+// Window header buttons: suspend this window / restore it / suspend the others
+async function handleWindowAction(windowId, btn) {
+    btn.disabled = true;
+    const action = btn.dataset.action;
+    if (action === 'restore') {
+        await safeSendMessage({ type: 'RESTORE_WINDOW', windowId });
+    } else {
+        await safeSendMessage({ type: 'SUSPEND_WINDOW', windowId, otherWindows: action === 'others' });
+    }
+
+    setTimeout(() => {
+        loadStats();
+        loadTabs();
+    }, 300);
+}
+
+// Chrome's tab group colors
+const GROUP_COLORS = {
+    grey: '#5F6368',
+    blue: '#1A73E8',
+    red: '#D93025',
+    yellow: '#F9AB00',
+    green: '#188038',
+    pink: '#D01884',
+    purple: '#A142F4',
+    cyan: '#007B83',
+    orange: '#FA903E'
+};
+
+// Create Tab Group Header Element
+function createGroupHeader(group) {
+    const header = document.createElement('div');
+    header.className = 'group-header';
+
+    header.innerHTML = `
+    <span class="group-dot" style="background: ${GROUP_COLORS[group.color] || GROUP_COLORS.grey}"></span>
+    <span class="group-title">${escapeHtml(group.title || 'Unnamed group')}</span>
+    <button class="group-action" data-action="suspend" title="Suspend this group">Suspend</button>
+    <button class="group-action" data-action="restore" title="Restore this group">Restore</button>
+    <button class="group-action" data-action="others" title="Suspend all groups except this one">Others</button>
+  `;
+
+    header.querySelectorAll('.group-action').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            btn.disabled = true;
+            const action = btn.dataset.action;
+            if (action === 'restore') {
+                await safeSendMessage({ type: 'RESTORE_GROUP', groupId: group.id });
+            } else {
+                await safeSendMessage({ type: 'SUSPEND_GROUP', groupId: group.id, otherGroups: action === 'others' });
+            }
+
+            setTimeout(() => {
+                loadStats();
+                loadTabs();
+            }, 300);
+        });
+    });
+
+    return header;
+}
+
 // Create Tab Item Element
 function createTabItem(tab) {
     const item = document.createElement('div');
@@ -410,6 +544,8 @@ function createTabItem(tab) {
 
     const favicon = tab.favIconUrl || '';
     const domain = getDomain(tab.url);
+    const statusLabel = tab.discarded ? 'discarded' : (tab.snoozed ? 'snoozed' : tab.status);
+    const canSnooze = tab.status !== 'suspended' && !isInternalUrl(tab.url);
 
     item.innerHTML = `
     <img
@@ -421,7 +557,14 @@ function createTabItem(tab) {
       <div class="tab-title">${escapeHtml(tab.title || 'Untitled')}</div>
       <div class="tab-url">${escapeHtml(domain)}</div>
     </div>
-    <span class="tab-status ${tab.status}">${tab.status}</span>
+    <span class="tab-status ${tab.status}">${statusLabel}</span>
+    ${canSnooze ? `
+    <button class="tab-snooze ${tab.snoozed ? 'active' : ''}" title="${escapeHtml(getSnoozeTitle(tab))}">
+      <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <circle cx="12" cy="12" r="10"></circle>
+        <polyline points="12 6 12 12 16 14"></polyline>
+      </svg>
+    </button>` : ''}
     <button class="tab-action" data-action="${tab.status === 'suspended' ? 'restore' : 'suspend'}">
       ${tab.status === 'suspended' ? 'Restore' : 'Suspend'}
     </button>
@@ -436,7 +579,7 @@ function createTabItem(tab) {
 
     // Tab click - switch to tab
     item.addEventListener('click', (e) => {
-        if (!e.target.classList.contains('tab-action')) {
+        if (!e.target.closest('.tab-action, .tab-snooze, .tab-snooze-menu')) {
             chrome.tabs.update(tab.id, { active: true });
             if (tab.windowId) {
                 chrome.windows.update(tab.windowId, { focused: true });
@@ -451,6 +594,16 @@ function createTabItem(tab) {
 
         const action = actionBtn.dataset.action;
         if (action === 'suspend') {
+            if (tab.snoozed) {
+                // Snoozed tabs stay awake until the snooze is ended
+                actionBtn.textContent = 'Snoozed';
+                actionBtn.disabled = true;
+                setTimeout(() => {
+                    actionBtn.textContent = 'Suspend';
+                    actionBtn.disabled = false;
+                }, 1500);
+                return;
+            }
             const whitelistedDomains = await getWhitelistSettings();
             if (isUrlWhitelisted(tab.url, whitelistedDomains)) {
                 // Show feedback that tab is whitelisted
@@ -474,9 +627,65 @@ function createTabItem(tab) {
         }, 300);
     });
 
+    item.querySelector('.tab-snooze')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleSnoozeMenu(item, tab);
+    });
+
     return item;
 }
 
+/**
+ * Show or hide the snooze presets under a tab item (one menu open at a time)
+ * @param {HTMLElement} item - The tab item
+ * @param {object} tab - Tab from GET_TAB_LIST
+ */
+function toggleSnoozeMenu(item, tab) {
+    const wasOpen = item.querySelector('.tab-snooze-menu');
+    tabsList?.querySelectorAll('.tab-snooze-menu').forEach(menu => menu.remove());
+    if (wasOpen) return;
+
+    const menu = document.createElement('div');
+    menu.className = 'tab-snooze-menu';
+
+    const options = tab.snoozed
+        ? [...SNOOZE_OPTIONS, { duration: null, label: 'End snooze' }]
+        : SNOOZE_OPTIONS;
+    for (const option of options) {
+        const button = document.createElement('button');
+        button.textContent = option.label;
+        button.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            menu.remove();
+            await safeSendMessage(option.duration
+                ? { type: 'SNOOZE_TAB', tabId: tab.id, duration: option.duration }
+                : { type: 'UNSNOOZE_TAB', tabId: tab.id });
+            loadTabs();
+            updateCountdownDisplay();
+        });
+        menu.appendChild(button);
+    }
+
+    item.appendChild(menu);
+}
+
+// Tooltip for a tab item's snooze button
+function getSnoozeTitle(tab) {
+    if (!tab.snoozed) return 'Keep this tab awake';
+    return tab.snoozedUntil === null
+        ? 'Snoozed until the tab is closed'
+        : `Snoozed until ${formatSnoozeUntil(tab.snoozedUntil)}`;
+}
+
+// "14:30", or "Tue 08:00" when the snooze ends on another day
+function formatSnoozeUntil(timestamp) {
+    const until = new Date(timestamp);
+    const time = until.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return until.toDateString() === new Date().toDateString()
+        ? time
+        : `${until.toLocaleDateString([], { weekday: 'short' })} ${time}`;
+}
+
 // Get whitelist settings from storage
 async function getWhitelistSettings() {
     try {
@@ -488,35 +697,13 @@ async function getWhitelistSettings() {
     }
 }
 
-// Check if URL is whitelisted
+// Check if URL is whitelisted (domains, wildcards, paths or /regex/ patterns)
 function isUrlWhitelisted(url, whitelistedDomains) {
     if (!url || !whitelistedDomains || whitelistedDomains.length === 0) {
         return false;
     }
 
-    try {
-        const urlObj = new URL(url);
-        let hostname = urlObj.hostname.toLowerCase();
-
-        // Normalize www prefix
-        const hostnameWithoutWww = hostname.startsWith('www.') ? hostname.slice(4) : hostname;
-
-        return whitelistedDomains.some(domain => {
-            const d = domain.toLowerCase();
-            const domainWithoutWww = d.startsWith('www.') ? d.slice(4) : d;
-
-            return hostname === d ||
-                   hostname === domainWithoutWww ||
-                   hostnameWithoutWww === d ||
-                   hostnameWithoutWww === domainWithoutWww ||
-                   hostname.endsWith('.' + d) ||
-                   hostname.endsWith('.' + domainWithoutWww) ||
-                   hostnameWithoutWww.endsWith('.' + d) ||
-                   hostnameWithoutWww.endsWith('.' + domainWithoutWww);
-        });
-    } catch {
-        return false;
-    }
+    return UrlPatterns.isUrlMatched(url, whitelistedDomains);
 }
 
 // Direct suspend function (fallback)
@@ -533,15 +720,27 @@ async function suspendTabDirect(tabId, url, title, favicon, whitelistedDomains =
             return false;
         }
 
-        const params = new URLSearchParams({
-            url: url,
-            title: title || 'Suspended Tab',
-            favicon: encodeURIComponent(favicon || ''),
-            time: Date.now()
-        });
+        // Save scroll position and any form draft before the page goes away
+        const token = SuspendedPage.createToken();
+        const captured = await safeSendMessage({ type: 'CAPTURE_TAB_STATE', tabId, suspensionId: token }).catch(() => null);
+
+        // Discard / hybrid methods use native tab discarding (background handles hybrid stage 2)
+        // Tabs holding a draft always use the suspended page, which carries the draft id
+        const method = await getSuspensionMethodForUrl(url);
+        if ((method === 'discard' || method === 'hybrid') && !captured?.hasDraft) {
+            const discarded = await chrome.tabs.discard(tabId).catch(() => null);
+            if (discarded) {
+                await updateMemoryStatsLocal(url);
+                return true;
+            }
+            console.log('[SUSPEND] Discard failed, using suspended page:', url);
+        }
+
+        // Full metadata lives in storage under the token (mirrors background.js suspendTab)
+        const meta = { url, title, favicon, suspendedAt: Date.now() };
+        await SuspendedPage.saveMeta(token, meta);
 
-        const suspendedUrl = chrome.runtime.getURL(`suspended.html?${params.toString()}`);
-        await chrome.tabs.update(tabId, { url: suspendedUrl });
+        await chrome.tabs.update(tabId, { url: SuspendedPage.buildUrl(token, meta) });
 
         // Update stats locally since we're bypassing background.js suspendTab()
         await updateMemoryStatsLocal(url);
@@ -553,6 +752,29 @@ async function suspendTabDirect(tabId, url, title, favicon, whitelistedDomains =
     }
 }
 
+// Suspended by any method: our suspended page or a discarded tab (mirrors background.js)
+function isTabSuspended(tab) {
+    if (!tab || !tab.url) return false;
+    return tab.url.includes('suspended.html') || !!tab.discarded;
+}
+
+// Resolve the suspension method for a URL (mirrors background.js getSuspensionMethod)
+async function getSuspensionMethodForUrl(url) {
+    try {
+        const result = await chrome.storage.sync.get('tabSuspenderSettings');
+        const settings = result.tabSuspenderSettings || {};
+        const siteMethods = Array.isArray(settings.siteSuspensionMethods) ? settings.siteSuspensionMethods : [];
+
+        const match = siteMethods.find(entry =>
+            entry && typeof entry.pattern === 'string' && UrlPatterns.matchesPattern(url, entry.pattern)
+        );
+        return match?.method || settings.suspensionMethod || 'page';
+    } catch (error) {
+        console.error('[SUSPEND] Failed to read suspension method:', error);
+        return 'page';
+    }
+}
+
 // Update memory stats locally (mirrors background.js logic)
 async function updateMemoryStatsLocal(url) {
     try {
@@ -593,11 +815,14 @@ async function restoreTabDirect(tabId, currentUrl) {
             return;
         }
 
-        const urlObj = new URL(currentUrl);
-        const originalUrl = urlObj.searchParams.get('url');
+        const suspended = await SuspendedPage.resolve(currentUrl);
 
-        if (originalUrl) {
-            await chrome.tabs.update(tabId, { url: originalUrl });
+        if (suspended?.url) {
+            // Let the background restore the saved scroll position after load
+            if (suspended.token) {
+                await safeSendMessage({ type: 'PREPARE_RESTORE', tabId, suspensionId: suspended.token }).catch(() => {});
+            }
+            await chrome.tabs.update(tabId, { url: suspended.url });
         }
     } catch (error) {
         console.error('Failed to restore tab:', error);
@@ -644,49 +869,9 @@ async function handleSuspendAll() {
 // Basic suspend all (fallback without feedback)
 async function handleSuspendAllBasic() {
     try {
-        // Get whitelist and other settings
-        const settingsResult = await chrome.storage.sync.get('tabSuspenderSettings');
-        const settings = settingsResult.tabSuspenderSettings || {};
-        const whitelistedDomains = settings.whitelistedDomains || [];
-        const neverSuspendPinned = settings.suspendPinnedTabs === false;
-        const neverSuspendAudio = settings.neverSuspendAudio !== false;
-
-        const tabs = await chrome.tabs.query({ active: false });
-        let suspendedCount = 0;
-
-        for (const tab of tabs) {
-            // Skip if no URL
-            if (!tab.url) continue;
-
-            // Skip internal pages
-            if (isInternalUrl(tab.url)) continue;
-
-            // Skip already suspended
-            if (tab.url.includes('suspended.html')) continue;
-
-            // Skip whitelisted domains
-            if (isUrlWhitelisted(tab.url, whitelistedDomains)) {
-                console.log('[SUSPEND] Skipping whitelisted:', tab.url);
-                continue;
-            }
-
-            // Skip pinned tabs if setting enabled
-            if (neverSuspendPinned && tab.pinned) {
-                console.log('[SUSPEND] Skipping pinned tab:', tab.title);
-                continue;
-            }
-
-            // Skip audio tabs if setting enabled
-            if (neverSuspendAudio && tab.audible) {
-                console.log('[SUSPEND] Skipping audio tab:', tab.title);
-                continue;
-            }
-
-            const success = await suspendTabDirect(tab.id, tab.url, tab.title, tab.favIconUrl, whitelistedDomains);
-            if (success) suspendedCount++;
-        }
-
-        console.log('[SUSPEND] Basic suspend completed:', suspendedCount, 'tabs suspended');
+        // The background checks whitelist, pinned, audio and form protections
+        const response = await safeSendMessage({ type: 'SUSPEND_ALL' });
+        console.log('[SUSPEND] Basic suspend completed:', response?.count || 0, 'tabs suspended');
 
         setTimeout(() => {
             loadStats();
@@ -716,33 +901,25 @@ async function handleSuspendAllEnhanced() {
                 whitelist: report.byReason.whitelist.count,
                 pinned: report.byReason.pinned.count,
                 audio: report.byReason.audio.count,
+                calls: report.byReason.calls.count,
+                fullscreen: report.byReason.fullscreen.count,
+                media: report.byReason.media.count,
+                uploads: report.byReason.uploads.count,
                 forms: report.byReason.forms.count,
+                unsavedWork: report.byReason.unsavedWork.count,
                 active: report.byReason.active.count,
                 alreadySuspended: report.byReason.alreadySuspended.count,
                 systemPages: report.byReason.systemPages.count
             }
         });
 
-        // Get whitelist for double-checking
-        const whitelistedDomains = await getWhitelistSettings();
-
-        // Step 2: Suspend all suspendable tabs
-        let actualSuspended = 0;
-        for (const tab of report.suspendableTabs) {
-            try {
-                const fullTab = await chrome.tabs.get(tab.id);
-                const success = await suspendTabDirect(
-                    fullTab.id,
-                    fullTab.url,
-                    fullTab.title,
-                    fullTab.favIconUrl,
-                    whitelistedDomains
-                );
-                if (success) actualSuspended++;
-            } catch (e) {
-                console.warn('[EXCLUSION] Tab unavailable:', tab.id);
-            }
-        }
+        // Step 2: Suspend all suspendable tabs - the background does them in
+        // batches with a single stats update
+        const response = await safeSendMessage({
+            type: 'SUSPEND_TABS',
+            tabIds: report.suspendableTabs.map(tab => tab.id)
+        });
+        const actualSuspended = response?.count || 0;
 
         console.log('[EXCLUSION] Suspended:', actualSuspended, 'tabs');
         console.log('[EXCLUSION] Summary: Tried to suspend', report.suspendableTabs.length, 'tabs, actually suspended:', actualSuspended);
@@ -794,40 +971,63 @@ function isInternalUrl(url) {
     return internalPrefixes.some(prefix => url.startsWith(prefix));
 }
 
-// Handle Restore All
+// Handle Restore All - the background restores tabs a few at a time (restore queue)
 async function handleRestoreAll() {
     // Prevent race conditions
     if (isOperationInProgress) return;
     isOperationInProgress = true;
 
     restoreAllBtn.disabled = true;
-    restoreAllBtn.textContent = 'Restoring...';
 
     try {
-        const tabs = await chrome.tabs.query({});
-        for (const tab of tabs) {
-            if (tab.url && tab.url.includes('suspended.html')) {
-                await restoreTabDirect(tab.id, tab.url);
-            }
-        }
-
-        setTimeout(() => {
-            loadStats();
-            loadTabs();
-            restoreAllBtn.disabled = false;
-            restoreAllBtn.innerHTML = `
-        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-          <polygon points="5 3 19 12 5 21 5 3"></polygon>
-        </svg>
-        Restore All
-      `;
-            isOperationInProgress = false;
-        }, 500);
+        await safeSendMessage({ type: 'RESTORE_ALL' });
     } catch (error) {
         console.error('Error restoring all:', error);
-        restoreAllBtn.disabled = false;
+    } finally {
         isOperationInProgress = false;
+        await updateRestoreProgress();
+    }
+}
+
+// Show restore queue progress, polling until the queue is done
+async function updateRestoreProgress() {
+    clearTimeout(restoreProgressTimer);
+    restoreProgressTimer = null;
+    if (!restoreProgress) return;
+
+    let status = null;
+    try {
+        status = await safeSendMessage({ type: 'GET_RESTORE_PROGRESS' });
+    } catch (error) {
+        console.log('[RESTORE] Could not load restore progress:', error);
+    }
+
+    const active = status?.active === true;
+    const wasActive = !restoreProgress.hidden;
+
+    restoreProgress.hidden = !active;
+    restoreAllBtn.disabled = active;
+
+    if (active) {
+        const percent = status.total > 0 ? Math.round((status.done / status.total) * 100) : 0;
+        restoreProgressText.textContent = `Restoring ${status.done} of ${status.total} tabs`;
+        restoreProgressFill.style.width = `${percent}%`;
+        restoreProgressTimer = setTimeout(updateRestoreProgress, RESTORE_PROGRESS_POLL_MS);
+    } else if (wasActive) {
+        loadStats();
+        loadTabs();
+    }
+}
+
+async function handleCancelRestore() {
+    restoreCancelBtn.disabled = true;
+    try {
+        await safeSendMessage({ type: 'CANCEL_RESTORE' });
+    } catch (error) {
+        console.error('Error cancelling restore:', error);
     }
+    restoreCancelBtn.disabled = false;
+    await updateRestoreProgress();
 }
 
 // Handle Whitelist
@@ -875,8 +1075,8 @@ async function handleWhitelist() {
         }
         const settings = result.tabSuspenderSettings || { whitelistedDomains: [] };
 
-        // Check if already whitelisted
-        if (settings.whitelistedDomains.includes(domain)) {
+        // Check if already whitelisted (by this domain or a broader pattern)
+        if (isUrlWhitelisted(url, settings.whitelistedDomains)) {
             showWhitelistSuccess(domain, true); // Already whitelisted
             return;
         }
@@ -999,11 +1199,12 @@ function getDomain(url) {
     }
 }
 
+// Safe in quoted attributes as well (tab titles end up in title="...")
 function escapeHtml(text) {
     if (!text) return '';
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 // ========== AGENT 1: COUNTDOWN INDICATOR FUNCTIONS ==========
@@ -1103,6 +1304,19 @@ function renderCountdown(countdown) {
 
     if (!container || !timeSpan) return;
 
+    if (countdown?.pauseReason === 'snoozed') {
+        showCountdownPaused(countdown.snoozedUntil === null
+            ? 'Snoozed'
+            : `Snoozed until ${formatSnoozeUntil(countdown.snoozedUntil)}`);
+        return;
+    }
+
+    // Timers are frozen while the user is away - remainingMs is the time left after that
+    if (countdown?.pauseReason === 'idle') {
+        showCountdownPaused(`Paused (${formatCountdownTime(countdown.remainingMs)} left)`);
+        return;
+    }
+
     if (!countdown || countdown.isPaused || countdown.remainingMs < 0) {
         // Show paused state
         showCountdownPaused('Paused');
@@ -1316,14 +1530,23 @@ async function analyzeTabExclusions() {
         neverSuspendActiveTab: settings.neverSuspendActiveTab
     });
 
-    // Get form status from storage
+    // Get form, unload prompt, media and busy status from storage
     let formStatus = {};
+    let unloadPrompts = {};
+    let mediaStatus = {};
+    let busyStatus = {};
     try {
-        const formResult = await chrome.storage.session.get('tabFormStatus');
-        formStatus = formResult.tabFormStatus || {};
+        const statusResult = await chrome.storage.session.get(['tabFormStatus', 'tabUnloadPrompts', 'tabMediaStatus', 'tabBusyStatus']);
+        formStatus = statusResult.tabFormStatus || {};
+        unloadPrompts = statusResult.tabUnloadPrompts || {};
+        mediaStatus = statusResult.tabMediaStatus || {};
+        busyStatus = statusResult.tabBusyStatus || {};
     } catch {
-        const formResult = await chrome.storage.local.get('tabFormStatus');
-        formStatus = formResult.tabFormStatus || {};
+        const statusResult = await chrome.storage.local.get(['tabFormStatus', 'tabUnloadPrompts', 'tabMediaStatus', 'tabBusyStatus']);
+        formStatus = statusResult.tabFormStatus || {};
+        unloadPrompts = statusResult.tabUnloadPrompts || {};
+        mediaStatus = statusResult.tabMediaStatus || {};
+        busyStatus = statusResult.tabBusyStatus || {};
     }
 
     // Query ALL tabs across ALL windows
@@ -1348,7 +1571,12 @@ async function analyzeTabExclusions() {
             whitelist: { count: 0, tabs: [] },
             pinned: { count: 0, tabs: [] },
             audio: { count: 0, tabs: [] },
+            calls: { count: 0, tabs: [] },
+            fullscreen: { count: 0, tabs: [] },
+            media: { count: 0, tabs: [] },
+            uploads: { count: 0, tabs: [] },
             forms: { count: 0, tabs: [] },
+            unsavedWork: { count: 0, tabs: [] },
             active: { count: 0, tabs: [] },
             alreadySuspended: { count: 0, tabs: [] },
             systemPages: { count: 0, tabs: [] }
@@ -1357,7 +1585,7 @@ async function analyzeTabExclusions() {
 
     // Analyze each tab
     for (const tab of tabs) {
-        const reason = getTabExclusionReason(tab, settings, formStatus);
+        const reason = getTabExclusionReason(tab, settings, formStatus, unloadPrompts, mediaStatus, busyStatus);
 
         // Debug: log each tab's exclusion reason
         console.log('[EXCLUSION] Tab:', {
@@ -1400,11 +1628,14 @@ async function analyzeTabExclusions() {
  * @param {Object} tab - Tab object
  * @param {Object} settings - Current settings
  * @param {Object} formStatus - Form status map
+ * @param {Object} unloadPrompts - Tabs whose page would ask before leaving
+ * @param {Object} mediaStatus - Media status map (calls, fullscreen, playing media)
+ * @param {Object} busyStatus - Busy status map (uploads in flight)
  * @returns {string|null} Exclusion reason or null
  */
-function getTabExclusionReason(tab, settings, formStatus) {
+function getTabExclusionReason(tab, settings, formStatus, unloadPrompts, mediaStatus, busyStatus) {
     // Already suspended
-    if (tab.url && tab.url.includes('suspended.html')) {
+    if (isTabSuspended(tab)) {
         return 'alreadySuspended';
     }
 
@@ -1428,19 +1659,73 @@ function getTabExclusionReason(tab, settings, formStatus) {
         return 'audio';
     }
 
+    // Calls, screen sharing, fullscreen or playing media
+    const mediaReason = getMediaExclusionReason(mediaStatus[tab.id], settings);
+    if (mediaReason) {
+        return mediaReason;
+    }
+
     // Whitelisted domain
     if (isTabWhitelisted(tab.url, settings.whitelistedDomains)) {
         return 'whitelist';
     }
 
-    // Unsaved forms
-    if (formStatus[tab.id] === true) {
+    // Uploads in flight
+    const busyReason = getBusyExclusionReason(busyStatus[tab.id], settings);
+    if (busyReason) {
+        return busyReason;
+    }
+
+    // Unsaved work in editors the form check can't see
+    if (unloadPrompts[tab.id] === true && settings.neverSuspendUnsavedWork === true) {
+        return 'unsavedWork';
+    }
+
+    // Unsaved forms (unless the draft will be held - mirrors background.js canPreserveDraft)
+    if (formStatus[tab.id] === true && !canPreserveDraftForUrl(tab.url, settings)) {
         return 'forms';
     }
 
     return null;
 }
 
+/**
+ * Get the media protection that keeps a tab loaded (mirrors background.js getMediaProtection)
+ * @param {Object|undefined} media - The tab's tabMediaStatus entry
+ * @param {Object} settings - Current settings
+ * @returns {string|null} 'calls', 'fullscreen', 'media' or null
+ */
+function getMediaExclusionReason(media, settings) {
+    if (!media) return null;
+    if (settings.neverSuspendCalls !== false && (media.capturing || media.inCall)) return 'calls';
+    if (settings.neverSuspendFullscreen !== false && media.fullscreen) return 'fullscreen';
+    if (settings.neverSuspendPlayingMedia === true && media.playing) return 'media';
+    return null;
+}
+
+/**
+ * Get the busy state that keeps a tab loaded (mirrors background.js getBusyProtection)
+ * @param {Object|undefined} busy - The tab's tabBusyStatus entry
+ * @param {Object} settings - Current settings
+ * @returns {string|null} 'uploads' or null
+ */
+function getBusyExclusionReason(busy, settings) {
+    if (!busy || settings.neverSuspendBusyTabs === false) return null;
+    if (busy.uploads > 0) return 'uploads';
+    return null;
+}
+
+/**
+ * Check if a dirty tab on this URL may be suspended with its form draft held
+ * @param {string} url - Tab URL
+ * @param {Object} settings - Current settings
+ * @returns {boolean}
+ */
+function canPreserveDraftForUrl(url, settings) {
+    if (!settings.preserveFormDrafts) return false;
+    return !UrlPatterns.isUrlMatched(url, settings.draftExcludedDomains || []);
+}
+
 /**
  * Check if a URL is whitelisted
  * @param {string} url - URL to check
@@ -1448,21 +1733,7 @@ function getTabExclusionReason(tab, settings, formStatus) {
  * @returns {boolean}
  */
 function isTabWhitelisted(url, whitelistedDomains) {
-    if (!url || !whitelistedDomains || whitelistedDomains.length === 0) {
-        return false;
-    }
-
-    try {
-        const urlObj = new URL(url);
-        const hostname = urlObj.hostname.toLowerCase();
-
-        return whitelistedDomains.some(domain => {
-            const d = domain.toLowerCase();
-            return hostname === d || hostname.endsWith('.' + d);
-        });
-    } catch {
-        return false;
-    }
+    return isUrlWhitelisted(url, whitelistedDomains);
 }
 
 /**
@@ -1683,7 +1954,12 @@ async function storeLastSuspendAction(report, actualSuspended) {
                 whitelist: report.byReason.whitelist.count,
                 pinned: report.byReason.pinned.count,
                 audio: report.byReason.audio.count,
+                calls: report.byReason.calls.count,
+                fullscreen: report.byReason.fullscreen.count,
+                media: report.byReason.media.count,
+                uploads: report.byReason.uploads.count,
                 forms: report.byReason.forms.count,
+                unsavedWork: report.byReason.unsavedWork.count,
                 active: report.byReason.active.count,
                 alreadySuspended: report.byReason.alreadySuspended.count,
                 systemPages: report.byReason.systemPages.count
@@ -1860,7 +2136,7 @@ async function handleFocusModeActivate() {
             tab.id !== activeTab.id &&
             tab.url &&
             !isInternalUrl(tab.url) &&
-            !tab.url.includes('suspended.html') &&
+            !isTabSuspended(tab) &&
             !isUrlWhitelisted(tab.url, whitelistedDomains) &&
             !(neverSuspendPinned && tab.pinned) &&
             !(neverSuspendAudio && tab.audible)
@@ -1961,7 +2237,7 @@ async function handleFocusModeExit() {
                 try {
                     // Check if tab still exists
                     const tab = await chrome.tabs.get(tabInfo.id);
-                    if (tab && tab.url && tab.url.includes('suspended.html')) {
+                    if (isTabSuspended(tab)) {
                         await restoreTabDirect(tabInfo.id, tab.url);
                     }
                 } catch (e) {
@@ -0,0 +1,119 @@
+/**
+ * Tab Suspender Pro - Recovery Page JavaScript
+ * Lists suspended tabs the background could not repair after an extension
+ * reload/update/reinstall and lets the user reopen or dismiss them
+ */
+
+// DOM Elements
+const lostTabItems = document.getElementById('lostTabItems');
+const recoveryActions = document.getElementById('recoveryActions');
+const reopenAllBtn = document.getElementById('reopenAllBtn');
+const clearAllBtn = document.getElementById('clearAllBtn');
+const toast = document.getElementById('toast');
+const toastMessage = document.getElementById('toastMessage');
+
+// Initialize
+document.addEventListener('DOMContentLoaded', async () => {
+    setupEventListeners();
+    await loadLostTabs();
+});
+
+function setupEventListeners() {
+    reopenAllBtn?.addEventListener('click', async () => {
+        const response = await chrome.runtime.sendMessage({ type: 'REOPEN_LOST_TABS' });
+        showToast(`Reopened ${response?.count || 0} tab(s)`, 'success');
+        await loadLostTabs();
+    });
+
+    clearAllBtn?.addEventListener('click', async () => {
+        if (!confirm('Remove all tabs from this list? They cannot be recovered afterwards.')) return;
+        await chrome.runtime.sendMessage({ type: 'DISMISS_LOST_TABS' });
+        await loadLostTabs();
+    });
+}
+
+// Load and render the lost tab list
+async function loadLostTabs() {
+    let tabs = [];
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'GET_LOST_TABS' });
+        tabs = response?.tabs || [];
+    } catch (error) {
+        console.error('Failed to load lost tabs:', error);
+        showToast('Failed to load lost tabs', 'error');
+    }
+
+    renderLostTabs(tabs);
+}
+
+function renderLostTabs(tabs) {
+    recoveryActions.hidden = tabs.length === 0;
+
+    if (tabs.length === 0) {
+        lostTabItems.innerHTML = '<div class="whitelist-empty">Nothing to recover - all suspended tabs are accounted for</div>';
+        return;
+    }
+
+    lostTabItems.innerHTML = tabs.map(tab => `
+        <div class="whitelist-item lost-tab-item" data-token="${escapeHtml(tab.token)}">
+            <div class="lost-tab-info">
+                <div class="lost-tab-title" title="${escapeHtml(tab.title)}">${escapeHtml(tab.title)}</div>
+                <div class="lost-tab-meta" title="${escapeHtml(tab.url)}">
+                    ${escapeHtml(getDomain(tab.url))} · suspended ${escapeHtml(formatDate(tab.suspendedAt))}
+                </div>
+            </div>
+            <button class="lost-tab-reopen">Reopen</button>
+            <button class="whitelist-remove" title="Dismiss">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <line x1="18" y1="6" x2="6" y2="18"></line>
+                    <line x1="6" y1="6" x2="18" y2="18"></line>
+                </svg>
+            </button>
+        </div>
+    `).join('');
+
+    lostTabItems.querySelectorAll('.lost-tab-item').forEach(item => {
+        const tokens = [item.dataset.token];
+
+        item.querySelector('.lost-tab-reopen').addEventListener('click', async () => {
+            await chrome.runtime.sendMessage({ type: 'REOPEN_LOST_TABS', tokens });
+            await loadLostTabs();
+        });
+
+        item.querySelector('.whitelist-remove').addEventListener('click', async () => {
+            await chrome.runtime.sendMessage({ type: 'DISMISS_LOST_TABS', tokens });
+            await loadLostTabs();
+        });
+    });
+}
+
+// Helper functions
+function getDomain(url) {
+    try {
+        return new URL(url).hostname;
+    } catch {
+        return url || 'Unknown';
+    }
+}
+
+function formatDate(timestamp) {
+    if (!timestamp) return 'at an unknown time';
+    return new Date(timestamp).toLocaleString();
+}
+
+// Also used inside attribute values - titles and URLs may contain quotes
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+function showToast(message, type = 'info') {
+    toastMessage.textContent = message;
+    toast.className = `toast ${type}`;
+    toast.classList.add('show');
+
+    setTimeout(() => {
+        toast.classList.remove('show');
+    }, 3000);
+}
@@ -26,24 +26,132 @@ const protectionChevron = document.getElementById('protectionChevron');
 const protectionSettings = document.getElementById('protectionSettings');
 const badgeAudio = document.getElementById('badgeAudio');
 const badgeForms = document.getElementById('badgeForms');
+const badgeUnsavedWork = document.getElementById('badgeUnsavedWork');
 const badgePinned = document.getElementById('badgePinned');
 const badgeActive = document.getElementById('badgeActive');
+const badgeCalls = document.getElementById('badgeCalls');
+const badgeFullscreen = document.getElementById('badgeFullscreen');
+const badgeMedia = document.getElementById('badgeMedia');
+const badgeBusy = document.getElementById('badgeBusy');
 const neverAudio = document.getElementById('neverAudio');
 const neverForms = document.getElementById('neverForms');
+const neverUnsavedWork = document.getElementById('neverUnsavedWork');
 const neverPinned = document.getElementById('neverPinned');
 const neverActive = document.getElementById('neverActive');
+const neverCalls = document.getElementById('neverCalls');
+const neverFullscreen = document.getElementById('neverFullscreen');
+const neverMedia = document.getElementById('neverMedia');
+const neverBusy = document.getElementById('neverBusy');
 const autoRestore = document.getElementById('autoRestore');
+const memoryThresholdSelect = document.getElementById('memoryThreshold');
+const maxLoadedTabsSelect = document.getElementById('maxLoadedTabs');
+const maxLoadedTabsScopeSelect = document.getElementById('maxLoadedTabsScope');
+const maxLoadedTabsScopeRow = document.getElementById('maxLoadedTabsScopeRow');
+const restoreConcurrencySelect = document.getElementById('restoreConcurrency');
+
+const MAX_LOADED_TABS_OPTIONS = [0, 5, 10, 15, 20, 30, 50];
+const RESTORE_CONCURRENCY_OPTIONS = [1, 3, 5, 10];
 
 // DOM Elements - Whitelist
 const addCurrentSiteBtn = document.getElementById('addCurrentSiteBtn');
 const whitelistItems = document.getElementById('whitelistItems');
 const newDomainInput = document.getElementById('newDomain');
 const addDomainBtn = document.getElementById('addDomainBtn');
+const patternPreview = document.getElementById('patternPreview');
+
+// DOM Elements - Per-Site Timeouts
+const siteTimeoutItems = document.getElementById('siteTimeoutItems');
+const newTimeoutPattern = document.getElementById('newTimeoutPattern');
+const newTimeoutMinutes = document.getElementById('newTimeoutMinutes');
+const addSiteTimeoutBtn = document.getElementById('addSiteTimeoutBtn');
+
+// DOM Elements - Adaptive Timeouts
+const adaptiveTimeoutsToggle = document.getElementById('adaptiveTimeouts');
+const adaptiveMinMinutesSelect = document.getElementById('adaptiveMinMinutes');
+const adaptiveMaxMinutesSelect = document.getElementById('adaptiveMaxMinutes');
+const learnedTimeoutItems = document.getElementById('learnedTimeoutItems');
+const resetLearnedTimeoutsBtn = document.getElementById('resetLearnedTimeoutsBtn');
+
+const ADAPTIVE_MIN_MINUTES = [5, 10, 15, 30];
+const ADAPTIVE_MAX_MINUTES = [60, 120, 240, 480, 1440];
+
+// DOM Elements - Schedules
+const scheduleItems = document.getElementById('scheduleItems');
+const newScheduleLabel = document.getElementById('newScheduleLabel');
+const newScheduleAction = document.getElementById('newScheduleAction');
+const newScheduleDays = document.getElementById('newScheduleDays');
+const newScheduleStart = document.getElementById('newScheduleStart');
+const newScheduleEnd = document.getElementById('newScheduleEnd');
+const newScheduleEndLabel = document.getElementById('newScheduleEndLabel');
+const newScheduleMinutes = document.getElementById('newScheduleMinutes');
+const newScheduleMinutesUnit = document.getElementById('newScheduleMinutesUnit');
+const addScheduleBtn = document.getElementById('addScheduleBtn');
+
+const SCHEDULE_ACTION_LABELS = { timeout: 'Timeout', pause: 'Pause', suspendAll: 'Suspend all' };
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// DOM Elements - Idle & Screen Lock
+const freezeTimersWhenIdleToggle = document.getElementById('freezeTimersWhenIdle');
+const suspendOnLockToggle = document.getElementById('suspendOnLock');
+const lockSuspendDelaySelect = document.getElementById('lockSuspendDelay');
+
+const LOCK_SUSPEND_DELAYS = [0, 1, 5, 15, 30];
+
+// DOM Elements - Tab Groups
+const suspendCollapsedGroupsToggle = document.getElementById('suspendCollapsedGroups');
+
+// DOM Elements - Suspension Method
+const suspensionMethodSelect = document.getElementById('suspensionMethod');
+const hybridPageDelaySelect = document.getElementById('hybridPageDelay');
+const hybridDelayRow = document.getElementById('hybridDelayRow');
+const siteMethodItems = document.getElementById('siteMethodItems');
+const newMethodPattern = document.getElementById('newMethodPattern');
+const newMethodValue = document.getElementById('newMethodValue');
+const addSiteMethodBtn = document.getElementById('addSiteMethodBtn');
+
+const SUSPENSION_METHOD_LABELS = { page: 'Page', discard: 'Discard', hybrid: 'Hybrid' };
+
+// DOM Elements - Form Drafts
+const preserveDraftsToggle = document.getElementById('preserveDrafts');
+const draftExpirySelect = document.getElementById('draftExpiry');
+const draftExcludeItems = document.getElementById('draftExcludeItems');
+const newDraftExclude = document.getElementById('newDraftExclude');
+const addDraftExcludeBtn = document.getElementById('addDraftExcludeBtn');
+
+const DRAFT_EXPIRY_HOURS = [1, 6, 24, 72];
+
+// DOM Elements - Suspend Warnings
+const suspendWarningsToggle = document.getElementById('suspendWarnings');
+const warnOnUnsavedFormsToggle = document.getElementById('warnOnUnsavedForms');
+const warningLeadMinutesSelect = document.getElementById('warningLeadMinutes');
+const maxWarningsPerHourSelect = document.getElementById('maxWarningsPerHour');
+const warnDomainItems = document.getElementById('warnDomainItems');
+const newWarnDomain = document.getElementById('newWarnDomain');
+const addWarnDomainBtn = document.getElementById('addWarnDomainBtn');
+
+const WARNING_LEAD_MINUTES = [1, 2, 5, 10];
+const MAX_WARNINGS_PER_HOUR = [3, 6, 12, 30];
+
+// DOM Elements - Countdown Overlay
+const countdownOverlayToggle = document.getElementById('countdownOverlay');
+const countdownOverlaySecondsSelect = document.getElementById('countdownOverlaySeconds');
+const overlayExcludeItems = document.getElementById('overlayExcludeItems');
+const newOverlayExclude = document.getElementById('newOverlayExclude');
+const addOverlayExcludeBtn = document.getElementById('addOverlayExcludeBtn');
+
+const COUNTDOWN_OVERLAY_SECONDS = [10, 30, 60];
+
+// DOM Elements - Migration
+const foreignTabsLabel = document.getElementById('foreignTabsLabel');
+const convertForeignTabsBtn = document.getElementById('convertForeignTabsBtn');
+const importWhitelistBtn = document.getElementById('importWhitelistBtn');
+const importWhitelistFile = document.getElementById('importWhitelistFile');
 
 // DOM Elements - Impact
 const impactValue = document.getElementById('impactValue');
 const impactRank = document.getElementById('impactRank');
 const viewStatsBtn = document.getElementById('viewStatsBtn');
+const recoveryBtn = document.getElementById('recoveryBtn');
 
 // DOM Elements - Toast
 const toast = document.getElementById('toast');
@@ -52,6 +160,8 @@ const toastMessage = document.getElementById('toastMessage');
 // State
 let settings = {};
 let currentProfile = 'balanced';
+let openTabs = [];
+let learnedTimeouts = { enabled: false, baseMinutes: 30, timeouts: [] };
 
 // Community Edition - all features unlocked
 
@@ -67,8 +177,11 @@ document.addEventListener('DOMContentLoaded', async () => {
     await checkProStatus();
     await loadSettings();
     await loadStats();
+    await loadOpenTabs();
+    await loadLearnedTimeouts();
     setupEventListeners();
     updateUI();
+    await scanForeignTabs();
 });
 
 // Community Edition - all features enabled
@@ -136,9 +249,25 @@ function updateUI() {
     // Update protection toggles
     neverAudio.checked = settings.neverSuspendAudio !== false;
     neverForms.checked = settings.neverSuspendUnsavedForms !== false;
+    neverUnsavedWork.checked = settings.neverSuspendUnsavedWork === true;
     neverPinned.checked = settings.suspendPinnedTabs === false;
     neverActive.checked = settings.neverSuspendActiveTab !== false;
+    neverCalls.checked = settings.neverSuspendCalls !== false;
+    neverFullscreen.checked = settings.neverSuspendFullscreen !== false;
+    neverMedia.checked = settings.neverSuspendPlayingMedia === true;
+    neverBusy.checked = settings.neverSuspendBusyTabs !== false;
     autoRestore.checked = settings.autoUnsuspendOnFocus !== false;
+    if (memoryThresholdSelect) {
+        memoryThresholdSelect.value = String(settings.memoryThreshold ?? 80);
+    }
+    if (maxLoadedTabsSelect) {
+        maxLoadedTabsSelect.value = String(settings.maxLoadedTabs || 0);
+        maxLoadedTabsScopeSelect.value = settings.maxLoadedTabsScope === 'window' ? 'window' : 'global';
+        updateTabCapScopeVisibility();
+    }
+    if (restoreConcurrencySelect) {
+        restoreConcurrencySelect.value = String(settings.restoreConcurrency || 3);
+    }
 
     // Update protection badges
     updateProtectionBadges();
@@ -151,6 +280,50 @@ function updateUI() {
 
     // Update whitelist
     renderWhitelist();
+
+    // Update per-site timeouts
+    siteTimeoutList.render();
+
+    // Update adaptive timeouts
+    if (adaptiveTimeoutsToggle) adaptiveTimeoutsToggle.checked = settings.adaptiveTimeouts === true;
+    if (adaptiveMinMinutesSelect) adaptiveMinMinutesSelect.value = String(settings.adaptiveMinMinutes || 10);
+    if (adaptiveMaxMinutesSelect) adaptiveMaxMinutesSelect.value = String(settings.adaptiveMaxMinutes || 240);
+    renderLearnedTimeouts();
+
+    // Update schedules
+    updateScheduleFormFields();
+    renderSchedules();
+
+    // Update idle & screen lock
+    if (freezeTimersWhenIdleToggle) freezeTimersWhenIdleToggle.checked = settings.freezeTimersWhenIdle === true;
+    if (suspendOnLockToggle) suspendOnLockToggle.checked = settings.suspendOnLock === true;
+    if (lockSuspendDelaySelect) lockSuspendDelaySelect.value = String(settings.lockSuspendDelayMinutes ?? 5);
+
+    // Update tab groups
+    if (suspendCollapsedGroupsToggle) suspendCollapsedGroupsToggle.checked = settings.suspendCollapsedGroups === true;
+
+    // Update suspension method
+    if (suspensionMethodSelect) suspensionMethodSelect.value = settings.suspensionMethod || 'page';
+    if (hybridPageDelaySelect) hybridPageDelaySelect.value = String(settings.hybridPageDelay || 60);
+    updateHybridDelayVisibility();
+    siteMethodList.render();
+
+    // Update form drafts
+    if (preserveDraftsToggle) preserveDraftsToggle.checked = settings.preserveFormDrafts === true;
+    if (draftExpirySelect) draftExpirySelect.value = String(settings.draftExpiryHours || 24);
+    draftExclusionList.render();
+
+    // Update suspend warnings
+    if (suspendWarningsToggle) suspendWarningsToggle.checked = settings.suspendWarnings === true;
+    if (warnOnUnsavedFormsToggle) warnOnUnsavedFormsToggle.checked = settings.warnOnUnsavedForms !== false;
+    if (warningLeadMinutesSelect) warningLeadMinutesSelect.value = String(settings.warningLeadMinutes || 2);
+    if (maxWarningsPerHourSelect) maxWarningsPerHourSelect.value = String(settings.maxWarningsPerHour || 6);
+    warnDomainList.render();
+
+    // Update countdown overlay
+    if (countdownOverlayToggle) countdownOverlayToggle.checked = settings.countdownOverlay === true;
+    if (countdownOverlaySecondsSelect) countdownOverlaySecondsSelect.value = String(settings.countdownOverlaySeconds || 30);
+    overlayExclusionList.render();
 }
 
 // Update profile selector UI
@@ -169,8 +342,13 @@ function updateProfileSelector() {
 function updateProtectionBadges() {
     badgeAudio.classList.toggle('active', neverAudio.checked);
     badgeForms.classList.toggle('active', neverForms.checked);
+    badgeUnsavedWork.classList.toggle('active', neverUnsavedWork.checked);
     badgePinned.classList.toggle('active', neverPinned.checked);
     badgeActive.classList.toggle('active', neverActive.checked);
+    badgeCalls.classList.toggle('active', neverCalls.checked);
+    badgeFullscreen.classList.toggle('active', neverFullscreen.checked);
+    badgeMedia.classList.toggle('active', neverMedia.checked);
+    badgeBusy.classList.toggle('active', neverBusy.checked);
 }
 
 // Update timeout display
@@ -222,13 +400,22 @@ function setupEventListeners() {
     });
 
     // Protection toggles
-    [neverAudio, neverForms, neverPinned, neverActive, autoRestore].forEach(toggle => {
+    [neverAudio, neverForms, neverUnsavedWork, neverPinned, neverActive, neverCalls, neverFullscreen, neverMedia, neverBusy, autoRestore].forEach(toggle => {
         toggle?.addEventListener('change', () => {
             updateProtectionBadges();
             debouncedSave();
         });
     });
 
+    // Memory pressure threshold
+    memoryThresholdSelect?.addEventListener('change', debouncedSave);
+    maxLoadedTabsSelect?.addEventListener('change', () => {
+        updateTabCapScopeVisibility();
+        debouncedSave();
+    });
+    maxLoadedTabsScopeSelect?.addEventListener('change', debouncedSave);
+    restoreConcurrencySelect?.addEventListener('change', debouncedSave);
+
     // Whitelist - Add current site
     addCurrentSiteBtn?.addEventListener('click', addCurrentSite);
 
@@ -237,12 +424,93 @@ function setupEventListeners() {
     newDomainInput?.addEventListener('keypress', (e) => {
         if (e.key === 'Enter') addManualDomain();
     });
+    newDomainInput?.addEventListener('input', renderPatternPreview);
+
+    // Refresh pattern match counts when returning to the page
+    window.addEventListener('focus', async () => {
+        await loadOpenTabs();
+        renderWhitelist();
+        renderPatternPreview();
+    });
+
+    // Suspension method
+    suspensionMethodSelect?.addEventListener('change', () => {
+        updateHybridDelayVisibility();
+        debouncedSave();
+    });
+    hybridPageDelaySelect?.addEventListener('change', debouncedSave);
+    addSiteMethodBtn?.addEventListener('click', siteMethodList.add);
+    newMethodPattern?.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') siteMethodList.add();
+    });
+
+    // Form drafts
+    preserveDraftsToggle?.addEventListener('change', debouncedSave);
+    draftExpirySelect?.addEventListener('change', debouncedSave);
+    addDraftExcludeBtn?.addEventListener('click', draftExclusionList.add);
+    newDraftExclude?.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') draftExclusionList.add();
+    });
+
+    // Suspend warnings
+    suspendWarningsToggle?.addEventListener('change', debouncedSave);
+    warnOnUnsavedFormsToggle?.addEventListener('change', debouncedSave);
+    warningLeadMinutesSelect?.addEventListener('change', debouncedSave);
+    maxWarningsPerHourSelect?.addEventListener('change', debouncedSave);
+    addWarnDomainBtn?.addEventListener('click', warnDomainList.add);
+    newWarnDomain?.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') warnDomainList.add();
+    });
+
+    // Countdown overlay
+    countdownOverlayToggle?.addEventListener('change', debouncedSave);
+    countdownOverlaySecondsSelect?.addEventListener('change', debouncedSave);
+    addOverlayExcludeBtn?.addEventListener('click', overlayExclusionList.add);
+    newOverlayExclude?.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') overlayExclusionList.add();
+    });
+
+    // Migration
+    convertForeignTabsBtn?.addEventListener('click', convertForeignTabs);
+    importWhitelistBtn?.addEventListener('click', () => importWhitelistFile.click());
+    importWhitelistFile?.addEventListener('change', importForeignWhitelist);
+
+    // Adaptive timeouts - saved right away so the list shows what was re-learned
+    [adaptiveTimeoutsToggle, adaptiveMinMinutesSelect, adaptiveMaxMinutesSelect].forEach(control => {
+        control?.addEventListener('change', async () => {
+            await saveSettings();
+            await loadLearnedTimeouts();
+        });
+    });
+    resetLearnedTimeoutsBtn?.addEventListener('click', () => resetLearnedTimeout());
+
+    // Schedules
+    newScheduleAction?.addEventListener('change', updateScheduleFormFields);
+    addScheduleBtn?.addEventListener('click', addSchedule);
+
+    // Idle & screen lock
+    freezeTimersWhenIdleToggle?.addEventListener('change', debouncedSave);
+    suspendOnLockToggle?.addEventListener('change', debouncedSave);
+    lockSuspendDelaySelect?.addEventListener('change', debouncedSave);
+
+    // Tab groups
+    suspendCollapsedGroupsToggle?.addEventListener('change', debouncedSave);
+
+    // Per-site timeouts
+    addSiteTimeoutBtn?.addEventListener('click', siteTimeoutList.add);
+    newTimeoutPattern?.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') siteTimeoutList.add();
+    });
 
     // View stats
     viewStatsBtn?.addEventListener('click', () => {
         chrome.tabs.create({ url: chrome.runtime.getURL('stats-dashboard.html') });
     });
 
+    recoveryBtn?.addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('recovery.html') });
+    });
+
     // Export/Import
     exportBtn?.addEventListener('click', exportSettings);
     importBtn?.addEventListener('click', () => importFile.click());
@@ -273,39 +541,43 @@ async function addCurrentSite() {
     }
 }
 
-// Add manual domain
+// Add manual domain or pattern
 function addManualDomain() {
-    let domain = newDomainInput.value.trim().toLowerCase();
-    if (!domain) return;
-
-    // Clean up domain
-    domain = domain.replace(/^(https?:\/\/)?(www\.)?/, '').split('/')[0];
+    const pattern = UrlPatterns.normalizePattern(newDomainInput.value);
+    if (!pattern) return;
 
     // Validate
-    if (!/^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/.test(domain)) {
-        showToast('Invalid domain format', 'error');
+    const { valid, error } = UrlPatterns.validatePattern(pattern);
+    if (!valid) {
+        showToast(`Invalid pattern: ${error}`, 'error');
         return;
     }
 
-    addDomain(domain);
+    addDomain(pattern);
     newDomainInput.value = '';
+    renderPatternPreview();
 }
 
 // Add domain to whitelist
 async function addDomain(domain) {
     // Check if already exists
-    if (settings.whitelistedDomains?.includes(domain)) {
-        showToast('Domain already whitelisted', 'error');
+    const normalized = UrlPatterns.normalizePattern(domain);
+    if (settings.whitelistedDomains?.some(d => UrlPatterns.normalizePattern(d) === normalized)) {
+        showToast('Already whitelisted', 'error');
         return;
     }
 
     // Community Edition - no whitelist limits
     try {
-        await chrome.runtime.sendMessage({ type: 'WHITELIST_DOMAIN', domain });
+        const response = await chrome.runtime.sendMessage({ type: 'WHITELIST_DOMAIN', domain: normalized });
+        if (response && response.success === false) {
+            showToast(response.error || 'Failed to add domain', 'error');
+            return;
+        }
         settings.whitelistedDomains = settings.whitelistedDomains || [];
-        settings.whitelistedDomains.push(domain);
+        settings.whitelistedDomains.push(normalized);
         renderWhitelist();
-        showToast(`Added ${domain}`, 'success');
+        showToast(`Added ${normalized}`, 'success');
     } catch (error) {
         console.error('Failed to add domain:', error);
         showToast('Failed to add domain', 'error');
@@ -338,9 +610,16 @@ function renderWhitelist() {
         return;
     }
 
-    whitelistItems.innerHTML = domains.map(domain => `
-        <div class="whitelist-item" data-domain="${escapeHtml(domain)}">
+    whitelistItems.innerHTML = domains.map(domain => {
+        const { valid, error } = UrlPatterns.validatePattern(domain);
+        const matchCount = valid ? getMatchingTabs(domain).length : 0;
+        const matchLabel = valid
+            ? `${matchCount} open tab${matchCount === 1 ? '' : 's'}`
+            : 'Invalid';
+        return `
+        <div class="whitelist-item${valid ? '' : ' invalid'}" data-domain="${escapeHtml(domain)}" title="${escapeHtml(valid ? domain : error)}">
             <span class="whitelist-domain">${escapeHtml(domain)}</span>
+            <span class="whitelist-matches">${matchLabel}</span>
             <button class="whitelist-remove" title="Remove">
                 <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                     <line x1="18" y1="6" x2="6" y2="18"></line>
@@ -348,7 +627,8 @@ function renderWhitelist() {
                 </svg>
             </button>
         </div>
-    `).join('');
+    `;
+    }).join('');
 
     // Add remove handlers
     whitelistItems.querySelectorAll('.whitelist-remove').forEach(btn => {
@@ -360,6 +640,483 @@ function renderWhitelist() {
     });
 }
 
+// Add/remove editor for a settings list keyed by URL pattern. Entries are pattern
+// strings; lists of objects pass createEntry (pattern -> entry, or null after showing
+// why not) plus renderControls/bindControls for the inputs next to the pattern.
+// Items get the classes `${itemClass}-item` and `${itemClass}-pattern`.
+function createPatternListEditor({
+    key, input, container, itemClass, duplicateMessage, emptyHtml = '',
+    createEntry = pattern => pattern, renderControls = () => '', bindControls = () => {}, onChange = () => {}
+}) {
+    const getPattern = entry => typeof entry === 'string' ? entry : entry.pattern;
+
+    // Show the new list right away, and put the old one back if it can't be saved
+    async function update(entries) {
+        const previous = settings[key];
+        settings[key] = entries;
+        render();
+        onChange();
+        if (await saveSettings()) return true;
+
+        settings[key] = previous;
+        render();
+        onChange();
+        return false;
+    }
+
+    async function add() {
+        const pattern = UrlPatterns.normalizePattern(input.value);
+        if (!pattern) return;
+
+        const { valid, error } = UrlPatterns.validatePattern(pattern);
+        if (!valid) {
+            showToast(`Invalid pattern: ${error}`, 'error');
+            return;
+        }
+
+        const entries = settings[key] || [];
+        if (entries.some(entry => getPattern(entry) === pattern)) {
+            showToast(duplicateMessage, 'error');
+            return;
+        }
+
+        const entry = createEntry(pattern);
+        if (!entry) return;
+
+        if (await update([...entries, entry])) {
+            input.value = '';
+        }
+    }
+
+    function render() {
+        if (!container) return;
+
+        const entries = settings[key] || [];
+        if (entries.length === 0) {
+            container.innerHTML = emptyHtml;
+            return;
+        }
+
+        container.innerHTML = entries.map((entry, index) => `
+        <div class="${itemClass}-item" data-index="${index}">
+            <span class="${itemClass}-pattern" title="${escapeHtml(getPattern(entry))}">${escapeHtml(getPattern(entry))}</span>
+            ${renderControls(entry)}
+            <button class="whitelist-remove" title="Remove">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <line x1="18" y1="6" x2="6" y2="18"></line>
+                    <line x1="6" y1="6" x2="18" y2="18"></line>
+                </svg>
+            </button>
+        </div>
+    `).join('');
+
+        container.querySelectorAll(`.${itemClass}-item`).forEach(item => {
+            const index = parseInt(item.dataset.index, 10);
+            bindControls(item, entries[index]);
+
+            item.querySelector('.whitelist-remove').addEventListener('click', () => {
+                update(entries.filter((_, i) => i !== index));
+            });
+        });
+    }
+
+    return { add, render };
+}
+
+// Per-site timeout rules
+const siteTimeoutList = createPatternListEditor({
+    key: 'siteTimeouts',
+    input: newTimeoutPattern,
+    container: siteTimeoutItems,
+    itemClass: 'site-timeout',
+    duplicateMessage: 'A rule for this pattern already exists',
+    emptyHtml: '<div class="whitelist-empty">All sites use the global timer</div>',
+    createEntry: pattern => {
+        const minutes = parseInt(newTimeoutMinutes.value, 10);
+        if (!minutes || minutes < 1 || minutes > 1440) {
+            showToast('Timeout must be 1-1440 minutes', 'error');
+            return null;
+        }
+        return { pattern, minutes };
+    },
+    renderControls: entry => `
+            <input type="number" class="minutes-input" min="1" max="1440" value="${parseInt(entry.minutes, 10)}">
+            <span class="site-timeout-unit">min</span>`,
+    bindControls: (item, entry) => {
+        item.querySelector('.minutes-input').addEventListener('change', (e) => {
+            const minutes = parseInt(e.target.value, 10);
+            if (!minutes || minutes < 1 || minutes > 1440) {
+                e.target.value = entry.minutes;
+                showToast('Timeout must be 1-1440 minutes', 'error');
+                return;
+            }
+            entry.minutes = minutes;
+            debouncedSave();
+        });
+    }
+});
+
+// Load what adaptive mode has learned
+async function loadLearnedTimeouts() {
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'GET_LEARNED_TIMEOUTS' });
+        learnedTimeouts = response || learnedTimeouts;
+    } catch (error) {
+        console.error('Failed to load learned timeouts:', error);
+    }
+    renderLearnedTimeouts();
+}
+
+// Forget one domain, or all of them
+async function resetLearnedTimeout(domain) {
+    try {
+        await chrome.runtime.sendMessage({ type: 'RESET_LEARNED_TIMEOUTS', domain });
+        showToast(domain ? `${domain} uses the global timer again` : 'Learned timeouts reset', 'success');
+    } catch (error) {
+        console.error('Failed to reset learned timeouts:', error);
+        showToast('Failed to reset learned timeouts', 'error');
+    }
+    await loadLearnedTimeouts();
+}
+
+function formatMinutes(minutes) {
+    if (minutes < 60) return `${minutes} min`;
+    return `${parseFloat((minutes / 60).toFixed(1))} hr`;
+}
+
+// Render learned per-domain timeouts
+function renderLearnedTimeouts() {
+    if (!learnedTimeoutItems) return;
+
+    const entries = learnedTimeouts.timeouts || [];
+    if (entries.length === 0) {
+        learnedTimeoutItems.innerHTML = `<div class="whitelist-empty">${learnedTimeouts.enabled
+            ? 'Nothing learned yet - all sites use the global timer'
+            : 'Turn on adaptive timeouts to start learning'}</div>`;
+        return;
+    }
+
+    learnedTimeoutItems.innerHTML = entries.map(entry => `
+        <div class="site-timeout-item" data-domain="${escapeHtml(entry.domain)}">
+            <span class="site-timeout-pattern" title="${escapeHtml(entry.domain)}">${escapeHtml(entry.domain)}</span>
+            <span class="site-timeout-unit" title="Suspensions followed by a restore within 4 hours">${entry.revisits} of ${entry.suspensions} reopened</span>
+            <span class="learned-timeout-minutes ${entry.minutes > learnedTimeouts.baseMinutes ? 'longer' : 'shorter'}">${formatMinutes(entry.minutes)}</span>
+            <button class="whitelist-remove" title="Reset">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <polyline points="1 4 1 10 7 10"></polyline>
+                    <path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"></path>
+                </svg>
+            </button>
+        </div>
+    `).join('');
+
+    learnedTimeoutItems.querySelectorAll('.site-timeout-item').forEach(item => {
+        item.querySelector('.whitelist-remove').addEventListener('click', () => {
+            resetLearnedTimeout(item.dataset.domain);
+        });
+    });
+}
+
+// Suspend all runs once at its start time - it has no end or minutes
+function updateScheduleFormFields() {
+    const action = newScheduleAction?.value;
+    const display = (el, show) => { if (el) el.style.display = show ? '' : 'none'; };
+    display(newScheduleEnd, action !== 'suspendAll');
+    display(newScheduleEndLabel, action !== 'suspendAll');
+    display(newScheduleMinutes, action === 'timeout');
+    display(newScheduleMinutesUnit, action === 'timeout');
+}
+
+// Add a weekly schedule from the form
+function addSchedule() {
+    const action = newScheduleAction.value;
+    const days = [...newScheduleDays.querySelectorAll('input:checked')].map(input => parseInt(input.value, 10));
+    if (days.length === 0) {
+        showToast('Pick at least one day', 'error');
+        return;
+    }
+
+    const start = newScheduleStart.value;
+    const end = newScheduleEnd.value;
+    if (!start || (action !== 'suspendAll' && !end)) {
+        showToast('Enter a start and end time', 'error');
+        return;
+    }
+    if (action !== 'suspendAll' && start === end) {
+        showToast('Start and end time must differ', 'error');
+        return;
+    }
+
+    const schedule = {
+        id: Date.now().toString(36),
+        label: newScheduleLabel.value.trim(),
+        days,
+        start,
+        action,
+        enabled: true
+    };
+    if (action !== 'suspendAll') {
+        schedule.end = end;
+    }
+    if (action === 'timeout') {
+        const minutes = parseInt(newScheduleMinutes.value, 10);
+        if (!minutes || minutes < 1 || minutes > 1440) {
+            showToast('Timeout must be 1-1440 minutes', 'error');
+            return;
+        }
+        schedule.minutes = minutes;
+    }
+
+    settings.schedules = [...(settings.schedules || []), schedule];
+    newScheduleLabel.value = '';
+    renderSchedules();
+    saveSettings();
+}
+
+// e.g. "Weekdays", "Sat, Sun", "Every day"
+function formatScheduleDays(days) {
+    const sorted = [...days].sort((a, b) => a - b).join(',');
+    if (sorted === '0,1,2,3,4,5,6') return 'Every day';
+    if (sorted === '1,2,3,4,5') return 'Weekdays';
+    if (sorted === '0,6') return 'Weekends';
+    return [1, 2, 3, 4, 5, 6, 0].filter(day => days.includes(day)).map(day => DAY_NAMES[day]).join(', ');
+}
+
+function formatSchedule(schedule) {
+    const parts = [];
+    if (schedule.label) parts.push(schedule.label);
+
+    let action = SCHEDULE_ACTION_LABELS[schedule.action];
+    if (schedule.action === 'timeout') action += ` ${schedule.minutes} min`;
+    parts.push(action);
+
+    const time = schedule.action === 'suspendAll'
+        ? `at ${schedule.start}`
+        : `${schedule.start}–${schedule.end}`;
+    parts.push(`${formatScheduleDays(schedule.days)} ${time}`);
+
+    return parts.join(' · ');
+}
+
+// Render weekly schedules
+function renderSchedules() {
+    if (!scheduleItems) return;
+
+    const entries = settings.schedules || [];
+    if (entries.length === 0) {
+        scheduleItems.innerHTML = '<div class="whitelist-empty">No schedules - the sleep timer applies all week</div>';
+        return;
+    }
+
+    scheduleItems.innerHTML = entries.map((schedule, index) => `
+        <div class="schedule-item${schedule.enabled === false ? ' disabled' : ''}" data-index="${index}">
+            <input type="checkbox" class="schedule-enabled" title="Enabled" ${schedule.enabled === false ? '' : 'checked'}>
+            <span class="schedule-summary" title="${escapeHtml(formatSchedule(schedule))}">${escapeHtml(formatSchedule(schedule))}</span>
+            <button class="whitelist-remove" title="Remove">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <line x1="18" y1="6" x2="6" y2="18"></line>
+                    <line x1="6" y1="6" x2="18" y2="18"></line>
+                </svg>
+            </button>
+        </div>
+    `).join('');
+
+    scheduleItems.querySelectorAll('.schedule-item').forEach(item => {
+        const index = parseInt(item.dataset.index, 10);
+
+        item.querySelector('.schedule-enabled').addEventListener('change', (e) => {
+            settings.schedules[index] = { ...settings.schedules[index], enabled: e.target.checked };
+            item.classList.toggle('disabled', !e.target.checked);
+            debouncedSave();
+        });
+
+        item.querySelector('.whitelist-remove').addEventListener('click', () => {
+            settings.schedules = settings.schedules.filter((_, i) => i !== index);
+            renderSchedules();
+            saveSettings();
+        });
+    });
+}
+
+// The scope only matters once a limit is set
+function updateTabCapScopeVisibility() {
+    if (!maxLoadedTabsScopeRow) return;
+    maxLoadedTabsScopeRow.style.display = maxLoadedTabsSelect?.value !== '0' ? 'flex' : 'none';
+}
+
+// Show the hybrid delay only when some rule uses hybrid suspension
+function updateHybridDelayVisibility() {
+    if (!hybridDelayRow) return;
+    const usesHybrid = suspensionMethodSelect?.value === 'hybrid' ||
+        (settings.siteSuspensionMethods || []).some(entry => entry.method === 'hybrid');
+    hybridDelayRow.style.display = usesHybrid ? 'flex' : 'none';
+}
+
+// Per-site suspension method overrides
+const siteMethodList = createPatternListEditor({
+    key: 'siteSuspensionMethods',
+    input: newMethodPattern,
+    container: siteMethodItems,
+    itemClass: 'site-method',
+    duplicateMessage: 'A rule for this pattern already exists',
+    createEntry: pattern => ({ pattern, method: newMethodValue.value }),
+    renderControls: entry => `
+            <select class="setting-select">
+                ${Object.entries(SUSPENSION_METHOD_LABELS).map(([value, label]) =>
+                    `<option value="${value}" ${entry.method === value ? 'selected' : ''}>${label}</option>`
+                ).join('')}
+            </select>`,
+    bindControls: (item, entry) => {
+        item.querySelector('.setting-select').addEventListener('change', (e) => {
+            entry.method = e.target.value;
+            updateHybridDelayVisibility();
+            debouncedSave();
+        });
+    },
+    onChange: updateHybridDelayVisibility
+});
+
+// Sites where dirty tabs are never suspended, even with drafts on
+const draftExclusionList = createPatternListEditor({
+    key: 'draftExcludedDomains',
+    input: newDraftExclude,
+    container: draftExcludeItems,
+    itemClass: 'draft-exclude',
+    duplicateMessage: 'Pattern already excluded'
+});
+
+// Sites to warn about before their tabs are auto-suspended
+const warnDomainList = createPatternListEditor({
+    key: 'warnDomains',
+    input: newWarnDomain,
+    container: warnDomainItems,
+    itemClass: 'warn-domain',
+    duplicateMessage: 'Pattern already on the warning list'
+});
+
+// Sites where the in-page countdown is never shown
+const overlayExclusionList = createPatternListEditor({
+    key: 'overlayExcludedDomains',
+    input: newOverlayExclude,
+    container: overlayExcludeItems,
+    itemClass: 'overlay-exclude',
+    duplicateMessage: 'Pattern already excluded from the countdown'
+});
+
+// Count tabs suspended by The Great Suspender and its forks
+async function scanForeignTabs() {
+    if (!foreignTabsLabel) return;
+
+    try {
+        const { count = 0 } = await chrome.runtime.sendMessage({ type: 'SCAN_FOREIGN_SUSPENDED' });
+        foreignTabsLabel.textContent = count > 0
+            ? `${count} tab${count === 1 ? '' : 's'} suspended by another extension`
+            : 'No tabs from other suspenders found';
+        convertForeignTabsBtn.disabled = count === 0;
+    } catch (error) {
+        console.error('Failed to scan for foreign suspended tabs:', error);
+        foreignTabsLabel.textContent = 'Could not scan tabs';
+    }
+}
+
+// Convert them into our suspended pages in place
+async function convertForeignTabs() {
+    convertForeignTabsBtn.disabled = true;
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'IMPORT_FOREIGN_SUSPENDED' });
+        if (response?.failed > 0) {
+            showToast(`Converted ${response.converted} tab(s), ${response.failed} failed`, 'error');
+        } else {
+            showToast(`Converted ${response?.converted || 0} tab(s)`, 'success');
+        }
+    } catch (error) {
+        console.error('Failed to convert tabs:', error);
+        showToast('Failed to convert tabs', 'error');
+    }
+    await scanForeignTabs();
+}
+
+// Merge a whitelist exported from another suspender
+async function importForeignWhitelist(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+        const text = await file.text();
+        const response = await chrome.runtime.sendMessage({ type: 'IMPORT_FOREIGN_WHITELIST', text });
+        if (!response?.success) {
+            showToast(response?.error || 'Failed to import whitelist', 'error');
+        } else if (response.added === 0) {
+            showToast('No new whitelist entries found', 'error');
+        } else {
+            await loadSettings();
+            updateUI();
+            showToast(`Added ${response.added} whitelist entr${response.added === 1 ? 'y' : 'ies'}`, 'success');
+        }
+    } catch (error) {
+        console.error('Failed to import whitelist:', error);
+        showToast('Failed to import whitelist', 'error');
+    }
+
+    importWhitelistFile.value = '';
+}
+
+// Load open web tabs for pattern match previews
+async function loadOpenTabs() {
+    try {
+        const tabs = await chrome.tabs.query({});
+        openTabs = tabs.filter(tab => tab.url && /^https?:/.test(tab.url));
+    } catch (error) {
+        console.error('Failed to load open tabs:', error);
+        openTabs = [];
+    }
+}
+
+// Get open tabs matched by a whitelist pattern
+function getMatchingTabs(pattern) {
+    return openTabs.filter(tab => UrlPatterns.matchesPattern(tab.url, pattern));
+}
+
+// Preview which open tabs the pattern being typed would protect
+function renderPatternPreview() {
+    if (!patternPreview) return;
+
+    const pattern = UrlPatterns.normalizePattern(newDomainInput.value);
+    if (!pattern) {
+        patternPreview.hidden = true;
+        return;
+    }
+
+    patternPreview.hidden = false;
+
+    const { valid, error } = UrlPatterns.validatePattern(pattern);
+    if (!valid) {
+        patternPreview.classList.add('error');
+        patternPreview.textContent = error;
+        return;
+    }
+
+    patternPreview.classList.remove('error');
+    const matches = getMatchingTabs(pattern);
+    if (matches.length === 0) {
+        patternPreview.innerHTML = '<div class="pattern-preview-title">No open tabs match</div>';
+        return;
+    }
+
+    const maxShown = 5;
+    const rows = matches.slice(0, maxShown).map(tab => `
+        <div class="pattern-preview-tab" title="${escapeHtml(tab.url)}">${escapeHtml(tab.title || tab.url)}</div>
+    `).join('');
+    const more = matches.length > maxShown
+        ? `<div class="pattern-preview-title">+${matches.length - maxShown} more</div>`
+        : '';
+
+    patternPreview.innerHTML = `
+        <div class="pattern-preview-title">Matches ${matches.length} open tab${matches.length === 1 ? '' : 's'}:</div>
+        ${rows}${more}
+    `;
+}
+
 // Update whitelist header with counter - Community Edition (unlimited)
 function updateWhitelistHeader(count) {
     const section = document.querySelector('.section:has(#whitelistItems)');
@@ -385,7 +1142,7 @@ function debouncedSave() {
     saveTimeout = setTimeout(saveSettings, 500);
 }
 
-// Save settings
+// Save settings - resolves false if the background refused them (e.g. over the sync quota)
 async function saveSettings() {
     try {
         const newSettings = {
@@ -393,17 +1150,56 @@ async function saveSettings() {
             autoUnsuspendOnFocus: autoRestore?.checked ?? true,
             neverSuspendAudio: neverAudio?.checked ?? true,
             neverSuspendUnsavedForms: neverForms?.checked ?? true,
+            neverSuspendUnsavedWork: neverUnsavedWork?.checked ?? false,
             suspendPinnedTabs: !(neverPinned?.checked ?? true),
             neverSuspendActiveTab: neverActive?.checked ?? true,
-            whitelistedDomains: settings.whitelistedDomains || []
+            neverSuspendCalls: neverCalls?.checked ?? true,
+            neverSuspendFullscreen: neverFullscreen?.checked ?? true,
+            neverSuspendPlayingMedia: neverMedia?.checked ?? false,
+            neverSuspendBusyTabs: neverBusy?.checked ?? true,
+            whitelistedDomains: settings.whitelistedDomains || [],
+            siteTimeouts: settings.siteTimeouts || [],
+            memoryThreshold: parseInt(memoryThresholdSelect?.value ?? 80, 10) || 0,
+            maxLoadedTabs: parseInt(maxLoadedTabsSelect?.value, 10) || 0,
+            maxLoadedTabsScope: maxLoadedTabsScopeSelect?.value === 'window' ? 'window' : 'global',
+            restoreConcurrency: parseInt(restoreConcurrencySelect?.value, 10) || 3,
+            suspensionMethod: suspensionMethodSelect?.value || 'page',
+            hybridPageDelay: parseInt(hybridPageDelaySelect?.value, 10) || 60,
+            siteSuspensionMethods: settings.siteSuspensionMethods || [],
+            preserveFormDrafts: preserveDraftsToggle?.checked ?? false,
+            draftExcludedDomains: settings.draftExcludedDomains || [],
+            draftExpiryHours: parseInt(draftExpirySelect?.value, 10) || 24,
+            suspendWarnings: suspendWarningsToggle?.checked ?? false,
+            warnOnUnsavedForms: warnOnUnsavedFormsToggle?.checked ?? true,
+            warnDomains: settings.warnDomains || [],
+            warningLeadMinutes: parseInt(warningLeadMinutesSelect?.value, 10) || 2,
+            maxWarningsPerHour: parseInt(maxWarningsPerHourSelect?.value, 10) || 6,
+            countdownOverlay: countdownOverlayToggle?.checked ?? false,
+            countdownOverlaySeconds: parseInt(countdownOverlaySecondsSelect?.value, 10) || 30,
+            overlayExcludedDomains: settings.overlayExcludedDomains || [],
+            schedules: settings.schedules || [],
+            freezeTimersWhenIdle: freezeTimersWhenIdleToggle?.checked ?? false,
+            suspendOnLock: suspendOnLockToggle?.checked ?? false,
+            // "Right away" is 0, so no || fallback here
+            lockSuspendDelayMinutes: parseInt(lockSuspendDelaySelect?.value ?? '5', 10),
+            suspendCollapsedGroups: suspendCollapsedGroupsToggle?.checked ?? false,
+            adaptiveTimeouts: adaptiveTimeoutsToggle?.checked ?? false,
+            adaptiveMinMinutes: parseInt(adaptiveMinMinutesSelect?.value, 10) || 10,
+            adaptiveMaxMinutes: parseInt(adaptiveMaxMinutesSelect?.value, 10) || 240
         };
 
-        await chrome.runtime.sendMessage({ type: 'SAVE_SETTINGS', settings: newSettings });
+        const response = await chrome.runtime.sendMessage({ type: 'SAVE_SETTINGS', settings: newSettings });
+        if (!response?.success) {
+            showToast(response?.error || 'Failed to save settings', 'error');
+            return false;
+        }
         settings = { ...settings, ...newSettings };
         showToast('Settings saved', 'success');
+        return true;
     } catch (error) {
         console.error('Failed to save settings:', error);
         showToast('Failed to save settings', 'error');
+        return false;
     }
 }
 
@@ -442,10 +1238,14 @@ async function importSettings(e) {
             return;
         }
 
-        await chrome.runtime.sendMessage({ type: 'SAVE_SETTINGS', settings: validSettings });
-        settings = { ...settings, ...validSettings };
-        updateUI();
-        showToast('Settings imported', 'success');
+        const response = await chrome.runtime.sendMessage({ type: 'SAVE_SETTINGS', settings: validSettings });
+        if (response?.success) {
+            settings = { ...settings, ...validSettings };
+            updateUI();
+            showToast('Settings imported', 'success');
+        } else {
+            showToast(response?.error || 'Failed to import settings', 'error');
+        }
     } catch (error) {
         console.error('Failed to import settings:', error);
         showToast('Failed to import settings', 'error');
@@ -462,27 +1262,135 @@ function validateImportedSettings(imported) {
         valid.suspensionTimeout = imported.suspensionTimeout;
     }
 
-    const booleanKeys = ['autoUnsuspendOnFocus', 'neverSuspendAudio', 'neverSuspendUnsavedForms', 'suspendPinnedTabs', 'neverSuspendActiveTab'];
+    const booleanKeys = ['autoUnsuspendOnFocus', 'neverSuspendAudio', 'neverSuspendUnsavedForms', 'neverSuspendUnsavedWork', 'suspendPinnedTabs', 'neverSuspendActiveTab', 'neverSuspendCalls', 'neverSuspendFullscreen', 'neverSuspendPlayingMedia', 'neverSuspendBusyTabs', 'preserveFormDrafts', 'suspendCollapsedGroups', 'suspendWarnings', 'warnOnUnsavedForms', 'countdownOverlay', 'freezeTimersWhenIdle', 'suspendOnLock', 'adaptiveTimeouts'];
     booleanKeys.forEach(key => {
         if (typeof imported[key] === 'boolean') {
             valid[key] = imported[key];
         }
     });
 
+    if (typeof imported.memoryThreshold === 'number' && imported.memoryThreshold >= 0 && imported.memoryThreshold < 100) {
+        valid.memoryThreshold = imported.memoryThreshold;
+    }
+
+    if (MAX_LOADED_TABS_OPTIONS.includes(imported.maxLoadedTabs)) {
+        valid.maxLoadedTabs = imported.maxLoadedTabs;
+    }
+
+    if (['global', 'window'].includes(imported.maxLoadedTabsScope)) {
+        valid.maxLoadedTabsScope = imported.maxLoadedTabsScope;
+    }
+
+    if (RESTORE_CONCURRENCY_OPTIONS.includes(imported.restoreConcurrency)) {
+        valid.restoreConcurrency = imported.restoreConcurrency;
+    }
+
+    if (LOCK_SUSPEND_DELAYS.includes(imported.lockSuspendDelayMinutes)) {
+        valid.lockSuspendDelayMinutes = imported.lockSuspendDelayMinutes;
+    }
+
+    if (ADAPTIVE_MIN_MINUTES.includes(imported.adaptiveMinMinutes)) {
+        valid.adaptiveMinMinutes = imported.adaptiveMinMinutes;
+    }
+
+    if (ADAPTIVE_MAX_MINUTES.includes(imported.adaptiveMaxMinutes)) {
+        valid.adaptiveMaxMinutes = imported.adaptiveMaxMinutes;
+    }
+
+    if (SUSPENSION_METHOD_LABELS[imported.suspensionMethod]) {
+        valid.suspensionMethod = imported.suspensionMethod;
+    }
+
+    if (Number.isInteger(imported.hybridPageDelay) && imported.hybridPageDelay >= 1 && imported.hybridPageDelay <= 1440) {
+        valid.hybridPageDelay = imported.hybridPageDelay;
+    }
+
+    if (Array.isArray(imported.siteSuspensionMethods)) {
+        valid.siteSuspensionMethods = validPatternList(imported.siteSuspensionMethods, (pattern, entry) =>
+            SUSPENSION_METHOD_LABELS[entry.method] ? { pattern, method: entry.method } : null);
+    }
+
     if (Array.isArray(imported.whitelistedDomains)) {
-        valid.whitelistedDomains = imported.whitelistedDomains
-            .filter(d => typeof d === 'string' && d.trim().length > 0)
-            .map(d => d.trim().toLowerCase());
+        valid.whitelistedDomains = validPatternList(imported.whitelistedDomains);
+    }
+
+    if (DRAFT_EXPIRY_HOURS.includes(imported.draftExpiryHours)) {
+        valid.draftExpiryHours = imported.draftExpiryHours;
+    }
+
+    if (Array.isArray(imported.draftExcludedDomains)) {
+        valid.draftExcludedDomains = validPatternList(imported.draftExcludedDomains);
+    }
+
+    if (WARNING_LEAD_MINUTES.includes(imported.warningLeadMinutes)) {
+        valid.warningLeadMinutes = imported.warningLeadMinutes;
+    }
+
+    if (MAX_WARNINGS_PER_HOUR.includes(imported.maxWarningsPerHour)) {
+        valid.maxWarningsPerHour = imported.maxWarningsPerHour;
+    }
+
+    if (Array.isArray(imported.warnDomains)) {
+        valid.warnDomains = validPatternList(imported.warnDomains);
+    }
+
+    if (COUNTDOWN_OVERLAY_SECONDS.includes(imported.countdownOverlaySeconds)) {
+        valid.countdownOverlaySeconds = imported.countdownOverlaySeconds;
+    }
+
+    if (Array.isArray(imported.overlayExcludedDomains)) {
+        valid.overlayExcludedDomains = validPatternList(imported.overlayExcludedDomains);
+    }
+
+    if (Array.isArray(imported.siteTimeouts)) {
+        valid.siteTimeouts = validPatternList(imported.siteTimeouts, (pattern, entry) =>
+            Number.isInteger(entry.minutes) && entry.minutes >= 1 && entry.minutes <= 1440
+                ? { pattern, minutes: entry.minutes }
+                : null);
+    }
+
+    if (Array.isArray(imported.schedules)) {
+        valid.schedules = imported.schedules.filter(isValidImportedSchedule);
     }
 
     return valid;
 }
 
+// Keep the imported entries whose pattern is valid, normalized. Lists of objects pass
+// toEntry ((pattern, entry) -> kept entry or null); by default entries must be strings.
+function validPatternList(list, toEntry = (pattern, entry) => typeof entry === 'string' ? pattern : null) {
+    return list.flatMap(entry => {
+        const raw = typeof entry === 'string' ? entry : entry?.pattern;
+        if (typeof raw !== 'string') return [];
+
+        const pattern = UrlPatterns.normalizePattern(raw);
+        if (!UrlPatterns.validatePattern(pattern).valid) return [];
+
+        const kept = toEntry(pattern, entry);
+        return kept ? [kept] : [];
+    });
+}
+
+// Same rules as isValidSchedule() in background.js
+function isValidImportedSchedule(schedule) {
+    const isTime = value => typeof value === 'string' && /^([01]?\d|2[0-3]):[0-5]\d$/.test(value);
+
+    if (!schedule || typeof schedule.id !== 'string' || !SCHEDULE_ACTION_LABELS[schedule.action]) return false;
+    if (!Array.isArray(schedule.days) || schedule.days.length === 0 ||
+        !schedule.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) return false;
+    if (!isTime(schedule.start)) return false;
+    if (schedule.action === 'suspendAll') return true;
+    if (!isTime(schedule.end) || schedule.end === schedule.start) return false;
+    return schedule.action !== 'timeout' ||
+        (Number.isInteger(schedule.minutes) && schedule.minutes >= 1 && schedule.minutes <= 1440);
+}
+
 // Helper functions
+// Quotes too - patterns (regexes included) and tab URLs go into title and data-* attributes
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 function formatBytes(bytes) {
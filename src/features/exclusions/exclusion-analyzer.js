@@ -8,6 +8,9 @@
  */
 
 import { FEATURES } from '../../utils/feature-flags.js';
+// Classic scripts: register globalThis.UrlPatterns and globalThis.SuspendedPage
+import '../../utils/url-patterns.js';
+import '../../utils/suspended-page.js';
 
 /**
  * Exclusion reasons with labels and icons
@@ -16,10 +19,15 @@ export const EXCLUSION_REASONS = {
   whitelist: { label: 'Whitelisted', icon: '✓', priority: 1 },
   pinned: { label: 'Pinned', icon: '📌', priority: 2 },
   audio: { label: 'Playing audio', icon: '🔊', priority: 3 },
-  forms: { label: 'Unsaved forms', icon: '📝', priority: 4 },
-  active: { label: 'Active tab', icon: '👁', priority: 5 },
-  alreadySuspended: { label: 'Already suspended', icon: '💤', priority: 6 },
-  systemPages: { label: 'System pages', icon: '⚙️', priority: 7 }
+  calls: { label: 'Call or screen share', icon: '📹', priority: 4 },
+  fullscreen: { label: 'Fullscreen', icon: '🖥️', priority: 5 },
+  media: { label: 'Playing media', icon: '🎬', priority: 6 },
+  uploads: { label: 'Uploading', icon: '⏫', priority: 7 },
+  forms: { label: 'Unsaved forms', icon: '📝', priority: 8 },
+  unsavedWork: { label: 'Unsaved work', icon: '✏️', priority: 9 },
+  active: { label: 'Active tab', icon: '👁', priority: 10 },
+  alreadySuspended: { label: 'Already suspended', icon: '💤', priority: 11 },
+  systemPages: { label: 'System pages', icon: '⚙️', priority: 12 }
 };
 
 /**
@@ -58,14 +66,13 @@ function isSystemPage(url) {
  * @returns {boolean}
  */
 function isSuspendedPage(url) {
-  if (!url) return false;
-  return url.includes('suspended.html');
+  return globalThis.SuspendedPage.isSuspendedUrl(url);
 }
 
 /**
  * Check if a URL is whitelisted
  * @param {string} url - The URL to check
- * @param {string[]} whitelistedDomains - List of whitelisted domains
+ * @param {string[]} whitelistedDomains - List of whitelist patterns
  * @returns {boolean}
  */
 function isWhitelisted(url, whitelistedDomains) {
@@ -73,17 +80,44 @@ function isWhitelisted(url, whitelistedDomains) {
     return false;
   }
 
-  try {
-    const urlObj = new URL(url);
-    const hostname = urlObj.hostname.toLowerCase();
+  return globalThis.UrlPatterns.isUrlMatched(url, whitelistedDomains);
+}
 
-    return whitelistedDomains.some(domain => {
-      const d = domain.toLowerCase();
-      return hostname === d || hostname.endsWith('.' + d);
-    });
-  } catch {
-    return false;
-  }
+/**
+ * Check if a tab with unsaved forms may be suspended with its draft held
+ * @param {string} url - The URL to check
+ * @param {Object} settings - Current settings
+ * @returns {boolean}
+ */
+function canPreserveDraft(url, settings) {
+  if (!settings.preserveFormDrafts) return false;
+  return !globalThis.UrlPatterns.isUrlMatched(url, settings.draftExcludedDomains || []);
+}
+
+/**
+ * Get the media protection that keeps a tab loaded (mirrors background.js getMediaProtection)
+ * @param {Object|undefined} media - The tab's tabMediaStatus entry
+ * @param {Object} settings - Current settings
+ * @returns {string|null} - 'calls', 'fullscreen', 'media' or null
+ */
+function getMediaReason(media, settings) {
+  if (!media) return null;
+  if (settings.neverSuspendCalls !== false && (media.capturing || media.inCall)) return 'calls';
+  if (settings.neverSuspendFullscreen !== false && media.fullscreen) return 'fullscreen';
+  if (settings.neverSuspendPlayingMedia === true && media.playing) return 'media';
+  return null;
+}
+
+/**
+ * Get the busy state that keeps a tab loaded (mirrors background.js getBusyProtection)
+ * @param {Object|undefined} busy - The tab's tabBusyStatus entry
+ * @param {Object} settings - Current settings
+ * @returns {string|null} - 'uploads' or null
+ */
+function getBusyReason(busy, settings) {
+  if (!busy || settings.neverSuspendBusyTabs === false) return null;
+  if (busy.uploads > 0) return 'uploads';
+  return null;
 }
 
 /**
@@ -93,15 +127,18 @@ function isWhitelisted(url, whitelistedDomains) {
  * @param {Object} settings - Current settings
  * @param {Object} options - Additional options
  * @param {Object} options.formStatus - Map of tabId -> hasUnsavedForms
+ * @param {Object} options.unloadPrompts - Map of tabId -> true while the page would ask before leaving
+ * @param {Object} options.mediaStatus - Map of tabId -> { capturing, inCall, fullscreen, playing }
+ * @param {Object} options.busyStatus - Map of tabId -> { uploads }
  * @returns {string|null} - Exclusion reason key or null if can be suspended
  */
 export function getExclusionReason(tab, settings, options = {}) {
-  const { formStatus = {} } = options;
+  const { formStatus = {}, unloadPrompts = {}, mediaStatus = {}, busyStatus = {} } = options;
 
   // Check in priority order (most specific first)
 
-  // Already suspended - highest priority
-  if (isSuspendedPage(tab.url)) {
+  // Already suspended (suspended page or discarded) - highest priority
+  if (isSuspendedPage(tab.url) || tab.discarded) {
     return 'alreadySuspended';
   }
 
@@ -125,13 +162,30 @@ export function getExclusionReason(tab, settings, options = {}) {
     return 'audio';
   }
 
+  // Calls, screen sharing, fullscreen or playing media (if settings enabled)
+  const mediaReason = getMediaReason(mediaStatus[tab.id], settings);
+  if (mediaReason) {
+    return mediaReason;
+  }
+
   // Whitelisted domain
   if (isWhitelisted(tab.url, settings.whitelistedDomains)) {
     return 'whitelist';
   }
 
-  // Unsaved forms
-  if (formStatus[tab.id] === true) {
+  // Uploads in flight (if setting enabled)
+  const busyReason = getBusyReason(busyStatus[tab.id], settings);
+  if (busyReason) {
+    return busyReason;
+  }
+
+  // Unsaved work in editors the form check can't see (if setting enabled)
+  if (unloadPrompts[tab.id] === true && settings.neverSuspendUnsavedWork === true) {
+    return 'unsavedWork';
+  }
+
+  // Unsaved forms (suspendable when drafts are preserved for this site)
+  if (formStatus[tab.id] === true && !canPreserveDraft(tab.url, settings)) {
     return 'forms';
   }
 
@@ -149,7 +203,12 @@ export function getExclusionReason(tab, settings, options = {}) {
  * @property {Object} byReason.whitelist - Whitelisted tabs
  * @property {Object} byReason.pinned - Pinned tabs
  * @property {Object} byReason.audio - Tabs playing audio
+ * @property {Object} byReason.calls - Tabs in a call or sharing the screen
+ * @property {Object} byReason.fullscreen - Fullscreen tabs
+ * @property {Object} byReason.media - Tabs playing media (even muted)
+ * @property {Object} byReason.uploads - Tabs with uploads in flight
  * @property {Object} byReason.forms - Tabs with unsaved forms
+ * @property {Object} byReason.unsavedWork - Tabs whose page would ask before leaving
  * @property {Object} byReason.active - Active tabs
  * @property {Object} byReason.alreadySuspended - Already suspended tabs
  * @property {Object} byReason.systemPages - System/internal pages
@@ -183,15 +242,24 @@ export async function analyzeExclusions(options = {}) {
       neverSuspendActiveTab: true
     };
 
-    // Get form status from storage
+    // Get form, unload prompt, media and busy status from storage
     let formStatus = {};
+    let unloadPrompts = {};
+    let mediaStatus = {};
+    let busyStatus = {};
     try {
-      const formResult = await chrome.storage.session.get('tabFormStatus');
-      formStatus = formResult.tabFormStatus || {};
+      const statusResult = await chrome.storage.session.get(['tabFormStatus', 'tabUnloadPrompts', 'tabMediaStatus', 'tabBusyStatus']);
+      formStatus = statusResult.tabFormStatus || {};
+      unloadPrompts = statusResult.tabUnloadPrompts || {};
+      mediaStatus = statusResult.tabMediaStatus || {};
+      busyStatus = statusResult.tabBusyStatus || {};
     } catch {
       // Fallback to local storage
-      const formResult = await chrome.storage.local.get('tabFormStatus');
-      formStatus = formResult.tabFormStatus || {};
+      const statusResult = await chrome.storage.local.get(['tabFormStatus', 'tabUnloadPrompts', 'tabMediaStatus', 'tabBusyStatus']);
+      formStatus = statusResult.tabFormStatus || {};
+      unloadPrompts = statusResult.tabUnloadPrompts || {};
+      mediaStatus = statusResult.tabMediaStatus || {};
+      busyStatus = statusResult.tabBusyStatus || {};
     }
 
     // Query tabs
@@ -210,7 +278,7 @@ export async function analyzeExclusions(options = {}) {
 
     // Analyze each tab
     for (const tab of tabs) {
-      const reason = getExclusionReason(tab, settings, { formStatus });
+      const reason = getExclusionReason(tab, settings, { formStatus, unloadPrompts, mediaStatus, busyStatus });
 
       if (reason) {
         // Tab is excluded
@@ -256,7 +324,12 @@ function createEmptyReport() {
       whitelist: { count: 0, tabs: [] },
       pinned: { count: 0, tabs: [] },
       audio: { count: 0, tabs: [] },
+      calls: { count: 0, tabs: [] },
+      fullscreen: { count: 0, tabs: [] },
+      media: { count: 0, tabs: [] },
+      uploads: { count: 0, tabs: [] },
       forms: { count: 0, tabs: [] },
+      unsavedWork: { count: 0, tabs: [] },
       active: { count: 0, tabs: [] },
       alreadySuspended: { count: 0, tabs: [] },
       systemPages: { count: 0, tabs: [] }
@@ -328,7 +401,12 @@ export async function storeLastSuspendAction(report, actualSuspended) {
         whitelist: report.byReason.whitelist.count,
         pinned: report.byReason.pinned.count,
         audio: report.byReason.audio.count,
+        calls: report.byReason.calls.count,
+        fullscreen: report.byReason.fullscreen.count,
+        media: report.byReason.media.count,
+        uploads: report.byReason.uploads.count,
         forms: report.byReason.forms.count,
+        unsavedWork: report.byReason.unsavedWork.count,
         active: report.byReason.active.count,
         alreadySuspended: report.byReason.alreadySuspended.count,
         systemPages: report.byReason.systemPages.count
@@ -330,7 +330,7 @@ export function isToastVisible() {
 }
 
 /**
- * Utility: Escape HTML to prevent XSS
+ * Utility: Escape HTML to prevent XSS, in text and in quoted attributes
  * @param {string} text
  * @returns {string}
  */
@@ -338,7 +338,7 @@ function escapeHtml(text) {
   if (!text) return '';
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 /**
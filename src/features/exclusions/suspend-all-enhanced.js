@@ -13,6 +13,8 @@ import {
   storeLastSuspendAction
 } from './exclusion-analyzer.js';
 import { showToast, initToast } from './feedback-toast.js';
+// Classic script: registers globalThis.SuspendedPage
+import '../../utils/suspended-page.js';
 
 /**
  * Check if a URL is an internal/system page
@@ -54,15 +56,12 @@ async function suspendTabDirect(tabId, url, title, favicon) {
       return false;
     }
 
-    const params = new URLSearchParams({
-      url: url,
-      title: title || 'Suspended Tab',
-      favicon: encodeURIComponent(favicon || ''),
-      time: Date.now().toString()
-    });
+    const { SuspendedPage } = globalThis;
+    const token = SuspendedPage.createToken();
+    const meta = { url, title, favicon, suspendedAt: Date.now() };
+    await SuspendedPage.saveMeta(token, meta);
 
-    const suspendedUrl = chrome.runtime.getURL(`suspended.html?${params.toString()}`);
-    await chrome.tabs.update(tabId, { url: suspendedUrl });
+    await chrome.tabs.update(tabId, { url: SuspendedPage.buildUrl(token, meta) });
 
     return true;
   } catch (error) {
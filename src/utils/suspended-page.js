@@ -0,0 +1,205 @@
+/**
+ * Suspended Page URLs for Tab Suspender Pro
+ *
+ * Builds and parses suspended.html URLs. The full tab metadata (original URL,
+ * title, favicon, time) lives in chrome.storage.local under a short suspension
+ * token; the URL only carries the token plus a readable, possibly truncated,
+ * fallback so a tab can still be recovered if storage is lost.
+ *
+ * Classic script (not an ES module), loaded the same way as url-patterns.js:
+ *
+ * - background.js (service worker): importScripts('src/utils/suspended-page.js')
+ * - popup.html / suspended.html:    <script src="src/utils/suspended-page.js">
+ * - ES modules under src/:          import '../../utils/suspended-page.js'
+ *
+ * All of them read the API from `globalThis.SuspendedPage`.
+ *
+ * URL formats understood by parseUrl()/resolve():
+ *
+ *   suspended.html?sid=lx2k9f3a8b1c&url=...&title=...&time=...   Current (token + fallback)
+ *   suspended.html?url=...&title=...&favicon=...&time=...        Legacy, before tokens
+ *
+ * @example
+ * const token = SuspendedPage.createToken();
+ * await SuspendedPage.saveMeta(token, { url, title, favicon, suspendedAt: Date.now() });
+ * chrome.tabs.update(tabId, { url: SuspendedPage.buildUrl(token, meta) });
+ *
+ * const info = await SuspendedPage.resolve(tab.url);
+ * // => { token, url, title, favicon, suspendedAt, truncated: false, source: 'storage' }
+ */
+
+(function (root) {
+  'use strict';
+
+  /**
+   * chrome.storage.local key holding { [token]: SuspendedTabMeta }
+   */
+  const META_KEY = 'suspendedTabMeta';
+
+  const PAGE_PATH = 'suspended.html';
+  const MAX_FALLBACK_URL_LENGTH = 2000;
+  const MAX_TITLE_LENGTH = 200;
+  // Long favicons are usually data: URIs - they stay in storage only
+  const MAX_FALLBACK_FAVICON_LENGTH = 500;
+
+  /**
+   * Create a short, unique suspension token
+   * @returns {string}
+   */
+  function createToken() {
+    return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * Check whether a URL points at an extension's suspended page
+   * Web pages that happen to be called suspended.html don't count.
+   * @param {string} url
+   * @returns {boolean}
+   */
+  function isSuspendedUrl(url) {
+    if (typeof url !== 'string' || !url.startsWith('chrome-extension://')) return false;
+    try {
+      return new URL(url).pathname === `/${PAGE_PATH}`;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Build the suspended.html URL for a token
+   *
+   * @param {string} token - Suspension token (see createToken)
+   * @param {{url: string, title?: string, favicon?: string, suspendedAt?: number}} meta
+   * @returns {string} Full chrome-extension:// URL
+   */
+  function buildUrl(token, meta) {
+    const url = meta.url || '';
+    const truncated = url.length > MAX_FALLBACK_URL_LENGTH;
+
+    const params = new URLSearchParams({
+      sid: token,
+      url: truncated ? url.substring(0, MAX_FALLBACK_URL_LENGTH) : url,
+      title: (meta.title || 'Suspended Tab').substring(0, MAX_TITLE_LENGTH),
+      time: String(meta.suspendedAt || Date.now())
+    });
+    if (meta.favicon && meta.favicon.length <= MAX_FALLBACK_FAVICON_LENGTH) {
+      params.set('favicon', meta.favicon);
+    }
+    if (truncated) {
+      // Tells the page the fallback URL alone would not restore the tab correctly
+      params.set('trunc', '1');
+    }
+
+    return chrome.runtime.getURL(`${PAGE_PATH}?${params.toString()}`);
+  }
+
+  /**
+   * Read what the suspended page URL itself carries (no storage access)
+   *
+   * @param {string} url - A suspended.html URL
+   * @returns {{token: string|null, url: string|null, title: string, favicon: string,
+   *     suspendedAt: number|null, truncated: boolean}|null} Null if not a suspended page URL
+   */
+  function parseUrl(url) {
+    if (!isSuspendedUrl(url)) return null;
+
+    let params;
+    try {
+      params = new URL(url).searchParams;
+    } catch {
+      return null;
+    }
+
+    return {
+      token: params.get('sid'),
+      url: params.get('url'),
+      title: params.get('title') || 'Suspended Tab',
+      favicon: params.get('favicon') || '',
+      suspendedAt: parseInt(params.get('time'), 10) || null,
+      truncated: params.get('trunc') === '1'
+    };
+  }
+
+  /**
+   * Read all stored metadata
+   * @returns {Promise<Object<string, object>>}
+   */
+  async function getAllMeta() {
+    try {
+      const result = await chrome.storage.local.get(META_KEY);
+      return result[META_KEY] || {};
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Store metadata for a token
+   * @param {string} token
+   * @param {{url: string, title?: string, favicon?: string, suspendedAt?: number}} meta
+   * @returns {Promise<boolean>} False if storage rejected the write
+   */
+  async function saveMeta(token, meta) {
+    return saveAllMeta({ [token]: meta });
+  }
+
+  /**
+   * Store metadata for several tokens in a single write (bulk suspension)
+   * @param {Object<string, {url: string, title?: string, favicon?: string, suspendedAt?: number}>} entries - token -> meta
+   * @returns {Promise<boolean>} False if storage rejected the write
+   */
+  async function saveAllMeta(entries) {
+    try {
+      const all = await getAllMeta();
+      for (const [token, meta] of Object.entries(entries)) {
+        all[token] = {
+          url: meta.url,
+          title: meta.title || 'Suspended Tab',
+          favicon: meta.favicon || '',
+          suspendedAt: meta.suspendedAt || Date.now()
+        };
+      }
+      await chrome.storage.local.set({ [META_KEY]: all });
+      return true;
+    } catch (error) {
+      console.warn('[SuspendedPage] Failed to save metadata:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Resolve a suspended page URL to its full metadata
+   *
+   * Stored metadata wins; the URL fallback is used for legacy tabs and when
+   * the token is unknown (e.g. storage was cleared).
+   *
+   * @param {string} url - A suspended.html URL
+   * @returns {Promise<{token: string|null, url: string|null, title: string, favicon: string,
+   *     suspendedAt: number|null, truncated: boolean, source: 'storage'|'url'}|null>}
+   */
+  async function resolve(url) {
+    const parsed = parseUrl(url);
+    if (!parsed) return null;
+
+    if (parsed.token) {
+      const stored = (await getAllMeta())[parsed.token];
+      if (stored?.url) {
+        return { ...parsed, ...stored, truncated: false, source: 'storage' };
+      }
+    }
+
+    return { ...parsed, source: 'url' };
+  }
+
+  root.SuspendedPage = {
+    META_KEY,
+    createToken,
+    isSuspendedUrl,
+    buildUrl,
+    parseUrl,
+    getAllMeta,
+    saveMeta,
+    saveAllMeta,
+    resolve
+  };
+})(typeof globalThis !== 'undefined' ? globalThis : self);
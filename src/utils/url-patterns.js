@@ -0,0 +1,387 @@
+/**
+ * URL Pattern Matching for Tab Suspender Pro
+ *
+ * Shared whitelist pattern engine. This file is a classic script (not an ES
+ * module) so that every context can load the same matcher:
+ *
+ * - background.js (service worker): importScripts('src/utils/url-patterns.js')
+ * - popup.html / settings.html:     <script src="src/utils/url-patterns.js">
+ * - ES modules under src/:          import '../../utils/url-patterns.js'
+ *
+ * All of them read the API from `globalThis.UrlPatterns`.
+ *
+ * Supported pattern forms:
+ *
+ *   example.com                 Host and all of its subdomains (www. is ignored)
+ *   *.example.com               Same as above, written as an explicit wildcard
+ *   app-*.example.com           Host glob, `*` matches any run of characters
+ *   *.internal.corp:8080        Host glob restricted to a port (`:*` = any port)
+ *   https://example.com         Restricted to a scheme (`*://` = any scheme)
+ *   github.com/our-org          Path prefix: /our-org and anything below it
+ *   github.com/our-org/*        Path glob, `*` matches any characters incl. `/`
+ *   /jira\.corp\/browse\/.+/i   Regular expression tested against the full URL
+ *
+ * @example
+ * UrlPatterns.isUrlMatched('https://github.com/our-org/repo', ['github.com/our-org/*']);
+ * // => true
+ *
+ * UrlPatterns.validatePattern('*.internal.corp:99999');
+ * // => { valid: false, error: 'Port must be between 1 and 65535', type: 'host' }
+ */
+
+(function (root) {
+  'use strict';
+
+  /**
+   * Default ports used when a URL does not specify one explicitly
+   */
+  const DEFAULT_PORTS = {
+    'http:': '80',
+    'https:': '443',
+    'ws:': '80',
+    'wss:': '443'
+  };
+
+  /**
+   * Compiled patterns keyed by their source string
+   * Whitelists are small, so the cache is simply reset when it grows too large.
+   */
+  const compiledCache = new Map();
+  const MAX_CACHE_SIZE = 500;
+
+  const REGEX_PATTERN = /^\/(.+)\/([a-z]*)$/;
+  const SCHEME_PATTERN = /^([a-z*][a-z0-9+.\-*]*):\/\//i;
+  const HOST_CHARS = /^[a-z0-9*._-]+$/;
+
+  /**
+   * Escape a string for literal use inside a RegExp
+   * @param {string} text
+   * @returns {string}
+   */
+  function escapeRegExp(text) {
+    return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Convert a glob (only `*` is special) into an anchored RegExp source
+   * @param {string} glob
+   * @returns {string}
+   */
+  function globToRegExpSource(glob) {
+    return glob.split('*').map(escapeRegExp).join('.*');
+  }
+
+  /**
+   * Strip a leading "www." from a host name
+   * @param {string} host
+   * @returns {string}
+   */
+  function stripWww(host) {
+    return host.startsWith('www.') ? host.slice(4) : host;
+  }
+
+  /**
+   * Check whether a pattern is written as a /regex/ entry
+   * @param {string} pattern
+   * @returns {boolean}
+   */
+  function isRegexPattern(pattern) {
+    return REGEX_PATTERN.test(pattern);
+  }
+
+  /**
+   * Split a host-style pattern into scheme, host, port and path parts
+   * @param {string} pattern - Trimmed, non-regex pattern
+   * @returns {{scheme: string|null, host: string, port: string|null, path: string|null}}
+   */
+  function splitHostPattern(pattern) {
+    let rest = pattern;
+    let scheme = null;
+
+    const schemeMatch = rest.match(SCHEME_PATTERN);
+    if (schemeMatch) {
+      scheme = schemeMatch[1].toLowerCase();
+      rest = rest.slice(schemeMatch[0].length);
+    }
+
+    let path = null;
+    const slashIndex = rest.indexOf('/');
+    if (slashIndex !== -1) {
+      path = rest.slice(slashIndex);
+      rest = rest.slice(0, slashIndex);
+    }
+
+    let port = null;
+    const colonIndex = rest.lastIndexOf(':');
+    if (colonIndex !== -1) {
+      port = rest.slice(colonIndex + 1);
+      rest = rest.slice(0, colonIndex);
+    }
+
+    return { scheme, host: rest.toLowerCase(), port, path };
+  }
+
+  /**
+   * Normalize a pattern for storage and duplicate detection
+   *
+   * Host-style patterns get a lower-case scheme and host, a stripped "www."
+   * prefix and no bare trailing "/". Regex patterns are returned as-is.
+   *
+   * @param {string} pattern - Raw pattern as typed by the user
+   * @returns {string} Normalized pattern ('' for empty input)
+   */
+  function normalizePattern(pattern) {
+    const trimmed = String(pattern || '').trim();
+    if (!trimmed || isRegexPattern(trimmed)) return trimmed;
+
+    const { scheme, host, port, path } = splitHostPattern(trimmed);
+
+    let normalized = '';
+    if (scheme) normalized += `${scheme}://`;
+    normalized += stripWww(host);
+    if (port !== null) normalized += `:${port}`;
+    if (path && path !== '/') normalized += path;
+
+    return normalized;
+  }
+
+  /**
+   * Compile a pattern into a matcher
+   *
+   * @param {string} pattern - The pattern to compile
+   * @returns {{type: string, error: string|null, test: Function|null}}
+   */
+  function compilePattern(pattern) {
+    const source = String(pattern || '').trim();
+
+    if (compiledCache.has(source)) {
+      return compiledCache.get(source);
+    }
+
+    const compiled = buildMatcher(source);
+
+    if (compiledCache.size >= MAX_CACHE_SIZE) {
+      compiledCache.clear();
+    }
+    compiledCache.set(source, compiled);
+
+    return compiled;
+  }
+
+  /**
+   * Build a matcher for a pattern (uncached)
+   * @param {string} source - Trimmed pattern
+   * @returns {{type: string, error: string|null, test: Function|null}}
+   */
+  function buildMatcher(source) {
+    if (!source) {
+      return { type: 'invalid', error: 'Pattern is empty', test: null };
+    }
+
+    if (/\s/.test(source)) {
+      return { type: 'invalid', error: 'Pattern cannot contain spaces', test: null };
+    }
+
+    // Regular expression: /body/flags
+    const regexMatch = source.match(REGEX_PATTERN);
+    if (regexMatch) {
+      try {
+        // Stateful flags (g, y) would make repeated .test() calls unreliable
+        const flags = regexMatch[2].replace(/[gy]/g, '');
+        const regex = new RegExp(regexMatch[1], flags);
+        return {
+          type: 'regex',
+          error: null,
+          test: (urlObj) => regex.test(urlObj.href)
+        };
+      } catch (error) {
+        return { type: 'regex', error: error.message, test: null };
+      }
+    }
+
+    const { scheme, host, port, path } = splitHostPattern(source);
+
+    if (!host) {
+      return { type: 'host', error: 'Pattern needs a host name', test: null };
+    }
+    if (!HOST_CHARS.test(host)) {
+      return { type: 'host', error: 'Host contains invalid characters', test: null };
+    }
+    if (host.startsWith('.') || host.endsWith('.') || host.includes('..')) {
+      return { type: 'host', error: 'Host name is malformed', test: null };
+    }
+    if (port !== null && port !== '*') {
+      const portNumber = Number(port);
+      if (!/^\d+$/.test(port) || portNumber < 1 || portNumber > 65535) {
+        return { type: 'host', error: 'Port must be between 1 and 65535', test: null };
+      }
+    }
+
+    const hostMatches = buildHostMatcher(host);
+    const pathMatches = buildPathMatcher(path);
+    const schemeRegex = scheme && scheme !== '*'
+      ? new RegExp(`^${globToRegExpSource(scheme)}:$`)
+      : null;
+
+    return {
+      type: path ? 'path' : 'host',
+      error: null,
+      test: (urlObj) => {
+        if (schemeRegex && !schemeRegex.test(urlObj.protocol)) return false;
+        if (port !== null && port !== '*') {
+          const urlPort = urlObj.port || DEFAULT_PORTS[urlObj.protocol] || '';
+          if (urlPort !== port) return false;
+        }
+        if (!hostMatches(urlObj.hostname.toLowerCase())) return false;
+        return pathMatches(urlObj.pathname + urlObj.search);
+      }
+    };
+  }
+
+  /**
+   * Build the host part of a matcher
+   *
+   * Plain hosts keep the legacy whitelist behaviour: the host itself and all
+   * of its subdomains match, with "www." ignored on both sides. A leading
+   * "*." behaves the same way; any other `*` is a free glob.
+   *
+   * @param {string} host - Lower-case host pattern
+   * @returns {Function} (hostname) => boolean
+   */
+  function buildHostMatcher(host) {
+    if (host === '*') {
+      return () => true;
+    }
+
+    const base = stripWww(host.startsWith('*.') ? host.slice(2) : host);
+
+    if (!base.includes('*')) {
+      return (hostname) => {
+        const bare = stripWww(hostname);
+        return bare === base || bare.endsWith('.' + base);
+      };
+    }
+
+    const prefix = host.startsWith('*.') ? '(?:.*\\.)?' : '';
+    const regex = new RegExp(`^${prefix}${globToRegExpSource(base)}$`);
+    return (hostname) => regex.test(hostname) || regex.test(stripWww(hostname));
+  }
+
+  /**
+   * Build the path part of a matcher
+   *
+   * Without `*` the path is a prefix that must end on a segment boundary, so
+   * "github.com/our-org" matches "/our-org/repo" but not "/our-organisation".
+   * With `*` the path is a glob anchored at both ends.
+   *
+   * @param {string|null} path - Path pattern starting with "/"
+   * @returns {Function} (pathAndQuery) => boolean
+   */
+  function buildPathMatcher(path) {
+    if (!path || path === '/') {
+      return () => true;
+    }
+
+    if (path.includes('*')) {
+      const regex = new RegExp(`^${globToRegExpSource(path)}$`);
+      return (target) => regex.test(target);
+    }
+
+    const prefix = path.endsWith('/') ? path : path + '/';
+    return (target) =>
+      target === path ||
+      target.startsWith(prefix) ||
+      target.startsWith(path + '?');
+  }
+
+  /**
+   * Validate a pattern
+   *
+   * @param {string} pattern - The pattern to validate
+   * @returns {{valid: boolean, error: string|null, type: string}}
+   */
+  function validatePattern(pattern) {
+    const compiled = compilePattern(pattern);
+    return {
+      valid: compiled.error === null,
+      error: compiled.error,
+      type: compiled.type
+    };
+  }
+
+  /**
+   * Parse a URL string, returning null for anything URL() rejects
+   * @param {string|URL} url
+   * @returns {URL|null}
+   */
+  function toUrl(url) {
+    if (!url) return null;
+    if (url instanceof URL) return url;
+    try {
+      return new URL(url);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a URL matches a single pattern
+   *
+   * @param {string|URL} url - The URL to test
+   * @param {string} pattern - The pattern to test against
+   * @returns {boolean} False for invalid URLs or patterns
+   */
+  function matchesPattern(url, pattern) {
+    const urlObj = toUrl(url);
+    if (!urlObj) return false;
+
+    const compiled = compilePattern(pattern);
+    if (!compiled.test) return false;
+
+    try {
+      return compiled.test(urlObj);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Find the first pattern in a list that matches a URL
+   *
+   * @param {string|URL} url - The URL to test
+   * @param {string[]} patterns - Patterns to test against
+   * @returns {string|null} The matching pattern, or null
+   */
+  function findMatchingPattern(url, patterns) {
+    if (!Array.isArray(patterns) || patterns.length === 0) return null;
+
+    const urlObj = toUrl(url);
+    if (!urlObj) return null;
+
+    for (const pattern of patterns) {
+      if (typeof pattern === 'string' && matchesPattern(urlObj, pattern)) {
+        return pattern;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check whether a URL matches any pattern in a list
+   *
+   * @param {string|URL} url - The URL to test
+   * @param {string[]} patterns - Patterns to test against
+   * @returns {boolean}
+   */
+  function isUrlMatched(url, patterns) {
+    return findMatchingPattern(url, patterns) !== null;
+  }
+
+  root.UrlPatterns = {
+    normalizePattern,
+    validatePattern,
+    matchesPattern,
+    findMatchingPattern,
+    isUrlMatched
+  };
+})(typeof globalThis !== 'undefined' ? globalThis : self);
@@ -9,6 +9,7 @@ const todaySaved = document.getElementById('todaySaved');
 const avgDaily = document.getElementById('avgDaily');
 const chartCanvas = document.getElementById('chartCanvas');
 const topSites = document.getElementById('topSites');
+const pressureEvents = document.getElementById('pressureEvents');
 const focusSessions = document.getElementById('focusSessions');
 const focusTime = document.getElementById('focusTime');
 const focusWeek = document.getElementById('focusWeek');
@@ -113,6 +114,8 @@ function updateStatsDisplay(stats) {
         const avg = (stats.totalSaved || 0) / days;
         avgDaily.textContent = formatBytes(avg);
     });
+
+    renderPressureEvents(stats.pressureEvents || []);
 }
 
 /**
@@ -249,6 +252,9 @@ async function loadStats() {
         // Load focus stats
         await loadFocusStats();
 
+        // Load memory pressure events
+        renderPressureEvents(response.pressureEvents || []);
+
         // ========== AGENT 2: DASHBOARD SYNC ==========
         // Update last updated timestamp on initial load
         if (dashboardSyncEnabled) {
@@ -369,6 +375,34 @@ async function loadTopSites() {
     }
 }
 
+function renderPressureEvents(events) {
+    if (!pressureEvents) return;
+
+    if (events.length === 0) {
+        pressureEvents.innerHTML = `
+            <div class="empty-state">
+                <p class="empty-state-title">No memory pressure yet</p>
+                <p class="empty-state-description">When system memory use crosses your threshold, idle tabs are suspended automatically and logged here</p>
+            </div>
+        `;
+        return;
+    }
+
+    // Most recent first
+    pressureEvents.innerHTML = events.slice(-10).reverse().map(event => {
+        const when = new Date(event.startedAt).toLocaleString(undefined, {
+            month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+        });
+        const minutes = Math.max(1, Math.round((event.endedAt - event.startedAt) / 60000));
+        return `
+  <div class="site-item">
+    <span class="site-domain">${when} · peak ${event.peakPercent}% (limit ${event.threshold}%) · ${minutes} min</span>
+    <span class="site-count">${event.tabsSuspended} tabs</span>
+  </div>
+`;
+    }).join('');
+}
+
 async function loadFocusStats() {
     try {
         // Try multiple storage keys that might contain focus session data
@@ -477,6 +511,7 @@ function setupEventListeners() {
             // Clear all stats-related data
             await chrome.storage.local.remove([
                 'memoryStats',
+                'restoreHistory',
                 'focusSessions',
                 'installDate'
             ]);
@@ -3,14 +3,16 @@
  * Handles tab info display and restoration
  */
 
-// Get URL parameters
+// Get URL parameters - readable fallback (or the whole story for tabs suspended
+// before tokens); init() replaces them with the stored metadata for `sid`
 const params = new URLSearchParams(window.location.search);
-const originalUrl = params.get('url');
-const title = params.get('title') || 'Suspended Tab';
+let originalUrl = params.get('url');
+let title = params.get('title') || 'Suspended Tab';
 // Note: URLSearchParams.get() already decodes, so no need for decodeURIComponent
-const faviconParam = params.get('favicon');
-const favicon = faviconParam || '';
-const suspendedAt = parseInt(params.get('time')) || Date.now();
+let favicon = params.get('favicon') || '';
+let suspendedAt = parseInt(params.get('time')) || Date.now();
+const suspensionId = params.get('sid');
+let urlTruncated = params.get('trunc') === '1';
 
 // DOM Elements
 const pageTitle = document.getElementById('pageTitle');
@@ -20,9 +22,21 @@ const tabTitle = document.getElementById('tabTitle');
 const tabUrl = document.getElementById('tabUrl');
 const memorySaved = document.getElementById('memorySaved');
 const timeSuspended = document.getElementById('timeSuspended');
+const draftBadge = document.getElementById('draftBadge');
+const draftText = document.getElementById('draftText');
 
 // Initialize page
-function init() {
+async function init() {
+    // Resolve the suspension token to the full (untruncated) tab metadata
+    const info = await SuspendedPage.resolve(window.location.href);
+    if (info?.url) {
+        originalUrl = info.url;
+        title = info.title;
+        favicon = info.favicon;
+        suspendedAt = info.suspendedAt || suspendedAt;
+        urlTruncated = info.truncated;
+    }
+
     // Set page title
     pageTitle.textContent = `${title} (Suspended)`;
 
@@ -46,6 +60,11 @@ function init() {
     // Set tab info
     tabTitle.textContent = title;
     tabUrl.textContent = getDomain(originalUrl);
+    if (urlTruncated) {
+        // Metadata was lost - only the shortened fallback address is available
+        tabUrl.title = 'The full address could not be recovered; the page may open without its full state';
+        tabUrl.textContent += ' (address shortened)';
+    }
 
     // Set memory saved - dynamic estimate based on tab complexity
     memorySaved.textContent = estimateMemorySaved(originalUrl);
@@ -56,6 +75,27 @@ function init() {
 
     // Set up restoration handlers
     setupRestoreHandlers();
+
+    // Show whether unsaved form input is being held for this tab
+    showDraftStatus();
+}
+
+// Show the held-draft indicator if the background still has a draft for this tab
+async function showDraftStatus() {
+    if (!suspensionId || !draftBadge) return;
+    try {
+        const status = await chrome.runtime.sendMessage({ type: 'GET_DRAFT_STATUS', suspensionId });
+        if (!status?.hasDraft) return;
+
+        const fields = status.fieldCount === 1 ? '1 field' : `${status.fieldCount} fields`;
+        const expiresIn = formatDuration(status.expiresAt - Date.now());
+        draftText.textContent = `Unsaved form draft held (${fields}) - refilled on restore`;
+        draftBadge.title = `Draft is discarded in ${expiresIn} or when the browser closes`;
+        draftBadge.hidden = false;
+    } catch (error) {
+        // Background unavailable - leave the indicator hidden
+        console.warn('Could not check draft status:', error);
+    }
 }
 
 // Get domain from URL
@@ -182,6 +222,9 @@ async function restore() {
     document.body.style.opacity = '0.5';
     document.body.style.pointerEvents = 'none';
 
+    // Let the background push the saved scroll position once the page loads
+    await prepareStateRestore();
+
     try {
         // Navigate to original URL using replace() to prevent back-button loop
         window.location.replace(originalUrl);
@@ -192,6 +235,20 @@ async function restore() {
     }
 }
 
+// Tell the background which saved state belongs to this tab (never blocks restore for long)
+async function prepareStateRestore() {
+    if (!suspensionId) return;
+    try {
+        await Promise.race([
+            chrome.runtime.sendMessage({ type: 'PREPARE_RESTORE', suspensionId }),
+            new Promise(resolve => setTimeout(resolve, 300))
+        ]);
+    } catch (error) {
+        // Background unavailable - restore without state
+        console.warn('Could not prepare state restore:', error);
+    }
+}
+
 // Show error message to user
 function showError(message) {
     const errorDiv = document.createElement('div');
@@ -0,0 +1,45 @@
+/**
+ * Tab Suspender Pro - Unload Probe
+ *
+ * Registered into the page's own JavaScript world (MAIN) by background.js while
+ * "Never suspend tabs with unsaved work" is on. Editors the form check can't see
+ * (Gmail compose, Notion, Google Docs) usually ask before leaving only while work
+ * is unsaved. When contentScript.js asks, this runs the page's beforeunload
+ * handlers on a synthetic event and reports whether they would block navigation.
+ *
+ * The handlers run for real - a page may do its own bookkeeping in them - which
+ * is why the probe is opt-in and only asked after typing or when the tab is left.
+ */
+
+(function () {
+    // Injected again into open tabs when the option is turned back on
+    const INSTALLED = Symbol.for('tab-suspender:unload-probe');
+    if (window[INSTALLED]) return;
+    Object.defineProperty(window, INSTALLED, { value: true });
+
+    // Keep in sync with contentScript.js
+    const STATE_EVENT = 'tab-suspender:unload-state';
+    const QUERY_EVENT = 'tab-suspender:unload-query';
+
+    // Would a real navigation show the "Leave site?" dialog?
+    function wouldBlockUnload() {
+        // BeforeUnloadEvent has no constructor; handlers need it to set returnValue
+        const event = document.createEvent('BeforeUnloadEvent');
+        event.initEvent('beforeunload', false, true);
+        window.dispatchEvent(event);
+
+        // preventDefault(), a returnValue or a string returned by onbeforeunload
+        return event.defaultPrevented || Boolean(event.returnValue);
+    }
+
+    window.addEventListener(QUERY_EVENT, () => {
+        let blocking = false;
+        try {
+            blocking = wouldBlockUnload();
+        } catch (e) {
+            // A throwing handler doesn't block navigation either
+        }
+        // Event detail must be a string - objects don't cross into the isolated world
+        window.dispatchEvent(new CustomEvent(STATE_EVENT, { detail: JSON.stringify({ blocking }) }));
+    });
+})();